@@ -0,0 +1,31 @@
+/**
+ * AudioLevel Component - Microphone Level Bar
+ *
+ * A bar filling up with how loud a microphone is, used on the pre-join
+ * screen and on the video tiles of the call. In the call the bar follows a
+ * level store by itself, so readings only re-render the bar.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} [props.level] - Level from 0 to 1 (see utils/audioLevel)
+ * @param {Object} [props.levels] - Level store to follow instead of level; nothing is shown
+ *   until it holds a reading for id
+ * @param {string} [props.id] - Key of the reading in levels
+ * @param {string} [props.className] - Extra class, to place the bar
+ * @returns {JSX.Element|null} The level bar
+ */
+
+import React from 'react';
+import { useAudioLevel } from '../hooks/useAudioLevel';
+
+export default function AudioLevel({ level, levels, id, className }) {
+  const reading = useAudioLevel(levels, (current) => current[id]);
+  if (levels && !reading) return null;
+  const shown = levels ? reading.level : level;
+
+  return (
+    <div className={`level-meter${className ? ` ${className}` : ''}`} title="Microphone level">
+      <div className="level-meter-fill" style={{ width: `${Math.round(shown * 100)}%` }} />
+    </div>
+  );
+}
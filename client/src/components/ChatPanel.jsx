@@ -0,0 +1,75 @@
+/**
+ * ChatPanel Component - In-call Text Chat
+ *
+ * Shows the room's chat messages with sender and time, and a composer
+ * for sending new ones.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.messages - Chat messages ({ id, from, text, sentAt, own })
+ * @param {Function} [props.nameOf] - Display name of a sender's socket ID, null when unknown
+ * @param {Function} props.onSend - Callback to send a message, returns false on failure
+ * @param {Function} props.onClose - Callback to close the panel
+ * @returns {JSX.Element} The chat side panel
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { CHAT_MAX_LENGTH } from '../hooks/useChat';
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export default function ChatPanel({ messages, nameOf, onSend, onClose }) {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef();
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (onSend(draft)) {
+      setDraft('');
+    }
+  };
+
+  return (
+    <aside className="chat-panel">
+      <div className="chat-header">
+        <span>Chat</span>
+        <button className="chat-close" onClick={onClose} title="Close chat">✕</button>
+      </div>
+
+      <div className="chat-messages" ref={listRef}>
+        {messages.length === 0 && (
+          <p className="chat-empty">No messages yet</p>
+        )}
+        {messages.map((m) => (
+          <div key={m.id} className={`chat-message${m.own ? ' own' : ''}`}>
+            <div className="chat-meta">
+              <span className="chat-sender">
+                {m.own ? 'You' : (nameOf && nameOf(m.from)) || `Participant ${(m.from || '').slice(0, 6)}`}
+              </span>
+              <span className="chat-time">{formatTime(m.sentAt)}</span>
+            </div>
+            <div className="chat-text">{m.text}</div>
+          </div>
+        ))}
+      </div>
+
+      <form className="chat-composer" onSubmit={handleSubmit}>
+        <input
+          placeholder="Send a message"
+          value={draft}
+          maxLength={CHAT_MAX_LENGTH}
+          onChange={(e) => setDraft(e.target.value)}
+        />
+        <button type="submit" disabled={!draft.trim()}>Send</button>
+      </form>
+    </aside>
+  );
+}
@@ -4,6 +4,12 @@
  * Provides UI controls for managing the video call:
  * - Toggle microphone mute/unmute
  * - Toggle camera on/off
+ * - Start/stop sharing the screen
+ * - Open/close the chat panel, with an unread message badge
+ * - Send a file to the other participants
+ * - Start/stop recording the call, with the time recorded so far
+ * - Raise/lower a hand, and send emoji reactions
+ * - Open/close the device settings (camera, microphone, speaker)
  * - End call button
  * 
  * @component
@@ -12,16 +18,84 @@
  * @param {boolean} props.videoOff - Current state of camera (on/off)
  * @param {Function} props.onToggleMute - Callback function to toggle mute
  * @param {Function} props.onToggleVideo - Callback function to toggle video
+ * @param {boolean} props.screenSharing - Whether the screen is being shared
+ * @param {Function} props.onToggleScreenShare - Callback function to start/stop sharing the screen
+ * @param {boolean} props.chatOpen - Whether the chat panel is open
+ * @param {number} props.unreadCount - Number of chat messages received while the panel was closed
+ * @param {Function} props.onToggleChat - Callback function to open/close the chat panel
+ * @param {boolean} props.fileTransferAvailable - Whether files can be sent in this room
+ * @param {Function} props.onSendFile - Callback function receiving the picked File
+ * @param {boolean} props.recording - Whether we are recording the call
+ * @param {number} props.recordingElapsed - Seconds recorded so far
+ * @param {boolean} props.recordingAvailable - Whether this browser can record
+ * @param {Function} props.onToggleRecording - Callback function to start/stop recording
+ * @param {boolean} props.handRaised - Whether our hand is raised
+ * @param {Function} props.onToggleHand - Callback function to raise/lower our hand
+ * @param {Function} props.onReact - Callback function receiving the emoji picked
+ * @param {boolean} props.settingsOpen - Whether the device settings are open
+ * @param {Function} props.onToggleSettings - Callback function to open/close the device settings
+ * @param {Object} [props.shortcutHints] - { actionId: key as shown } of the keyboard shortcuts, added to the button titles
+ * @param {string|null} [props.pushToTalkHint] - Push-to-talk key as shown while push-to-talk is on; the mute
+ *   button is disabled then, as the microphone only opens while that key is held
  * @param {Function} props.onEndCall - Callback function to end the call
  * @returns {JSX.Element} Control buttons for video call
  */
 
-import React from 'react';
+import React, { useRef, useState } from 'react';
+import { REACTIONS } from '../hooks/useReactions';
+
+// Seconds as m:ss (or h:mm:ss past an hour)
+const formatElapsed = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+export default function Controls({
+  muted,
+  videoOff,
+  onToggleMute,
+  onToggleVideo,
+  screenSharing,
+  onToggleScreenShare,
+  chatOpen,
+  unreadCount,
+  onToggleChat,
+  fileTransferAvailable,
+  onSendFile,
+  recording,
+  recordingElapsed,
+  recordingAvailable,
+  onToggleRecording,
+  handRaised,
+  onToggleHand,
+  onReact,
+  settingsOpen,
+  onToggleSettings,
+  shortcutHints = {},
+  pushToTalkHint = null,
+  onEndCall
+}) {
+  const fileInputRef = useRef();
+  const [reactionsOpen, setReactionsOpen] = useState(false);
+  const withKey = (title, action) => (shortcutHints[action] ? `${title} (${shortcutHints[action]})` : title);
+  const canShareScreen = !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    if (file) onSendFile(file);
+  };
 
-export default function Controls({ muted, videoOff, onToggleMute, onToggleVideo, onEndCall }) {
   return (
     <div className="controls">
-      <button onClick={onToggleMute} title={muted ? 'Unmute' : 'Mute'}>
+      <button
+        onClick={onToggleMute}
+        disabled={!!pushToTalkHint}
+        title={pushToTalkHint ? `Push to talk: hold ${pushToTalkHint}` : withKey(muted ? 'Unmute' : 'Mute', 'toggleMute')}
+      >
         {muted ? (
           <svg className="control-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5.586 15H4a1 1 0 01-1-1v-4a1 1 0 011-1h1.586l4.707-4.707C10.923 3.663 12 4.109 12 5v14c0 .891-1.077 1.337-1.707.707L5.586 15z" />
@@ -33,7 +107,7 @@ export default function Controls({ muted, videoOff, onToggleMute, onToggleVideo,
           </svg>
         )}
       </button>
-      <button onClick={onToggleVideo} title={videoOff ? 'Video On' : 'Video Off'}>
+      <button onClick={onToggleVideo} title={withKey(videoOff ? 'Video On' : 'Video Off', 'toggleVideo')}>
         {videoOff ? (
           <svg className="control-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
@@ -45,7 +119,85 @@ export default function Controls({ muted, videoOff, onToggleMute, onToggleVideo,
           </svg>
         )}
       </button>
-      <button className="danger" onClick={onEndCall}>End Call</button>
+      <button
+        onClick={onToggleScreenShare}
+        disabled={!canShareScreen}
+        className={screenSharing ? 'active' : ''}
+        title={screenSharing ? 'Stop sharing' : canShareScreen ? 'Share screen' : 'Screen sharing is not supported in this browser'}
+      >
+        <svg className="control-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+        </svg>
+      </button>
+      <button onClick={onToggleChat} title={withKey(chatOpen ? 'Close chat' : 'Open chat', 'toggleChat')} className={`badge-host${chatOpen ? ' active' : ''}`}>
+        <svg className="control-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+        </svg>
+        {unreadCount > 0 && <span className="unread-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>}
+      </button>
+      <button
+        onClick={() => fileInputRef.current.click()}
+        disabled={!fileTransferAvailable}
+        title={fileTransferAvailable ? 'Send a file' : 'File transfer is not available in this room'}
+      >
+        <svg className="control-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+        </svg>
+      </button>
+      <input ref={fileInputRef} type="file" hidden onChange={handleFileChange} />
+      <button
+        onClick={onToggleRecording}
+        disabled={!recordingAvailable}
+        className={recording ? 'recording' : ''}
+        title={recording ? 'Stop recording' : recordingAvailable ? 'Record the call' : 'Recording is not supported in this browser'}
+      >
+        <svg className="control-icon" viewBox="0 0 24 24">
+          {recording ? (
+            <rect x="7" y="7" width="10" height="10" rx="1" fill="currentColor" />
+          ) : (
+            <circle cx="12" cy="12" r="6" fill="currentColor" />
+          )}
+        </svg>
+        {recording && <span className="recording-time">{formatElapsed(recordingElapsed)}</span>}
+      </button>
+      <button
+        onClick={onToggleHand}
+        className={handRaised ? 'active' : ''}
+        title={withKey(handRaised ? 'Lower your hand' : 'Raise your hand', 'toggleHand')}
+      >
+        <span className="control-emoji">✋</span>
+      </button>
+      <div className="reaction-picker-host">
+        <button
+          onClick={() => setReactionsOpen(!reactionsOpen)}
+          className={reactionsOpen ? 'active' : ''}
+          title="Send a reaction"
+        >
+          <span className="control-emoji">😊</span>
+        </button>
+        {reactionsOpen && (
+          <div className="reaction-picker">
+            {REACTIONS.map((emoji) => (
+              <button
+                key={emoji}
+                onClick={() => {
+                  onReact(emoji);
+                  setReactionsOpen(false);
+                }}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <button onClick={onToggleSettings} title={withKey(settingsOpen ? 'Close device settings' : 'Device settings', 'toggleSettings')} className={settingsOpen ? 'active' : ''}>
+        <svg className="control-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+        </svg>
+      </button>
+      <button className="danger" onClick={onEndCall} title={withKey('Leave the call', 'endCall')}>End Call</button>
     </div>
   );
 }
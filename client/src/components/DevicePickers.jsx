@@ -0,0 +1,66 @@
+/**
+ * DevicePickers Component - Camera, Microphone and Speaker Dropdowns
+ *
+ * One dropdown per kind of device, used in the device settings of the call
+ * and on the pre-join screen. The dropdowns are disabled while a device is
+ * being switched, and a failed switch is explained below them.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.devices - { videoinput, audioinput, audiooutput } arrays of { deviceId, label }
+ * @param {Object} props.selected - { videoinput, audioinput, audiooutput } device IDs in use ('' for the default)
+ * @param {boolean} props.speakerSelectable - Whether the speaker can be picked in this browser
+ * @param {Function} props.onSelect - Callback receiving the kind and device ID; resolves to an error message or null
+ * @returns {JSX.Element} The device dropdowns
+ */
+
+import React, { useState } from 'react';
+
+const FIELDS = [
+  { kind: 'videoinput', label: 'Camera' },
+  { kind: 'audioinput', label: 'Microphone' },
+  { kind: 'audiooutput', label: 'Speaker' }
+];
+
+export default function DevicePickers({ devices, selected, speakerSelectable, onSelect }) {
+  const [switching, setSwitching] = useState(null); // kind being switched
+  const [selectError, setSelectError] = useState(null);
+
+  const handleChange = async (kind, deviceId) => {
+    setSwitching(kind);
+    setSelectError(null);
+    const error = await onSelect(kind, deviceId);
+    setSwitching(null);
+    if (error) setSelectError(error);
+  };
+
+  return (
+    <div className="device-fields">
+      {FIELDS.filter(({ kind }) => kind !== 'audiooutput' || speakerSelectable).map(({ kind, label }) => {
+        const options = devices[kind];
+        const value = selected[kind] || '';
+        // A device in use that is missing from the list (e.g. the default) still needs an option
+        const listed = options.some((d) => d.deviceId === value);
+        return (
+          <label key={kind} className="device-field">
+            <span>{label}</span>
+            <select
+              value={value}
+              disabled={switching !== null}
+              onChange={(e) => handleChange(kind, e.target.value)}
+            >
+              {!listed && <option value={value}>System default</option>}
+              {options.map((device) => (
+                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+              ))}
+            </select>
+          </label>
+        );
+      })}
+      {!speakerSelectable && (
+        <p className="device-hint">This browser plays call audio on the system speaker.</p>
+      )}
+      {selectError && <p className="device-error">{selectError}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * DeviceSettings Component - Camera, Microphone and Speaker Selection
+ *
+ * Overlay for picking the devices used in the call. A new camera or
+ * microphone takes over right away, without interrupting the call; the
+ * choice is remembered for later calls. The speaker can only be picked in
+ * browsers that support routing audio to a chosen output.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.devices - { videoinput, audioinput, audiooutput } arrays of { deviceId, label }
+ * @param {Object} props.selected - { videoinput, audioinput, audiooutput } device IDs in use ('' for the default)
+ * @param {boolean} props.speakerSelectable - Whether the speaker can be picked in this browser
+ * @param {Function} props.onSelect - Callback receiving the kind and device ID; resolves to an error message or null
+ * @param {Function} props.onClose - Callback to close the panel
+ * @returns {JSX.Element} The device settings overlay
+ */
+
+import React from 'react';
+import DevicePickers from './DevicePickers';
+
+export default function DeviceSettings({ devices, selected, speakerSelectable, onSelect, onClose }) {
+  return (
+    <aside className="stats-panel device-settings">
+      <div className="chat-header">
+        <span>Devices</span>
+        <button className="chat-close" onClick={onClose} title="Close device settings">✕</button>
+      </div>
+
+      <DevicePickers
+        devices={devices}
+        selected={selected}
+        speakerSelectable={speakerSelectable}
+        onSelect={onSelect}
+      />
+    </aside>
+  );
+}
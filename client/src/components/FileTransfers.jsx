@@ -0,0 +1,73 @@
+/**
+ * FileTransfers Component - File Transfer Progress
+ *
+ * Lists files being sent to or received from other participants, with a
+ * progress bar per file, a download link once a received file has been
+ * verified, and cancel/dismiss actions.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.transfers - Transfers from useFileTransfer
+ * @param {Function} props.onCancel - Callback (id) to cancel a running transfer
+ * @param {Function} props.onDismiss - Callback (id) to remove a finished transfer
+ * @returns {JSX.Element|null} The transfer list, or nothing when empty
+ */
+
+import React from 'react';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  transferring: 'Transferring',
+  interrupted: 'Interrupted, will resume on reconnect',
+  verifying: 'Verifying',
+  complete: 'Complete',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const FINISHED = ['complete', 'failed', 'cancelled'];
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export default function FileTransfers({ transfers, onCancel, onDismiss }) {
+  if (transfers.length === 0) return null;
+
+  return (
+    <div className="file-transfers">
+      {transfers.map((t) => {
+        const percent = t.size > 0 ? Math.round((t.transferred / t.size) * 100) : 100;
+        const finished = FINISHED.includes(t.status);
+
+        return (
+          <div key={t.id} className={`file-transfer status-${t.status}`}>
+            <div className="file-transfer-info">
+              <span className="file-transfer-name" title={t.name}>
+                {t.direction === 'send' ? '↑' : '↓'} {t.name}
+              </span>
+              <span className="file-transfer-meta">
+                {formatSize(t.size)} · {t.error || STATUS_LABELS[t.status]}
+              </span>
+            </div>
+            <div className="file-transfer-progress">
+              <div className="file-transfer-bar" style={{ width: `${percent}%` }} />
+            </div>
+            <div className="file-transfer-actions">
+              {t.status === 'complete' && t.url && (
+                <a href={t.url} download={t.name}>Save</a>
+              )}
+              {finished ? (
+                <button onClick={() => onDismiss(t.id)} title="Dismiss">✕</button>
+              ) : (
+                <button onClick={() => onCancel(t.id)} title="Cancel">Cancel</button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+/**
+ * HandQueue Component - Raised Hands
+ *
+ * Lists the participants with a raised hand, in the order they raised it,
+ * so whoever leads the discussion knows who is next. The host can lower
+ * anyone's hand; everyone else can lower their own.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.queue - Participants with a raised hand, first raised first
+ *   ({ socketId, name, self, handRaisedAt })
+ * @param {boolean} props.isHost - Whether we are the host
+ * @param {Function} props.onLower - Callback (socketId) to lower someone else's hand
+ * @param {Function} props.onLowerOwn - Callback to lower our own hand
+ * @returns {JSX.Element|null} The queue, or nothing when no hand is raised
+ */
+
+import React from 'react';
+
+export default function HandQueue({ queue, isHost, onLower, onLowerOwn }) {
+  if (queue.length === 0) return null;
+
+  return (
+    <div className="lobby-panel hand-queue">
+      <p className="lobby-title">✋ Raised hands ({queue.length})</p>
+      <ol className="hand-queue-list">
+        {queue.map(({ socketId, name, self }) => (
+          <li key={socketId} className="lobby-entry">
+            <span className="lobby-name">
+              {self ? `${name || 'You'} (you)` : name || `Guest · ${socketId.slice(0, 6)}`}
+            </span>
+            {(self || isHost) && (
+              <div className="lobby-actions">
+                <button
+                  className="lobby-deny"
+                  onClick={() => (self ? onLowerOwn() : onLower(socketId))}
+                  title={self ? 'Lower your hand' : 'Lower their hand'}
+                >
+                  Lower
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
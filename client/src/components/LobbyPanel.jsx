@@ -0,0 +1,35 @@
+/**
+ * LobbyPanel Component - Waiting Room (Host View)
+ *
+ * Lists the people knocking to enter a knock-to-enter room, with buttons
+ * for the host to let each of them in or turn them away.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.waiting - People waiting ({ socketId, requestedAt, user }); user is their
+ *   verified identity ({ id, name }) when the server requires sign-in
+ * @param {Function} props.onAdmit - Callback (socketId) to let someone in
+ * @param {Function} props.onDeny - Callback (socketId) to turn someone away
+ * @returns {JSX.Element|null} The waiting list, or nothing when nobody is waiting
+ */
+
+import React from 'react';
+
+export default function LobbyPanel({ waiting, onAdmit, onDeny }) {
+  if (waiting.length === 0) return null;
+
+  return (
+    <div className="lobby-panel">
+      <p className="lobby-title">Waiting to join ({waiting.length})</p>
+      {waiting.map(({ socketId, user }) => (
+        <div key={socketId} className="lobby-entry">
+          <span className="lobby-name">{(user && user.name) || `Guest · ${socketId.slice(0, 6)}`}</span>
+          <div className="lobby-actions">
+            <button className="lobby-admit" onClick={() => onAdmit(socketId)}>Admit</button>
+            <button className="lobby-deny" onClick={() => onDeny(socketId)}>Deny</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
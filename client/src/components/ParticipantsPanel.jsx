@@ -0,0 +1,43 @@
+/**
+ * ParticipantsPanel Component - Who Is in the Call
+ *
+ * Lists the participants of the room in the order they joined, with the
+ * time they joined and who hosts the room.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.participants - Roster entries ({ socketId, name, joinedAt, reconnecting, self })
+ * @param {string|null} props.hostId - Socket ID of the host
+ * @param {Function} props.onClose - Callback to close the panel
+ * @returns {JSX.Element} The participants side panel
+ */
+
+import React from 'react';
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export default function ParticipantsPanel({ participants, hostId, onClose }) {
+  return (
+    <aside className="participants-panel">
+      <div className="chat-header">
+        <span>Participants ({participants.length})</span>
+        <button className="chat-close" onClick={onClose} title="Close participants">✕</button>
+      </div>
+
+      <ul className="participants-list">
+        {participants.map((p) => (
+          <li key={p.socketId} className="participant-entry">
+            <span className="participant-name">
+              {p.name || `Guest · ${p.socketId.slice(0, 6)}`}
+              {p.self && <span className="participant-tag"> (you)</span>}
+              {p.socketId === hostId && <span className="participant-tag participant-host">Host</span>}
+              {p.reconnecting && <span className="participant-tag"> (reconnecting)</span>}
+            </span>
+            <span className="participant-joined">Joined {formatTime(p.joinedAt)}</span>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,103 @@
+/**
+ * PreJoin Component - Green Room Before the Call
+ *
+ * Shown when opening a room, before anything is sent to the server: a
+ * preview of the camera, a live microphone level, the device dropdowns and
+ * whether to join muted or with the camera off. The call only starts once
+ * Join is clicked; the preview releases the devices first.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.roomId - The room about to be joined
+ * @param {string} props.displayName - Name the others will see
+ * @param {string} props.speaker - Speaker device ID in use ('' for the default)
+ * @param {boolean} props.speakerSelectable - Whether the speaker can be picked in this browser
+ * @param {Function} props.onSelectSpeaker - Callback receiving the speaker device ID; resolves to an error message or null
+ * @param {Function} props.onJoin - Callback receiving { muted, videoOff } to join the call with
+ * @param {Function} props.onCancel - Callback to go back without joining
+ * @returns {JSX.Element} The pre-join screen
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import DevicePickers from './DevicePickers';
+import AudioLevel from './AudioLevel';
+import { useMediaPreview } from '../hooks/useMediaPreview';
+
+export default function PreJoin({ roomId, displayName, speaker, speakerSelectable, onSelectSpeaker, onJoin, onCancel }) {
+  const [muted, setMuted] = useState(false);
+  const [videoOff, setVideoOff] = useState(false);
+  const videoRef = useRef();
+  const {
+    stream,
+    error,
+    devices,
+    selectedDevices,
+    level,
+    selectDevice,
+    setPreviewVideoOff,
+    stopPreview
+  } = useMediaPreview();
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [stream]);
+
+  // A camera switched while "camera off" is ticked stays off
+  useEffect(() => {
+    setPreviewVideoOff(videoOff);
+  }, [videoOff, stream, setPreviewVideoOff]);
+
+  const handleSelect = (kind, deviceId) => (
+    kind === 'audiooutput' ? onSelectSpeaker(deviceId) : selectDevice(kind, deviceId)
+  );
+
+  const handleJoin = () => {
+    stopPreview();
+    onJoin({ muted, videoOff });
+  };
+
+  return (
+    <div className="prejoin">
+      <div className="prejoin-preview">
+        <div className="video-wrapper">
+          <p className="video-label">{displayName || 'You'}</p>
+          <video ref={videoRef} autoPlay playsInline muted className="video-element" />
+          {(videoOff || !stream) && (
+            <div className="video-overlay">{error ? 'No camera preview' : videoOff ? '📹 Camera Off' : 'Starting camera...'}</div>
+          )}
+        </div>
+        <AudioLevel level={level} />
+        <p className="prejoin-hint">
+          {muted ? 'You will join muted. Speak to check your microphone anyway.' : 'Speak to check your microphone.'}
+        </p>
+      </div>
+
+      <div className="card prejoin-card">
+        <h2 className="prejoin-title">Ready to join?</h2>
+        <p className="prejoin-room">Room <span className="room-id">{roomId}</span></p>
+        {error && <p className="device-error">{error}</p>}
+
+        <DevicePickers
+          devices={devices}
+          selected={{ ...selectedDevices, audiooutput: speaker }}
+          speakerSelectable={speakerSelectable}
+          onSelect={handleSelect}
+        />
+
+        <label className="room-option">
+          <input type="checkbox" checked={muted} onChange={(e) => setMuted(e.target.checked)} />
+          Join muted
+        </label>
+        <label className="room-option">
+          <input type="checkbox" checked={videoOff} onChange={(e) => setVideoOff(e.target.checked)} />
+          Join with camera off
+        </label>
+
+        <button className="primary" onClick={handleJoin}>Join</button>
+        <button className="copy-button" onClick={onCancel}>Back to Home</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+/**
+ * ReactionBursts Component - Emoji Reactions on a Tile
+ *
+ * Floats the emoji reactions a participant sent up over their video tile.
+ * Each reaction is removed by useReactions once its animation is over.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.reactions - Reactions of this participant ({ id, emoji })
+ * @returns {JSX.Element|null} The reactions, or nothing when there are none
+ */
+
+import React from 'react';
+
+export default function ReactionBursts({ reactions }) {
+  if (reactions.length === 0) return null;
+
+  return (
+    <div className="reaction-bursts" aria-live="polite">
+      {reactions.map(({ id, emoji }, index) => (
+        // Spread side by side so reactions sent in a row do not stack up
+        <span key={id} className="reaction-burst" style={{ left: `${10 + (index % 5) * 16}%` }}>
+          {emoji}
+        </span>
+      ))}
+    </div>
+  );
+}
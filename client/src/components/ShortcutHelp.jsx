@@ -0,0 +1,121 @@
+/**
+ * ShortcutHelp Component - Keyboard Shortcuts
+ *
+ * Dialog listing the keyboard shortcuts of the call. Each shortcut can be
+ * changed by clicking it and pressing the new key; push-to-talk is turned
+ * on and its key picked here too. Esc cancels a change, or closes the dialog.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.shortcuts - { actionId: key } (see utils/shortcuts)
+ * @param {boolean} props.pushToTalk - Whether push-to-talk mode is on
+ * @param {string} props.pushToTalkKey - Key held to talk
+ * @param {Function} props.onSetShortcut - Callback receiving an action ID and its new key
+ * @param {Function} props.onSetPushToTalk - Callback receiving whether push-to-talk is on
+ * @param {Function} props.onSetPushToTalkKey - Callback receiving the new push-to-talk key
+ * @param {Function} props.onReset - Callback to go back to the default shortcuts
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} The shortcut dialog
+ */
+
+import React, { useEffect, useState } from 'react';
+import { SHORTCUT_ACTIONS, describeKey, keyOf } from '../utils/shortcuts';
+
+// Entry being changed when it is the push-to-talk key
+const PUSH_TO_TALK = 'pushToTalk';
+
+export default function ShortcutHelp({
+  shortcuts,
+  pushToTalk,
+  pushToTalkKey,
+  onSetShortcut,
+  onSetPushToTalk,
+  onSetPushToTalkKey,
+  onReset,
+  onClose
+}) {
+  const [capturing, setCapturing] = useState(null); // action ID or PUSH_TO_TALK
+  const [captureError, setCaptureError] = useState(null);
+
+  // Take the next key pressed, before the call's shortcuts see it
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        if (capturing) {
+          setCapturing(null);
+        } else {
+          onClose();
+        }
+        return;
+      }
+      if (!capturing) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const key = keyOf(e);
+      if (!key) return;
+
+      if (capturing === PUSH_TO_TALK) {
+        onSetPushToTalkKey(key);
+      } else if (pushToTalk && key === pushToTalkKey) {
+        setCaptureError(`${describeKey(key)} is the push-to-talk key.`);
+        return;
+      } else {
+        onSetShortcut(capturing, key);
+      }
+      setCaptureError(null);
+      setCapturing(null);
+    };
+    document.addEventListener('keydown', handleKeyDown, true);
+    return () => document.removeEventListener('keydown', handleKeyDown, true);
+  }, [capturing, pushToTalk, pushToTalkKey, onSetShortcut, onSetPushToTalkKey, onClose]);
+
+  const keyButton = (id, key) => (
+    <button
+      className={`shortcut-key${capturing === id ? ' capturing' : ''}`}
+      onClick={() => {
+        setCaptureError(null);
+        setCapturing(capturing === id ? null : id);
+      }}
+      title="Click, then press the new key"
+    >
+      {capturing === id ? 'Press a key…' : key ? describeKey(key) : 'None'}
+    </button>
+  );
+
+  return (
+    <div className="shortcut-backdrop" onClick={onClose}>
+      <div className="shortcut-help" role="dialog" aria-label="Keyboard shortcuts" onClick={(e) => e.stopPropagation()}>
+        <div className="chat-header">
+          <span>Keyboard shortcuts</span>
+          <button className="chat-close" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <table className="shortcut-table">
+          <tbody>
+            {Object.entries(SHORTCUT_ACTIONS).map(([id, { label }]) => (
+              <tr key={id}>
+                <td>{label}</td>
+                <td>{keyButton(id, shortcuts[id])}</td>
+              </tr>
+            ))}
+            <tr>
+              <td>
+                <label className="room-option">
+                  <input type="checkbox" checked={pushToTalk} onChange={(e) => onSetPushToTalk(e.target.checked)} />
+                  Push to talk (hold to unmute)
+                </label>
+              </td>
+              <td>{keyButton(PUSH_TO_TALK, pushToTalkKey)}</td>
+            </tr>
+          </tbody>
+        </table>
+
+        {captureError && <p className="device-error shortcut-note">{captureError}</p>}
+        <p className="shortcut-note">Shortcuts are ignored while typing in a text field.</p>
+        <button className="copy-button shortcut-reset" onClick={onReset}>Reset to defaults</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+/**
+ * StatsPanel Component - Call Quality Statistics
+ *
+ * Overlay listing the live statistics of every connection of the call:
+ * bitrates, packet loss, jitter, round-trip time, video frame rate and
+ * resolution, codecs and the network path (direct, via STUN, or relayed
+ * through TURN).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.stats - { peerId: stats } from usePeerConnection (see utils/callStats)
+ * @param {Function} props.labelOf - Returns the name to show for a peer ID
+ * @param {Function} props.onClose - Callback to close the panel
+ * @returns {JSX.Element} The statistics overlay
+ */
+
+import React from 'react';
+
+// What the selected ICE candidate type means for the media path
+const PATH_LABELS = {
+  host: 'Direct (local network)',
+  srflx: 'Direct (through NAT)',
+  prflx: 'Direct (through NAT)',
+  relay: 'Relayed (TURN)'
+};
+
+const show = (value, unit = '') => (value === null || value === undefined ? '–' : `${value}${unit}`);
+
+/**
+ * Frame rate and resolution of a video direction
+ */
+const showVideo = ({ frameRate, resolution }) => {
+  if (!resolution) return '–';
+  return frameRate === null ? resolution : `${resolution} @ ${frameRate} fps`;
+};
+
+export default function StatsPanel({ stats, labelOf, onClose }) {
+  const peerIds = Object.keys(stats);
+
+  return (
+    <aside className="stats-panel">
+      <div className="chat-header">
+        <span>Call statistics</span>
+        <button className="chat-close" onClick={onClose} title="Close statistics">✕</button>
+      </div>
+
+      <div className="stats-list">
+        {peerIds.length === 0 && <p className="chat-empty">No connections yet</p>}
+        {peerIds.map((peerId) => {
+          const { inbound, outbound, roundTripTime, candidateType, quality } = stats[peerId];
+          return (
+            <section key={peerId} className="stats-entry">
+              <h4 className="stats-title">
+                {quality && <span className={`quality-dot quality-${quality}`} title={`Quality: ${quality}`} />}
+                {labelOf(peerId)}
+              </h4>
+              <table className="stats-table">
+                <thead>
+                  <tr><th /><th>Received</th><th>Sent</th></tr>
+                </thead>
+                <tbody>
+                  <tr><th>Bitrate</th><td>{show(inbound.bitrate, ' kbps')}</td><td>{show(outbound.bitrate, ' kbps')}</td></tr>
+                  <tr><th>Packet loss</th><td>{show(inbound.packetLoss, ' %')}</td><td>{show(outbound.packetLoss, ' %')}</td></tr>
+                  <tr><th>Video</th><td>{showVideo(inbound)}</td><td>{showVideo(outbound)}</td></tr>
+                  <tr><th>Codecs</th><td>{show(inbound.codec)}</td><td>{show(outbound.codec)}</td></tr>
+                </tbody>
+              </table>
+              <dl className="stats-details">
+                <dt>Jitter</dt><dd>{show(inbound.jitter, ' ms')}</dd>
+                <dt>Round trip</dt><dd>{show(roundTripTime, ' ms')}</dd>
+                <dt>Path</dt><dd>{candidateType ? PATH_LABELS[candidateType] || candidateType : '–'}</dd>
+              </dl>
+            </section>
+          );
+        })}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * VideoTile Component - Remote Participant Video
+ *
+ * Renders the media stream of a single remote participant in the call grid,
+ * with an overlay while that participant's connection is interrupted, a bar
+ * showing how loud they are, and the host's moderation buttons when shown to
+ * the host. The active speaker's tile is highlighted, and the participant's
+ * emoji reactions float up over it.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.label - Label shown above the video
+ * @param {MediaStream} [props.stream] - Remote media stream (absent until the first track arrives)
+ * @param {string} [props.connectionState] - RTCPeerConnection state for this participant
+ * @param {boolean} [props.presenting] - Whether the participant is sharing their screen (shown large)
+ * @param {boolean} [props.reconnecting] - Whether the participant dropped out and the server holds their seat
+ * @param {string} [props.quality] - Connection quality: good, fair or poor (absent until measured)
+ * @param {string} props.peerId - Socket ID of the participant
+ * @param {Object} [props.audioLevels] - Level store with how loud the participants are (see utils/audioLevel);
+ *   the bar shows once the participant's audio arrives
+ * @param {boolean} [props.activeSpeaker] - Whether the participant is the one speaking
+ * @param {boolean} [props.handRaised] - Whether the participant raised their hand
+ * @param {Array<Object>} [props.reactions] - Reactions the participant just sent ({ id, emoji })
+ * @param {string} [props.sinkId] - Speaker to play the participant on ('' for the default), where the browser supports it
+ * @param {Object} [props.hostActions] - { onMute, onStopVideo, onMakeHost, onRemove }, only passed to the host
+ * @returns {JSX.Element} A video tile
+ */
+
+import React, { useEffect, useRef } from 'react';
+import AudioLevel from './AudioLevel';
+import ReactionBursts from './ReactionBursts';
+import { speakerSelectionSupported } from '../utils/mediaDevices';
+
+export default function VideoTile({
+  label,
+  stream,
+  connectionState,
+  presenting,
+  reconnecting,
+  quality,
+  peerId,
+  audioLevels,
+  activeSpeaker,
+  handRaised,
+  reactions = [],
+  sinkId,
+  hostActions
+}) {
+  const videoRef = useRef();
+
+  // Attach the stream imperatively; srcObject cannot be set as a prop
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream || null;
+    }
+  }, [stream]);
+
+  useEffect(() => {
+    if (!speakerSelectionSupported || sinkId === undefined || !videoRef.current) return;
+    videoRef.current.setSinkId(sinkId).catch((err) => {
+      console.warn('[VideoTile] Could not switch the speaker:', err);
+    });
+  }, [sinkId]);
+
+  return (
+    <div className={`video-wrapper${presenting ? ' presenting' : ''}${activeSpeaker ? ' active-speaker' : ''}`}>
+      <p className="video-label">
+        {quality && <span className={`quality-dot quality-${quality}`} title={`Connection quality: ${quality}`} />}
+        {presenting ? `${label} (presenting)` : label}
+        {handRaised && <span className="hand-raised" title="Hand raised"> ✋</span>}
+      </p>
+      <video ref={videoRef} autoPlay playsInline className="video-element" />
+      <ReactionBursts reactions={reactions} />
+      {audioLevels && <AudioLevel levels={audioLevels} id={peerId} className="tile-level" />}
+      {connectionState === 'failed' && !reconnecting && (
+        <div className="video-overlay error">Connection Lost</div>
+      )}
+      {(connectionState === 'disconnected' || reconnecting) && (
+        <div className="video-overlay warning">Reconnecting...</div>
+      )}
+      {hostActions && (
+        <div className="tile-actions">
+          <button onClick={hostActions.onMute} title="Mute their microphone">Mute</button>
+          <button onClick={hostActions.onStopVideo} title="Turn off their camera">Stop video</button>
+          <button onClick={hostActions.onMakeHost} title="Make them the host">Make host</button>
+          <button className="tile-remove" onClick={hostActions.onRemove} title="Remove them from the call">Remove</button>
+        </div>
+      )}
+    </div>
+  );
+}
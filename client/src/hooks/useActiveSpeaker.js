@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { LOCAL_SPEAKER } from '../utils/audioLevel';
+
+/**
+ * Custom hook for picking who is speaking
+ * The active speaker keeps the floor while they are still speaking, so two
+ * people talking over each other do not make the highlight jump back and
+ * forth; when they stop, it goes to the loudest person speaking. The last
+ * speaker stays active through silences. Readings are followed through the
+ * level stores, so the caller only re-renders when the speaker changes.
+ * @param {Object} remoteLevels - Level store of the remote participants, by socket ID (see utils/audioLevel)
+ * @param {Object} localLevels - Level store of our microphone, under LOCAL_SPEAKER
+ * @param {boolean} localMuted - Whether our microphone is muted; a muted microphone does not take the floor
+ * @returns {string|null} ID of the active speaker (a socket ID or LOCAL_SPEAKER), null before anyone spoke
+ */
+export const useActiveSpeaker = (remoteLevels, localLevels, localMuted) => {
+  const [activeSpeaker, setActiveSpeaker] = useState(null);
+
+  useEffect(() => {
+    const update = () => {
+      const levels = localMuted
+        ? remoteLevels.get()
+        : { ...remoteLevels.get(), ...localLevels.get() };
+      setActiveSpeaker((current) => {
+        if (current && levels[current] && levels[current].speaking) return current;
+        let loudest = null;
+        Object.entries(levels).forEach(([id, { level, speaking }]) => {
+          if (speaking && (!loudest || level > levels[loudest].level)) loudest = id;
+        });
+        if (loudest) return loudest;
+        // Whoever spoke last left the call
+        return current && !levels[current] && current !== LOCAL_SPEAKER ? null : current;
+      });
+    };
+
+    update();
+    const unsubscribeRemote = remoteLevels.subscribe(update);
+    const unsubscribeLocal = localLevels.subscribe(update);
+    return () => {
+      unsubscribeRemote();
+      unsubscribeLocal();
+    };
+  }, [remoteLevels, localLevels, localMuted]);
+
+  return activeSpeaker;
+};
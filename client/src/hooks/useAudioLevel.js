@@ -0,0 +1,16 @@
+import { useSyncExternalStore } from 'react';
+
+const noSubscription = () => () => {};
+
+/**
+ * Custom hook for a value picked from audio level readings
+ * Re-renders only when that value changes, so select must return a reading
+ * as stored or a plain value, never a new object.
+ * @param {Object|null} store - Level store (see createLevelStore in utils/audioLevel)
+ * @param {Function} select - (levels) => value, levels being { id: { level, speaking } }
+ * @returns {*} The selected value, undefined without a store
+ */
+export const useAudioLevel = (store, select) => useSyncExternalStore(
+  store ? store.subscribe : noSubscription,
+  () => (store ? select(store.get()) : undefined)
+);
@@ -0,0 +1,125 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+
+// Must match the server's CHAT_MAX_LENGTH
+export const CHAT_MAX_LENGTH = 2000;
+
+/**
+ * Custom hook for in-call text chat
+ * Messages go directly to peers over the "chat" data channel when it is open.
+ * Every message is also sent to the server, which keeps the room's recent
+ * history for late joiners and relays it to the peers the data channel did not reach.
+ * @param {string} roomId - The room ID
+ * @param {Object} socketConnection - { socketRef, subscribe, emitEvent } from useSocketConnection
+ * @param {Object} peerConnection - { peersRef, addDataChannelListener, sendOnDataChannel } from usePeerConnection
+ * @returns {Object} Chat state and methods
+ */
+export const useChat = (roomId, socketConnection, peerConnection) => {
+  const { socketRef, subscribe, emitEvent } = socketConnection;
+  const { peersRef, addDataChannelListener, sendOnDataChannel } = peerConnection;
+
+  const [messages, setMessages] = useState([]); // [{ id, from, text, sentAt, own }]
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [chatOpen, setChatOpenState] = useState(false);
+  const chatOpenRef = useRef(false);
+  // IDs of messages already shown; a message can arrive over both the data channel and the socket
+  const seenIdsRef = useRef(new Set());
+
+  /**
+   * Add received messages, skipping duplicates, and count the unread ones
+   * @param {Array<Object>} incoming - [{ id, from, text, sentAt }]
+   */
+  const addMessages = useCallback((incoming) => {
+    const fresh = incoming.filter((m) => m && m.id && !seenIdsRef.current.has(m.id));
+    if (fresh.length === 0) return;
+    fresh.forEach((m) => seenIdsRef.current.add(m.id));
+
+    setMessages((prev) => [...prev, ...fresh].sort((a, b) => a.sentAt - b.sentAt));
+    if (!chatOpenRef.current) {
+      setUnreadCount((count) => count + fresh.length);
+    }
+  }, []);
+
+  // Messages and history relayed by the server
+  useEffect(() => {
+    const offMessage = subscribe('chat-message', (message) => addMessages([message]));
+    const offHistory = subscribe('chat-history', ({ messages: history = [] }) => addMessages(history));
+    return () => {
+      offMessage();
+      offHistory();
+    };
+  }, [subscribe, addMessages]);
+
+  // Messages received directly from peers
+  useEffect(() => {
+    return addDataChannelListener('chat', {
+      onMessage: (peerId, data) => {
+        try {
+          const { id, text, sentAt } = JSON.parse(data);
+          addMessages([{ id, from: peerId, text, sentAt }]);
+        } catch (e) {
+          console.warn('[useChat] Ignoring malformed chat message:', e);
+        }
+      }
+    });
+  }, [addDataChannelListener, addMessages]);
+
+  /**
+   * Send a chat message to everyone in the room
+   * @param {string} text - Message text
+   * @returns {boolean} False when the message is empty or cannot be sent
+   */
+  const sendMessage = useCallback((text) => {
+    const trimmed = text.trim();
+    if (!trimmed) return false;
+
+    const message = { id: uuidv4(), text: trimmed.slice(0, CHAT_MAX_LENGTH), sentAt: Date.now() };
+
+    // Deliver directly to every peer with an open data channel
+    const deliveredTo = [];
+    peersRef.current.forEach((_pc, peerId) => {
+      if (sendOnDataChannel(peerId, 'chat', JSON.stringify(message))) {
+        deliveredTo.push(peerId);
+      }
+    });
+
+    // The server stores it and relays it to everyone else
+    const sent = emitEvent('chat-message', { roomId, message, deliveredTo });
+    if (!sent && deliveredTo.length === 0) return false;
+
+    seenIdsRef.current.add(message.id);
+    const from = socketRef.current ? socketRef.current.id : null;
+    setMessages((prev) => [...prev, { ...message, from, own: true }]);
+    return true;
+  }, [roomId, peersRef, sendOnDataChannel, emitEvent, socketRef]);
+
+  /**
+   * Open or close the chat panel; opening it marks everything as read
+   * @param {boolean} open - Whether the panel is open
+   */
+  const setChatOpen = useCallback((open) => {
+    chatOpenRef.current = open;
+    setChatOpenState(open);
+    if (open) {
+      setUnreadCount(0);
+    }
+  }, []);
+
+  /**
+   * Forget all messages (when leaving the room)
+   */
+  const clearChat = useCallback(() => {
+    seenIdsRef.current.clear();
+    setMessages([]);
+    setUnreadCount(0);
+  }, []);
+
+  return {
+    messages,
+    unreadCount,
+    chatOpen,
+    setChatOpen,
+    sendMessage,
+    clearChat
+  };
+};
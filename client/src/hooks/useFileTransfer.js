@@ -0,0 +1,416 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+
+// Transfer tuning
+export const FILE_MAX_SIZE = 100 * 1024 * 1024; // 100 MB, the whole file is hashed in memory
+const CHUNK_SIZE = 16 * 1024; // Safe message size across browsers
+const BUFFER_HIGH = 1024 * 1024; // Pause sending above this many buffered bytes
+const BUFFER_LOW = 256 * 1024; // Resume once the buffer drains below this
+const PROGRESS_INTERVAL = 250; // Minimum ms between progress updates
+
+/**
+ * Compute the SHA-256 digest of a file or buffer as a hex string
+ * @param {Blob|ArrayBuffer} data - Data to hash
+ * @returns {Promise<string>} Hex digest
+ */
+const sha256 = async (data) => {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Wait until a data channel's send buffer drains (or the channel closes)
+ * @param {RTCDataChannel} channel - The data channel
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (channel) => new Promise((resolve) => {
+  const done = () => {
+    channel.removeEventListener('bufferedamountlow', done);
+    channel.removeEventListener('close', done);
+    resolve();
+  };
+  channel.addEventListener('bufferedamountlow', done);
+  channel.addEventListener('close', done);
+});
+
+/**
+ * Custom hook for peer-to-peer file transfer over the "file" data channel
+ *
+ * Protocol (JSON control messages, binary chunks in between):
+ *   sender   → file-offer  { id, name, size, mimeType, hash }
+ *   receiver → file-accept { id, offset }   offset = bytes already received
+ *   sender   → <binary chunks from offset>, then file-end { id }
+ *   receiver → file-ack    { id, ok }       ok = hash matched
+ *   either   → file-cancel { id }
+ *
+ * Each peer sends one file at a time. When the peer connection is rebuilt,
+ * the new channel re-offers the interrupted file and the receiver answers
+ * with how much it already has, so the transfer resumes where it stopped.
+ *
+ * @param {Object} peerConnection - { peersRef, addDataChannelListener, getOpenDataChannel } from usePeerConnection
+ * @returns {Object} Transfer state and methods
+ */
+export const useFileTransfer = (peerConnection) => {
+  const { peersRef, addDataChannelListener, getOpenDataChannel } = peerConnection;
+
+  // Rendered transfer list: [{ id, peerId, direction, name, size, transferred, status, error?, url? }]
+  // status: queued | transferring | interrupted | verifying | complete | failed | cancelled
+  const [transfers, setTransfers] = useState([]);
+  // Outgoing queues: Map<peerId, Array<{ id, file, hash, sending, cancelled }>>
+  const outgoingRef = useRef(new Map());
+  // Incoming transfers: Map<id, { id, peerId, name, size, mimeType, hash, chunks, received }>
+  const incomingRef = useRef(new Map());
+  // Incoming transfer currently streaming from each peer: Map<peerId, id>
+  const activeIncomingRef = useRef(new Map());
+  const lastProgressRef = useRef({}); // { id: timestamp }
+
+  const updateTransfer = useCallback((id, patch) => {
+    setTransfers((prev) => prev.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  }, []);
+
+  /**
+   * Report progress, at most every PROGRESS_INTERVAL ms
+   */
+  const reportProgress = useCallback((id, transferred) => {
+    const now = Date.now();
+    if (now - (lastProgressRef.current[id] || 0) < PROGRESS_INTERVAL) return;
+    lastProgressRef.current[id] = now;
+    updateTransfer(id, { transferred });
+  }, [updateTransfer]);
+
+  const sendControl = useCallback((peerId, message) => {
+    const channel = getOpenDataChannel(peerId, 'file');
+    if (!channel) return false;
+    channel.send(JSON.stringify(message));
+    return true;
+  }, [getOpenDataChannel]);
+
+  /**
+   * Offer the next queued file to a peer, if the channel is open and idle
+   */
+  const offerNext = useCallback((peerId) => {
+    const queue = outgoingRef.current.get(peerId);
+    const transfer = queue && queue[0];
+    if (!transfer || transfer.sending) return;
+
+    const { id, file, hash } = transfer;
+    if (sendControl(peerId, { type: 'file-offer', id, name: file.name, size: file.size, mimeType: file.type, hash })) {
+      updateTransfer(id, { status: 'transferring', error: null });
+    }
+  }, [sendControl, updateTransfer]);
+
+  /**
+   * Remove the head of a peer's outgoing queue and move on to the next file
+   */
+  const finishOutgoing = useCallback((peerId, id) => {
+    const queue = outgoingRef.current.get(peerId) || [];
+    outgoingRef.current.set(peerId, queue.filter((t) => t.id !== id));
+    delete lastProgressRef.current[id];
+    offerNext(peerId);
+  }, [offerNext]);
+
+  /**
+   * Stream a file to a peer from the given offset, respecting backpressure
+   * The loop stays on the channel it started on; if that channel closes,
+   * the transfer is re-offered on the replacement channel.
+   */
+  const sendChunks = useCallback(async (peerId, id, offset) => {
+    const queue = outgoingRef.current.get(peerId) || [];
+    const transfer = queue.find((t) => t.id === id);
+    const channel = getOpenDataChannel(peerId, 'file');
+    if (!transfer || transfer.sending || !channel) return;
+
+    transfer.sending = true;
+    const { file } = transfer;
+    let position = offset;
+
+    const interrupt = () => {
+      transfer.sending = false;
+      updateTransfer(id, { status: 'interrupted', transferred: position });
+      // The replacement channel may already be open
+      offerNext(peerId);
+    };
+
+    while (position < file.size) {
+      if (transfer.cancelled) return;
+      if (channel.readyState !== 'open') {
+        interrupt();
+        return;
+      }
+      if (channel.bufferedAmount > BUFFER_HIGH) {
+        channel.bufferedAmountLowThreshold = BUFFER_LOW;
+        await waitForDrain(channel);
+        continue;
+      }
+
+      const chunk = await file.slice(position, position + CHUNK_SIZE).arrayBuffer();
+      try {
+        channel.send(chunk);
+      } catch (e) {
+        console.warn('[useFileTransfer] Error sending chunk:', e);
+        interrupt();
+        return;
+      }
+      position += chunk.byteLength;
+      reportProgress(id, position);
+    }
+
+    transfer.sending = false;
+    if (channel.readyState === 'open') {
+      channel.send(JSON.stringify({ type: 'file-end', id }));
+      updateTransfer(id, { status: 'verifying', transferred: file.size });
+    } else {
+      interrupt();
+    }
+  }, [getOpenDataChannel, offerNext, updateTransfer, reportProgress]);
+
+  /**
+   * Assemble a completed incoming file and check it against the sender's hash
+   */
+  const completeIncoming = useCallback(async (peerId, id) => {
+    const incoming = incomingRef.current.get(id);
+    if (!incoming) return;
+    activeIncomingRef.current.delete(peerId);
+    updateTransfer(id, { status: 'verifying', transferred: incoming.received });
+
+    const blob = new Blob(incoming.chunks, { type: incoming.mimeType || 'application/octet-stream' });
+    const ok = incoming.received === incoming.size && (await sha256(blob)) === incoming.hash;
+    incomingRef.current.delete(id);
+    delete lastProgressRef.current[id];
+
+    sendControl(peerId, { type: 'file-ack', id, ok });
+    if (ok) {
+      updateTransfer(id, { status: 'complete', url: URL.createObjectURL(blob) });
+    } else {
+      updateTransfer(id, { status: 'failed', error: 'Integrity check failed' });
+    }
+  }, [sendControl, updateTransfer]);
+
+  /**
+   * Handle a control message from a peer
+   */
+  const handleControl = useCallback((peerId, message) => {
+    const { type, id } = message;
+
+    if (type === 'file-offer') {
+      let incoming = incomingRef.current.get(id);
+      if (!incoming) {
+        if (!Number.isFinite(message.size) || message.size < 0 || message.size > FILE_MAX_SIZE) {
+          sendControl(peerId, { type: 'file-cancel', id });
+          return;
+        }
+        incoming = {
+          id,
+          peerId,
+          name: String(message.name || 'file'),
+          size: message.size,
+          mimeType: message.mimeType,
+          hash: message.hash,
+          chunks: [],
+          received: 0
+        };
+        incomingRef.current.set(id, incoming);
+        setTransfers((prev) => [...prev, {
+          id, peerId, direction: 'receive', name: incoming.name, size: incoming.size, transferred: 0, status: 'transferring'
+        }]);
+      } else {
+        updateTransfer(id, { status: 'transferring', error: null });
+      }
+      activeIncomingRef.current.set(peerId, id);
+      sendControl(peerId, { type: 'file-accept', id, offset: incoming.received });
+    } else if (type === 'file-accept') {
+      sendChunks(peerId, id, Math.max(0, Number(message.offset) || 0));
+    } else if (type === 'file-end') {
+      completeIncoming(peerId, id);
+    } else if (type === 'file-ack') {
+      updateTransfer(id, message.ok
+        ? { status: 'complete' }
+        : { status: 'failed', error: 'Integrity check failed on the receiving side' });
+      finishOutgoing(peerId, id);
+    } else if (type === 'file-cancel') {
+      if (incomingRef.current.has(id)) {
+        incomingRef.current.delete(id);
+        activeIncomingRef.current.delete(peerId);
+      }
+      const queue = outgoingRef.current.get(peerId) || [];
+      const outgoing = queue.find((t) => t.id === id);
+      if (outgoing) {
+        outgoing.cancelled = true;
+        finishOutgoing(peerId, id);
+      }
+      updateTransfer(id, { status: 'cancelled' });
+    }
+  }, [sendControl, sendChunks, completeIncoming, finishOutgoing, updateTransfer]);
+
+  // Wire up the "file" data channel of every peer connection
+  useEffect(() => {
+    return addDataChannelListener('file', {
+      // A new channel resumes whatever was queued or interrupted
+      onOpen: (peerId) => offerNext(peerId),
+      onMessage: (peerId, data) => {
+        if (typeof data === 'string') {
+          try {
+            handleControl(peerId, JSON.parse(data));
+          } catch (e) {
+            console.warn('[useFileTransfer] Ignoring malformed control message:', e);
+          }
+          return;
+        }
+
+        const incoming = incomingRef.current.get(activeIncomingRef.current.get(peerId));
+        if (!incoming) return;
+        // Never hold more than was offered, whatever the sender keeps sending
+        if (incoming.received + data.byteLength > incoming.size) {
+          sendControl(peerId, { type: 'file-cancel', id: incoming.id });
+          incomingRef.current.delete(incoming.id);
+          activeIncomingRef.current.delete(peerId);
+          delete lastProgressRef.current[incoming.id];
+          updateTransfer(incoming.id, { status: 'failed', error: 'The sender sent more than the file size' });
+          return;
+        }
+        incoming.chunks.push(data);
+        incoming.received += data.byteLength;
+        reportProgress(incoming.id, incoming.received);
+      },
+      onClose: (peerId) => {
+        const id = activeIncomingRef.current.get(peerId);
+        if (id) {
+          updateTransfer(id, { status: 'interrupted' });
+        }
+      }
+    });
+  }, [addDataChannelListener, offerNext, handleControl, sendControl, reportProgress, updateTransfer]);
+
+  /**
+   * Send a file to every connected participant
+   * @param {File} file - The file to send
+   * @returns {Promise<string|null>} An error message, or null when queued
+   */
+  const sendFile = useCallback(async (file) => {
+    if (!file) return null;
+    if (file.size > FILE_MAX_SIZE) {
+      return `Files larger than ${Math.round(FILE_MAX_SIZE / (1024 * 1024))} MB cannot be sent.`;
+    }
+
+    const peerIds = Array.from(peersRef.current.keys()).filter((peerId) => getOpenDataChannel(peerId, 'file'));
+    if (peerIds.length === 0) {
+      return 'Nobody is connected to receive the file.';
+    }
+
+    const hash = await sha256(file);
+    peerIds.forEach((peerId) => {
+      const id = uuidv4();
+      const queue = outgoingRef.current.get(peerId) || [];
+      queue.push({ id, file, hash, sending: false, cancelled: false });
+      outgoingRef.current.set(peerId, queue);
+      setTransfers((prev) => [...prev, {
+        id, peerId, direction: 'send', name: file.name, size: file.size, transferred: 0, status: 'queued'
+      }]);
+      offerNext(peerId);
+    });
+    return null;
+  }, [peersRef, getOpenDataChannel, offerNext]);
+
+  /**
+   * Cancel a transfer in either direction
+   * @param {string} id - Transfer ID
+   */
+  const cancelTransfer = useCallback((id) => {
+    const transfer = transfers.find((t) => t.id === id);
+    if (!transfer) return;
+
+    sendControl(transfer.peerId, { type: 'file-cancel', id });
+    if (transfer.direction === 'send') {
+      const outgoing = (outgoingRef.current.get(transfer.peerId) || []).find((t) => t.id === id);
+      if (outgoing) outgoing.cancelled = true;
+      finishOutgoing(transfer.peerId, id);
+    } else {
+      incomingRef.current.delete(id);
+      if (activeIncomingRef.current.get(transfer.peerId) === id) {
+        activeIncomingRef.current.delete(transfer.peerId);
+      }
+    }
+    updateTransfer(id, { status: 'cancelled' });
+  }, [transfers, sendControl, finishOutgoing, updateTransfer]);
+
+  /**
+   * Remove a finished transfer from the list
+   * @param {string} id - Transfer ID
+   */
+  const dismissTransfer = useCallback((id) => {
+    setTransfers((prev) => prev.filter((t) => {
+      if (t.id !== id) return true;
+      if (t.url) URL.revokeObjectURL(t.url);
+      return false;
+    }));
+  }, []);
+
+  /**
+   * Hand a participant's transfers over to the socket they resumed their seat
+   * with; the new connection re-offers (or is re-offered) what was unfinished
+   * @param {string} fromPeerId - Socket ID they had
+   * @param {string} toPeerId - Socket ID they have now
+   */
+  const movePeerTransfers = useCallback((fromPeerId, toPeerId) => {
+    const queue = outgoingRef.current.get(fromPeerId);
+    if (queue) {
+      outgoingRef.current.delete(fromPeerId);
+      outgoingRef.current.set(toPeerId, queue);
+    }
+    incomingRef.current.forEach((incoming) => {
+      if (incoming.peerId === fromPeerId) incoming.peerId = toPeerId;
+    });
+    const activeId = activeIncomingRef.current.get(fromPeerId);
+    activeIncomingRef.current.delete(fromPeerId);
+    setTransfers((prev) => prev.map((t) => {
+      if (t.peerId !== fromPeerId) return t;
+      return t.id === activeId ? { ...t, peerId: toPeerId, status: 'interrupted' } : { ...t, peerId: toPeerId };
+    }));
+  }, []);
+
+  /**
+   * Give up the unfinished transfers of a participant who left
+   * @param {string} peerId
+   */
+  const dropPeerTransfers = useCallback((peerId) => {
+    (outgoingRef.current.get(peerId) || []).forEach((t) => { t.cancelled = true; });
+    outgoingRef.current.delete(peerId);
+    incomingRef.current.forEach((incoming, id) => {
+      if (incoming.peerId !== peerId) return;
+      incomingRef.current.delete(id);
+      delete lastProgressRef.current[id];
+    });
+    activeIncomingRef.current.delete(peerId);
+    // Received files being verified are all here already, and finish anyway
+    const unfinished = (t) => ['queued', 'transferring', 'interrupted'].includes(t.status) ||
+      (t.direction === 'send' && t.status === 'verifying');
+    setTransfers((prev) => prev.map((t) => (
+      t.peerId === peerId && unfinished(t) ? { ...t, status: 'failed', error: 'The participant left' } : t
+    )));
+  }, []);
+
+  /**
+   * Drop all transfers (when leaving the room)
+   */
+  const clearTransfers = useCallback(() => {
+    outgoingRef.current.forEach((queue) => queue.forEach((t) => { t.cancelled = true; }));
+    outgoingRef.current.clear();
+    incomingRef.current.clear();
+    activeIncomingRef.current.clear();
+    setTransfers((prev) => {
+      prev.forEach((t) => t.url && URL.revokeObjectURL(t.url));
+      return [];
+    });
+  }, []);
+
+  return {
+    transfers,
+    sendFile,
+    cancelTransfer,
+    dismissTransfer,
+    movePeerTransfers,
+    dropPeerTransfers,
+    clearTransfers
+  };
+};
@@ -0,0 +1,148 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import {
+  SHORTCUT_ACTIONS,
+  keyOf,
+  isTypingTarget,
+  defaultShortcutSettings,
+  loadShortcutSettings,
+  saveShortcutSettings
+} from '../utils/shortcuts';
+
+/**
+ * Custom hook for the keyboard shortcuts of the call, and push-to-talk
+ * Keys typed into text fields are left alone. In push-to-talk mode the
+ * microphone is muted except while the push-to-talk key is held, and the
+ * toggleMute shortcut does nothing.
+ * @param {Object} handlers - { actionId: Function } for the actions of SHORTCUT_ACTIONS
+ * @param {Function} toggleMute - toggleMute from useMediaStream (takes an optional mute flag)
+ * @param {boolean} enabled - Whether the call is on screen (shortcuts do nothing before joining)
+ * @returns {Object} Shortcut settings and methods
+ */
+export const useKeyboardShortcuts = (handlers, toggleMute, enabled) => {
+  // { bindings: { actionId: key }, pushToTalk, pushToTalkKey }, remembered between calls
+  const [settings, setSettings] = useState(loadShortcutSettings);
+  // Whether the push-to-talk key is held
+  const [talking, setTalking] = useState(false);
+  const talkingRef = useRef(false);
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const updateSettings = useCallback((change) => {
+    const next = change(settingsRef.current);
+    settingsRef.current = next;
+    setSettings(next);
+    saveShortcutSettings(next);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const stopTalking = () => {
+      if (!talkingRef.current) return;
+      talkingRef.current = false;
+      setTalking(false);
+      toggleMute(true);
+    };
+
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const key = keyOf(e);
+      if (!key) return;
+      const { bindings, pushToTalk, pushToTalkKey } = settingsRef.current;
+
+      if (pushToTalk && key === pushToTalkKey) {
+        // Also keeps Space from clicking the focused button
+        e.preventDefault();
+        if (e.repeat) return;
+        talkingRef.current = true;
+        setTalking(true);
+        toggleMute(false);
+        return;
+      }
+
+      const action = Object.keys(bindings).find((id) => bindings[id] === key);
+      // Only the push-to-talk key opens the microphone
+      if (pushToTalk && action === 'toggleMute') return;
+      const handler = action && handlersRef.current[action];
+      if (!handler) return;
+      e.preventDefault();
+      if (!e.repeat) handler();
+    };
+
+    // Modifiers may be let go first, so only the key itself has to match
+    const handleKeyUp = (e) => {
+      const { pushToTalk, pushToTalkKey } = settingsRef.current;
+      if (!pushToTalk || e.code !== pushToTalkKey.split('+').pop()) return;
+      e.preventDefault();
+      stopTalking();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    // The key-up is missed when the window loses focus while the key is held
+    window.addEventListener('blur', stopTalking);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', stopTalking);
+      stopTalking();
+    };
+  }, [enabled, toggleMute]);
+
+  /**
+   * Bind an action to a key; an action already on that key loses it
+   * @param {string} actionId - One of SHORTCUT_ACTIONS
+   * @param {string} key - Key as written by keyOf
+   */
+  const setShortcut = useCallback((actionId, key) => {
+    if (!SHORTCUT_ACTIONS[actionId]) return;
+    updateSettings((current) => {
+      const bindings = { ...current.bindings };
+      Object.keys(bindings).forEach((id) => {
+        if (bindings[id] === key) bindings[id] = '';
+      });
+      bindings[actionId] = key;
+      return { ...current, bindings };
+    });
+  }, [updateSettings]);
+
+  /**
+   * Turn push-to-talk mode on (muting the microphone) or off
+   * @param {boolean} on
+   */
+  const setPushToTalk = useCallback((on) => {
+    updateSettings((current) => ({ ...current, pushToTalk: on }));
+    if (on) toggleMute(true);
+  }, [updateSettings, toggleMute]);
+
+  /**
+   * Pick the key held to talk; an action on that key loses it
+   * @param {string} key - Key as written by keyOf
+   */
+  const setPushToTalkKey = useCallback((key) => {
+    updateSettings((current) => {
+      const bindings = { ...current.bindings };
+      Object.keys(bindings).forEach((id) => {
+        if (bindings[id] === key) bindings[id] = '';
+      });
+      return { ...current, bindings, pushToTalkKey: key };
+    });
+  }, [updateSettings]);
+
+  const resetShortcuts = useCallback(() => {
+    updateSettings(() => defaultShortcutSettings());
+  }, [updateSettings]);
+
+  return {
+    shortcuts: settings.bindings,
+    pushToTalk: settings.pushToTalk,
+    pushToTalkKey: settings.pushToTalkKey,
+    talking,
+    setShortcut,
+    setPushToTalk,
+    setPushToTalkKey,
+    resetShortcuts
+  };
+};
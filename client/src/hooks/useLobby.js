@@ -0,0 +1,69 @@
+import { useState, useCallback, useEffect } from 'react';
+
+/**
+ * Custom hook for the waiting room of knock-to-enter rooms
+ * Tracks who hosts the room and, for the host, who is waiting to be let in.
+ * @param {string} roomId - The room ID
+ * @param {Object} socketConnection - { socketRef, subscribe, emitEvent } from useSocketConnection
+ * @returns {Object} Lobby state and methods
+ */
+export const useLobby = (roomId, socketConnection) => {
+  const { socketRef, subscribe, emitEvent } = socketConnection;
+
+  const [hostId, setHostId] = useState(null);
+  const [waiting, setWaiting] = useState([]); // [{ socketId, requestedAt }], only sent to the host
+
+  const isHost = !!hostId && !!socketRef.current && hostId === socketRef.current.id;
+
+  useEffect(() => {
+    const offLobby = subscribe('lobby-update', ({ waiting: list = [] }) => setWaiting(list));
+    const offHost = subscribe('host-changed', ({ hostId: newHostId }) => {
+      console.log('[useLobby] Host changed to', newHostId);
+      setHostId(newHostId);
+      // The server sends the new host the waiting list; everyone else drops theirs
+      if (!socketRef.current || newHostId !== socketRef.current.id) {
+        setWaiting([]);
+      }
+    });
+    return () => {
+      offLobby();
+      offHost();
+    };
+  }, [subscribe, socketRef]);
+
+  /**
+   * Answer a knock (host only)
+   * @param {string} event - 'admit-peer' | 'deny-peer'
+   * @param {string} socketId - Socket ID of the waiting person
+   */
+  const decide = useCallback((event, socketId) => {
+    // Hide the entry right away; the server confirms with a new lobby-update
+    setWaiting((prev) => prev.filter((w) => w.socketId !== socketId));
+    emitEvent(event, { roomId, socketId }, (res) => {
+      if (res && !res.ok) {
+        console.warn(`[useLobby] ${event} failed:`, res.reason);
+      }
+    });
+  }, [roomId, emitEvent]);
+
+  const admit = useCallback((socketId) => decide('admit-peer', socketId), [decide]);
+  const deny = useCallback((socketId) => decide('deny-peer', socketId), [decide]);
+
+  /**
+   * Forget the lobby state (on leaving the call)
+   */
+  const clearLobby = useCallback(() => {
+    setHostId(null);
+    setWaiting([]);
+  }, []);
+
+  return {
+    hostId,
+    setHostId,
+    isHost,
+    waiting,
+    admit,
+    deny,
+    clearLobby
+  };
+};
@@ -0,0 +1,131 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  DEVICE_KINDS,
+  DEVICE_NAMES,
+  speakerSelectionSupported,
+  listDevices,
+  loadDevicePreferences,
+  saveDevicePreference
+} from '../utils/mediaDevices';
+
+const labelOf = (devices, kind, deviceId) => {
+  const device = devices[kind].find((d) => d.deviceId === deviceId);
+  return device ? device.label : `the default ${DEVICE_NAMES[kind]}`;
+};
+
+/**
+ * Custom hook for picking the camera, microphone and speaker
+ * Switching an input replaces the outgoing track on every connection
+ * without renegotiating; the choice is remembered for later calls. When a
+ * device in use is unplugged the call moves to the system default, and back
+ * to the chosen device once it is plugged in again.
+ * @param {Object} mediaStream - { streamRef, currentDeviceId, switchDevice } from useMediaStream
+ * @returns {Object} Device lists, selection and methods
+ */
+export const useMediaDevices = (mediaStream) => {
+  const { streamRef, currentDeviceId, switchDevice } = mediaStream;
+
+  const [devices, setDevices] = useState({ videoinput: [], audioinput: [], audiooutput: [] });
+  // Device IDs in use; '' is the system default
+  const [selectedDevices, setSelectedDevices] = useState(() => ({
+    videoinput: '',
+    audioinput: '',
+    audiooutput: speakerSelectionSupported ? loadDevicePreferences().audiooutput || '' : ''
+  }));
+  // Message about a device that went away or came back
+  const [deviceNotice, setDeviceNotice] = useState(null);
+  const selectedDevicesRef = useRef(selectedDevices);
+  selectedDevicesRef.current = selectedDevices;
+  // Switches run one at a time, device changes arrive in bursts
+  const switchingRef = useRef(Promise.resolve());
+
+  /**
+   * Refresh the device lists and read which devices the stream uses
+   * @returns {Promise<Object>} The device lists
+   */
+  const syncDevices = useCallback(async () => {
+    const listed = await listDevices();
+    setDevices(listed);
+    setSelectedDevices((current) => ({
+      ...current,
+      videoinput: currentDeviceId('videoinput'),
+      audioinput: currentDeviceId('audioinput')
+    }));
+    return listed;
+  }, [currentDeviceId]);
+
+  /**
+   * Use a device, switching to it in the middle of the call
+   * @param {string} kind - One of DEVICE_KINDS
+   * @param {string} deviceId - Device ID; empty for the system default
+   * @param {boolean} [remember=true] - Whether to keep it as the preference for later calls
+   * @returns {Promise<string|null>} Error message, or null when the device is in use
+   */
+  const selectDevice = useCallback((kind, deviceId, remember = true) => {
+    if (!DEVICE_KINDS.includes(kind)) return Promise.resolve(null);
+    const run = async () => {
+      let inUse = deviceId;
+      if (kind === 'audiooutput') {
+        if (!speakerSelectionSupported) return 'This browser cannot pick the speaker.';
+      } else {
+        try {
+          inUse = await switchDevice(kind, deviceId);
+        } catch (err) {
+          console.error(`[useMediaDevices] ✗ Could not switch the ${DEVICE_NAMES[kind]}:`, err);
+          return `Could not switch the ${DEVICE_NAMES[kind]}: ${err.message || err.name}`;
+        }
+      }
+      setSelectedDevices((current) => ({ ...current, [kind]: inUse }));
+      if (remember) saveDevicePreference(kind, deviceId);
+      return null;
+    };
+    switchingRef.current = switchingRef.current.then(run);
+    return switchingRef.current;
+  }, [switchDevice]);
+
+  // Follow devices being plugged in and out
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices || !mediaDevices.addEventListener) return undefined;
+
+    const handleDeviceChange = async () => {
+      if (!streamRef.current) return;
+      const listed = await syncDevices();
+      const preferences = loadDevicePreferences();
+      const available = (kind, deviceId) => listed[kind].some((d) => d.deviceId === deviceId);
+
+      for (const kind of DEVICE_KINDS) {
+        const current = kind === 'audiooutput' ? selectedDevicesRef.current.audiooutput : currentDeviceId(kind);
+        const preferred = preferences[kind];
+        // No track of this kind (opened without it), or no speaker choice
+        if (kind !== 'audiooutput' && !current) continue;
+        if (kind === 'audiooutput' && !speakerSelectionSupported) continue;
+
+        if (preferred && preferred !== current && available(kind, preferred)) {
+          console.log(`[useMediaDevices] Preferred ${DEVICE_NAMES[kind]} is back, switching to it`);
+          if (!(await selectDevice(kind, preferred, false))) {
+            setDeviceNotice(`Switched back to ${labelOf(listed, kind, preferred)}.`);
+          }
+        } else if (current && !available(kind, current)) {
+          console.log(`[useMediaDevices] ${DEVICE_NAMES[kind]} in use was unplugged, using the default`);
+          const error = await selectDevice(kind, '', false);
+          setDeviceNotice(error || `Your ${DEVICE_NAMES[kind]} was disconnected. Using ${labelOf(listed, kind, '')} instead.`);
+        }
+      }
+    };
+
+    mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    return () => mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+  }, [streamRef, syncDevices, currentDeviceId, selectDevice]);
+
+  const dismissDeviceNotice = useCallback(() => setDeviceNotice(null), []);
+
+  return {
+    devices,
+    selectedDevices,
+    deviceNotice,
+    syncDevices,
+    selectDevice,
+    dismissDeviceNotice
+  };
+};
@@ -0,0 +1,159 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { formatErrorMessage } from '../utils/errorMessages';
+import {
+  DEVICE_NAMES,
+  listDevices,
+  loadDevicePreferences,
+  saveDevicePreference
+} from '../utils/mediaDevices';
+import { LEVEL_INTERVAL, createLevelMeter } from '../utils/audioLevel';
+
+const stopTracks = (stream) => {
+  if (stream) stream.getTracks().forEach((t) => t.stop());
+};
+
+/**
+ * Custom hook for the camera preview and microphone check before joining
+ * Opens the remembered devices, lists the others and measures the
+ * microphone level. Devices picked here are remembered, so the call opens
+ * the same ones.
+ * @returns {Object} Preview stream, devices, level and methods
+ */
+export const useMediaPreview = () => {
+  const [stream, setStream] = useState(null);
+  const [error, setError] = useState(null);
+  const [devices, setDevices] = useState({ videoinput: [], audioinput: [], audiooutput: [] });
+  // Device IDs of the preview tracks
+  const [selectedDevices, setSelectedDevices] = useState({ videoinput: '', audioinput: '' });
+  const [level, setLevel] = useState(0); // 0..1, see utils/audioLevel
+  const streamRef = useRef(null);
+
+  /**
+   * Show a new preview stream, with the lists and devices that go with it
+   * @param {MediaStream} next
+   */
+  const showStream = useCallback(async (next) => {
+    streamRef.current = next;
+    setStream(next);
+    const deviceIdOf = (track) => (track && track.getSettings().deviceId) || '';
+    setSelectedDevices({
+      videoinput: deviceIdOf(next.getVideoTracks()[0]),
+      audioinput: deviceIdOf(next.getAudioTracks()[0])
+    });
+    try {
+      setDevices(await listDevices());
+    } catch (err) {
+      console.warn('[useMediaPreview] Could not list media devices:', err);
+    }
+  }, []);
+
+  // Open the remembered devices, or the defaults when they are gone
+  useEffect(() => {
+    let cancelled = false;
+    const open = async () => {
+      const { videoinput, audioinput } = loadDevicePreferences();
+      let opened;
+      try {
+        opened = await navigator.mediaDevices.getUserMedia({
+          video: videoinput ? { deviceId: { exact: videoinput } } : true,
+          audio: audioinput ? { deviceId: { exact: audioinput } } : true
+        });
+      } catch (err) {
+        console.warn('[useMediaPreview] Could not open the remembered devices, trying the defaults:', err);
+        try {
+          opened = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+        } catch (fallbackError) {
+          console.error('[useMediaPreview] ✗ Preview getUserMedia failed:', fallbackError);
+          if (!cancelled) setError(formatErrorMessage(fallbackError));
+          return;
+        }
+      }
+      if (cancelled) {
+        stopTracks(opened);
+        return;
+      }
+      console.log('[useMediaPreview] ✓ Preview started');
+      showStream(opened);
+    };
+    open();
+
+    return () => {
+      cancelled = true;
+      stopTracks(streamRef.current);
+      streamRef.current = null;
+    };
+  }, [showStream]);
+
+  // Microphone level meter, rebuilt whenever the stream changes
+  useEffect(() => {
+    const meter = createLevelMeter(stream);
+    if (!meter) return undefined;
+    const timer = setInterval(() => setLevel(meter.read().level), LEVEL_INTERVAL);
+    return () => {
+      clearInterval(timer);
+      meter.close();
+      setLevel(0);
+    };
+  }, [stream]);
+
+  /**
+   * Preview another camera or microphone, and remember it
+   * @param {string} kind - 'videoinput' or 'audioinput'
+   * @param {string} deviceId - Device ID; empty for the system default
+   * @returns {Promise<string|null>} Error message, or null when the device is in use
+   */
+  const selectDevice = useCallback(async (kind, deviceId) => {
+    const current = streamRef.current;
+    if (!current) return null;
+    const isVideo = kind === 'videoinput';
+    const device = deviceId ? { deviceId: { exact: deviceId } } : true;
+    let track;
+    try {
+      const opened = await navigator.mediaDevices.getUserMedia(isVideo ? { video: device } : { audio: device });
+      track = isVideo ? opened.getVideoTracks()[0] : opened.getAudioTracks()[0];
+    } catch (err) {
+      console.error(`[useMediaPreview] ✗ Could not open the ${DEVICE_NAMES[kind]}:`, err);
+      return `Could not switch the ${DEVICE_NAMES[kind]}: ${err.message || err.name}`;
+    }
+
+    const kept = isVideo ? current.getAudioTracks() : current.getVideoTracks();
+    const replaced = isVideo ? current.getVideoTracks() : current.getAudioTracks();
+    replaced.forEach((t) => {
+      track.enabled = t.enabled;
+      t.stop();
+    });
+    saveDevicePreference(kind, deviceId);
+    // A new stream, so the video element and the level meter pick the track up
+    await showStream(new MediaStream([...kept, track]));
+    return null;
+  }, [showStream]);
+
+  /**
+   * Turn the preview camera off or on
+   * @param {boolean} off
+   */
+  const setPreviewVideoOff = useCallback((off) => {
+    if (!streamRef.current) return;
+    streamRef.current.getVideoTracks().forEach((t) => (t.enabled = !off));
+  }, []);
+
+  /**
+   * Release the camera and microphone, before the call opens them
+   */
+  const stopPreview = useCallback(() => {
+    stopTracks(streamRef.current);
+    streamRef.current = null;
+    setStream(null);
+  }, []);
+
+  return {
+    stream,
+    error,
+    devices,
+    selectedDevices,
+    level,
+    selectDevice,
+    setPreviewVideoOff,
+    stopPreview
+  };
+};
@@ -1,36 +1,52 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
 import { formatErrorMessage } from '../utils/errorMessages';
+import { loadDevicePreferences } from '../utils/mediaDevices';
+import { LEVEL_INTERVAL, LOCAL_SPEAKER, createLevelMeter, createLevelStore } from '../utils/audioLevel';
 
 /**
- * Custom hook for managing media stream (camera and microphone)
+ * Custom hook for managing media stream (camera, microphone and screen share)
  * @param {React.RefObject} localVideoRef - Ref to the local video element
+ * @param {Function} [onTrackChange] - Called with the new track when screen sharing starts or stops, or a device is switched
  * @returns {Object} Media stream state and controls
  */
-export const useMediaStream = (localVideoRef) => {
+export const useMediaStream = (localVideoRef, onTrackChange) => {
   const [muted, setMuted] = useState(false);
+  // Up to date between renders, for push-to-talk key presses
+  const mutedRef = useRef(false);
   const [videoOff, setVideoOff] = useState(false);
+  const [screenSharing, setScreenSharing] = useState(false);
   const [error, setError] = useState(null);
+  // Microphone track in use, and how loud it is: a level store holding { level, speaking }
+  // under LOCAL_SPEAKER (see utils/audioLevel)
+  const [audioTrack, setAudioTrack] = useState(null);
+  const [audioLevels] = useState(createLevelStore);
   const localStreamRef = useRef(null);
+  // Camera track kept alive (but out of the stream) while the screen is shared
+  const cameraTrackRef = useRef(null);
+  // Camera constraints of the current quality preset, also used to open the camera
+  const videoConstraintsRef = useRef({ width: { ideal: 1280 }, height: { ideal: 720 } });
+  const onTrackChangeRef = useRef(onTrackChange);
+  onTrackChangeRef.current = onTrackChange;
 
   /**
    * Request access to user's camera and microphone
+   * @param {Object} [initialState] - { muted, videoOff } to start with, as chosen before joining
    * @returns {Promise<MediaStream>} The media stream
    */
-  const getUserMedia = useCallback(async () => {
+  const getUserMedia = useCallback(async ({ muted: startMuted = false, videoOff: startVideoOff = false } = {}) => {
     try {
       console.log('[useMediaStream] Requesting camera/microphone access...');
       console.log('[useMediaStream] Browser:', navigator.userAgent);
       console.log('[useMediaStream] MediaDevices available:', !!navigator.mediaDevices);
       console.log('[useMediaStream] getUserMedia available:', !!navigator.mediaDevices?.getUserMedia);
       
+      // Open the devices picked in the device settings, if they are still around
+      const { videoinput, audioinput } = loadDevicePreferences();
       let stream;
       try {
         stream = await navigator.mediaDevices.getUserMedia({ 
-          video: { 
-            width: { ideal: 1280 },
-            height: { ideal: 720 }
-          }, 
-          audio: true 
+          video: videoinput ? { ...videoConstraintsRef.current, deviceId: { exact: videoinput } } : videoConstraintsRef.current, 
+          audio: audioinput ? { deviceId: { exact: audioinput } } : true 
         });
         console.log('[useMediaStream] ✓ Camera/microphone access granted');
         console.log('[useMediaStream] Stream tracks:', stream.getTracks().map(t => ({ kind: t.kind, enabled: t.enabled, readyState: t.readyState })));
@@ -50,10 +66,17 @@ export const useMediaStream = (localVideoRef) => {
           throw fallbackError; // Re-throw to be caught by outer catch
         }
       }
+      stream.getAudioTracks().forEach((t) => (t.enabled = !startMuted));
+      stream.getVideoTracks().forEach((t) => (t.enabled = !startVideoOff));
+      mutedRef.current = startMuted;
+      setMuted(startMuted);
+      setVideoOff(startVideoOff);
+
       // Stores the MediaStream object
       // Used to add tracks to WebRTC, toggle mute/video, stop tracks
       // Not for display
       localStreamRef.current = stream;
+      setAudioTrack(stream.getAudioTracks()[0] || null);
       if (localVideoRef.current) {
         //Set the local video element to media stream
         localVideoRef.current.srcObject = stream;
@@ -74,24 +97,174 @@ export const useMediaStream = (localVideoRef) => {
 
   /**
    * Toggle mute/unmute audio
+   * @param {boolean} [mute] - Mute (true) or unmute (false) instead of toggling, e.g. for push-to-talk
    */
-  const toggleMute = useCallback(() => {
+  const toggleMute = useCallback((mute) => {
     const s = localStreamRef.current;
     if (!s) return;
-    s.getAudioTracks().forEach((t) => (t.enabled = !t.enabled));
-    setMuted((m) => !m);
+    const next = typeof mute === 'boolean' ? mute : !mutedRef.current;
+    if (next === mutedRef.current) return;
+    mutedRef.current = next;
+    s.getAudioTracks().forEach((t) => (t.enabled = !next));
+    setMuted(next);
   }, []);
 
   /**
    * Toggle video on/off
+   * Applies to the camera track too while it is swapped out for a screen share
    */
   const toggleVideo = useCallback(() => {
     const s = localStreamRef.current;
     if (!s) return;
-    s.getVideoTracks().forEach((t) => (t.enabled = !t.enabled));
+    [...s.getVideoTracks(), cameraTrackRef.current].filter(Boolean).forEach((t) => (t.enabled = !t.enabled));
     setVideoOff((v) => !v);
   }, []);
 
+  /**
+   * Swap the video track of the local stream, so new peer connections pick up
+   * the current one, and report it so existing connections can replace theirs
+   */
+  const swapVideoTrack = useCallback((newTrack) => {
+    const s = localStreamRef.current;
+    if (!s) return;
+    s.getVideoTracks().forEach((t) => s.removeTrack(t));
+    s.addTrack(newTrack);
+    if (onTrackChangeRef.current) {
+      onTrackChangeRef.current(newTrack);
+    }
+  }, []);
+
+  /**
+   * Stop sharing the screen and put the camera back
+   * Also runs when sharing is stopped from the browser's own "Stop sharing" bar
+   */
+  const stopScreenShare = useCallback(() => {
+    const camera = cameraTrackRef.current;
+    if (!camera) return;
+
+    const s = localStreamRef.current;
+    const screenTrack = s ? s.getVideoTracks()[0] : null;
+    cameraTrackRef.current = null;
+    swapVideoTrack(camera);
+    if (screenTrack) {
+      screenTrack.onended = null;
+      screenTrack.stop();
+    }
+    setScreenSharing(false);
+    console.log('[useMediaStream] Screen sharing stopped');
+  }, [swapVideoTrack]);
+
+  /**
+   * Share the screen in place of the camera
+   * @returns {Promise<boolean>} False when the user cancelled the picker or sharing is unsupported
+   */
+  const startScreenShare = useCallback(async () => {
+    const s = localStreamRef.current;
+    if (!s || cameraTrackRef.current) return false;
+
+    let display;
+    try {
+      display = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    } catch (err) {
+      console.warn('[useMediaStream] Screen sharing not started:', err.name, err.message);
+      return false;
+    }
+
+    const screenTrack = display.getVideoTracks()[0];
+    // Favor legibility of text over motion smoothness
+    screenTrack.contentHint = 'detail';
+    screenTrack.onended = stopScreenShare;
+
+    // Sharing turns video on, keeping the camera's enabled state in sync with it
+    cameraTrackRef.current = s.getVideoTracks()[0] || null;
+    if (cameraTrackRef.current) {
+      cameraTrackRef.current.enabled = true;
+    }
+    setVideoOff(false);
+    swapVideoTrack(screenTrack);
+    setScreenSharing(true);
+    console.log('[useMediaStream] ✓ Screen sharing started');
+    return true;
+  }, [swapVideoTrack, stopScreenShare]);
+
+  /**
+   * Change what the camera captures (resolution, frame rate)
+   * Applies to the camera track even while a screen share stands in for it,
+   * and to the camera opened by the next getUserMedia.
+   * @param {MediaTrackConstraints} constraints - Video constraints
+   */
+  const applyVideoConstraints = useCallback(async (constraints) => {
+    videoConstraintsRef.current = constraints;
+    const s = localStreamRef.current;
+    const camera = cameraTrackRef.current || (s && s.getVideoTracks()[0]);
+    if (!camera || camera.readyState === 'ended') return;
+    try {
+      await camera.applyConstraints(constraints);
+    } catch (err) {
+      // The camera keeps its previous settings
+      console.warn('[useMediaStream] Could not apply video constraints:', err.name, err.message);
+    }
+  }, []);
+
+  /**
+   * Device ID of the camera or microphone in use
+   * @param {string} kind - 'videoinput' or 'audioinput'
+   * @returns {string} Device ID, or '' when there is no such track
+   */
+  const currentDeviceId = useCallback((kind) => {
+    const s = localStreamRef.current;
+    const track = kind === 'videoinput'
+      ? cameraTrackRef.current || (s && s.getVideoTracks()[0])
+      : s && s.getAudioTracks()[0];
+    return (track && track.getSettings().deviceId) || '';
+  }, []);
+
+  /**
+   * Switch to another camera or microphone in the middle of the call
+   * The new track takes the place of the old one in the local stream and on
+   * every connection (no renegotiation), keeping its mute/camera-off state.
+   * While the screen is shared, a new camera waits for the share to stop.
+   * @param {string} kind - 'videoinput' or 'audioinput'
+   * @param {string} deviceId - Device ID; empty for the system default
+   * @returns {Promise<string>} Device ID of the device now in use
+   * @throws {Error} When the device cannot be opened; the old one stays in use
+   */
+  const switchDevice = useCallback(async (kind, deviceId) => {
+    const s = localStreamRef.current;
+    if (!s) return '';
+    const isVideo = kind === 'videoinput';
+    const device = deviceId ? { deviceId: { exact: deviceId } } : {};
+    const opened = await navigator.mediaDevices.getUserMedia(
+      isVideo ? { video: { ...videoConstraintsRef.current, ...device } } : { audio: deviceId ? device : true }
+    );
+    const track = isVideo ? opened.getVideoTracks()[0] : opened.getAudioTracks()[0];
+
+    if (isVideo) {
+      const previous = cameraTrackRef.current || s.getVideoTracks()[0];
+      track.enabled = previous ? previous.enabled : true;
+      if (cameraTrackRef.current) {
+        cameraTrackRef.current = track;
+      } else {
+        swapVideoTrack(track);
+      }
+      if (previous) previous.stop();
+    } else {
+      const previous = s.getAudioTracks()[0];
+      track.enabled = previous ? previous.enabled : true;
+      if (previous) {
+        s.removeTrack(previous);
+        previous.stop();
+      }
+      s.addTrack(track);
+      setAudioTrack(track);
+      if (onTrackChangeRef.current) {
+        onTrackChangeRef.current(track);
+      }
+    }
+    console.log(`[useMediaStream] ✓ Switched ${isVideo ? 'camera' : 'microphone'} to`, track.label);
+    return track.getSettings().deviceId || '';
+  }, [swapVideoTrack]);
+
   /**
    * Stop all media tracks and clean up
    */
@@ -100,23 +273,59 @@ export const useMediaStream = (localVideoRef) => {
       localStreamRef.current.getTracks().forEach((t) => t.stop());
       localStreamRef.current = null;
     }
+    setAudioTrack(null);
+    if (cameraTrackRef.current) {
+      cameraTrackRef.current.stop();
+      cameraTrackRef.current = null;
+    }
+    setScreenSharing(false);
     if (localVideoRef.current) {
       localVideoRef.current.srcObject = null;
     }
+    mutedRef.current = false;
     setMuted(false);
     setVideoOff(false);
     setError(null);
   }, [localVideoRef]);
 
+  // Measure the microphone on a copy of its track, which stays enabled while
+  // muted: speaking into a muted microphone is worth a warning
+  useEffect(() => {
+    if (!audioTrack) return undefined;
+    const copy = audioTrack.clone();
+    copy.enabled = true;
+    const meter = createLevelMeter(new MediaStream([copy]));
+    if (!meter) {
+      copy.stop();
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      audioLevels.set({ [LOCAL_SPEAKER]: meter.read() });
+    }, LEVEL_INTERVAL);
+    return () => {
+      clearInterval(timer);
+      meter.close();
+      copy.stop();
+      audioLevels.set({});
+    };
+  }, [audioTrack, audioLevels]);
+
   return {
     stream: localStreamRef.current,
     streamRef: localStreamRef,
     muted,
     videoOff,
+    screenSharing,
     error,
+    audioLevels,
     getUserMedia,
     toggleMute,
     toggleVideo,
+    startScreenShare,
+    stopScreenShare,
+    applyVideoConstraints,
+    currentDeviceId,
+    switchDevice,
     stopStream
   };
 };
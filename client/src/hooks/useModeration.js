@@ -0,0 +1,64 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+/**
+ * Custom hook for host moderation
+ * Gives the host actions over other participants (remove, ask to mute, lock
+ * the room, hand over the host role) and reports the host's requests aimed
+ * at this participant. The server rejects these actions from anyone but the host.
+ * @param {string} roomId - The room ID
+ * @param {Object} socketConnection - { subscribe, emitEvent } from useSocketConnection
+ * @param {Object} handlers - { onRemoved(), onMuteRequested(kind) } for requests aimed at us
+ * @returns {Object} Moderation state and methods
+ */
+export const useModeration = (roomId, socketConnection, handlers) => {
+  const { subscribe, emitEvent } = socketConnection;
+
+  const [locked, setLocked] = useState(false);
+  // Latest handlers, so the subscriptions below do not depend on them
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const offLocked = subscribe('room-locked', ({ locked: isLocked }) => setLocked(!!isLocked));
+    const offRemoved = subscribe('removed', () => {
+      console.log('[useModeration] Removed from the room by the host');
+      if (handlersRef.current.onRemoved) handlersRef.current.onRemoved();
+    });
+    const offMute = subscribe('mute-requested', ({ kind }) => {
+      console.log('[useModeration] Host asked to turn off', kind);
+      if (handlersRef.current.onMuteRequested) handlersRef.current.onMuteRequested(kind);
+    });
+    return () => {
+      offLocked();
+      offRemoved();
+      offMute();
+    };
+  }, [subscribe]);
+
+  /**
+   * Send a host request to the server
+   * @param {string} event - Socket event name
+   * @param {Object} data - Event data, without the room ID
+   */
+  const hostRequest = useCallback((event, data) => {
+    emitEvent(event, { roomId, ...data }, (res) => {
+      if (res && !res.ok) {
+        console.warn(`[useModeration] ${event} failed:`, res.reason);
+      }
+    });
+  }, [roomId, emitEvent]);
+
+  const removeParticipant = useCallback((socketId) => hostRequest('remove-participant', { socketId }), [hostRequest]);
+  const requestMute = useCallback((socketId, kind) => hostRequest('request-mute', { socketId, kind }), [hostRequest]);
+  const setRoomLocked = useCallback((isLocked) => hostRequest('lock-room', { locked: isLocked }), [hostRequest]);
+  const transferHost = useCallback((socketId) => hostRequest('transfer-host', { socketId }), [hostRequest]);
+
+  return {
+    locked,
+    setLocked,
+    removeParticipant,
+    requestMute,
+    setRoomLocked,
+    transferHost
+  };
+};
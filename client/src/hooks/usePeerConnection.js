@@ -1,214 +1,650 @@
-import { useRef, useCallback, useState } from 'react';
-import { ICE_SERVERS, MAX_RECONNECT_ATTEMPTS, INITIAL_RECONNECT_DELAY } from '../utils/socketConfig';
+import { useRef, useCallback, useState, useEffect } from 'react';
+import { Device } from 'mediasoup-client';
+import {
+  ICE_SERVERS,
+  FORCE_RELAY,
+  fetchIceConfig,
+  MAX_RECONNECT_ATTEMPTS,
+  INITIAL_RECONNECT_DELAY,
+  RECOVERY_STAGE_TIMEOUT
+} from '../utils/socketConfig';
+import { STATS_INTERVAL, sampleStats, deriveStats } from '../utils/callStats';
+import { LEVEL_INTERVAL, createLevelMeter, createLevelStore } from '../utils/audioLevel';
+
+// Peer ID used to report the state of the connection to the SFU
+export const SFU_PEER_ID = 'sfu';
+
+// Share of the TURN credential lifetime after which the ICE configuration is fetched again
+const ICE_REFRESH_RATIO = 0.8;
+
+// Data channels opened on every mesh peer connection. They are negotiated
+// (same ID on both sides), so no ondatachannel handshake is needed.
+export const DATA_CHANNELS = {
+  chat: { id: 0, ordered: true },
+  file: { id: 1, ordered: true }
+};
 
 /**
- * Custom hook for managing WebRTC peer connection
- * @param {React.RefObject} remoteVideoRef - Ref to the remote video element
+ * Limit the encoding of the video a sender sends
+ * Does nothing for audio senders, and for senders that have not been
+ * negotiated yet (they are limited once connected).
+ * @param {RTCRtpSender} sender
+ * @param {Object} encoding - { maxBitrate, maxFramerate, scaleResolutionDownBy }
+ */
+const applyVideoEncoding = async (sender, encoding) => {
+  if (!sender || !sender.track || sender.track.kind !== 'video') return;
+  const parameters = sender.getParameters();
+  if (!parameters.encodings || parameters.encodings.length === 0) return;
+  parameters.encodings.forEach((e) => Object.assign(e, encoding));
+  try {
+    await sender.setParameters(parameters);
+  } catch (err) {
+    console.warn('[usePeerConnection] Could not limit the video encoding:', err.name, err.message);
+  }
+};
+
+/**
+ * Custom hook for managing WebRTC connections
+ * In mesh rooms, keeps one RTCPeerConnection per remote participant, keyed by their socket ID.
+ * In SFU rooms, publishes the local tracks to the server and subscribes to everyone else's.
  * @param {React.RefObject} localStreamRef - Ref to the local media stream
- * @param {Function} onSendSignal - Function to send signaling messages
- * @param {Function} onConnectionStateChange - Callback when connection state changes
+ * @param {Function} onSendSignal - Function to send signaling messages ({ to, type, payload })
+ * @param {Function} onConnectionStateChange - Callback (peerId, state) when a connection state changes
+ * @param {Function} onRequestSignal - Function sending an SFU request, resolving with the server's reply
  * @returns {Object} Peer connection state and methods
  */
-export const usePeerConnection = (remoteVideoRef, localStreamRef, onSendSignal, onConnectionStateChange) => {
-  const pcRef = useRef(null);
-  const [connectionState, setConnectionState] = useState('new'); // new | connecting | connected | disconnected | failed | closed
-  const peerReconnectAttemptsRef = useRef(0);
-  const reconnectTimeoutRef = useRef(null);
+export const usePeerConnection = (localStreamRef, onSendSignal, onConnectionStateChange, onRequestSignal) => {
+  // Map<socketId, RTCPeerConnection>
+  const peersRef = useRef(new Map());
+  const [remoteStreams, setRemoteStreams] = useState({}); // { socketId: MediaStream }
+  const [connectionStates, setConnectionStates] = useState({}); // { socketId: new | connecting | connected | disconnected | failed | closed }
+  const peerReconnectAttemptsRef = useRef({}); // { socketId: attempts }
+  const reconnectTimeoutsRef = useRef({}); // { socketId: timeoutId }
+  // Running recoveries: Map<socketId, { stage: 'ice-restart' | 'rebuild', timeoutId }>
+  const recoveryRef = useRef(new Map());
+  // Perfect negotiation roles assigned by the server: Map<socketId, polite>
+  // The polite side yields when both sides send an offer at the same time
+  const politeRef = useRef(new Map());
+  // Per-connection negotiation flags: Map<socketId, { makingOffer, ignoreOffer, answerPending }>
+  const negotiationRef = useRef(new Map());
+  // Open data channels: Map<socketId, { label: RTCDataChannel }>
+  const dataChannelsRef = useRef(new Map());
+  // Listeners registered through addDataChannelListener(): { label: Set<{ onOpen, onMessage }> }
+  const channelListenersRef = useRef({});
+  // ICE configuration for new connections, from the signaling server once loaded
+  const iceConfigRef = useRef({ iceServers: ICE_SERVERS, iceTransportPolicy: FORCE_RELAY ? 'relay' : 'all' });
+  const iceRefreshTimeoutRef = useRef(null);
+  // SFU session: { device, sendTransport, recvTransport, producers: Map<kind, Producer>, consumers: Map<consumerId, { consumer, peerId }> }
+  const sfuRef = useRef(null);
+  // Limits of the outgoing video ({ maxBitrate, maxFramerate, scaleResolutionDownBy }), null for none
+  const videoEncodingRef = useRef(null);
+  // Call quality per connection, refreshed every STATS_INTERVAL: { peerId: stats } (see utils/callStats)
+  const [stats, setStats] = useState({});
+  // Last stats sample per connection, to compute rates from: Map<peerId, sample>
+  const statsSamplesRef = useRef(new Map());
+  // How loud each remote participant is: a level store holding { peerId: { level, speaking } }
+  // (see utils/audioLevel), kept out of state as it changes ten times a second
+  const [audioLevels] = useState(createLevelStore);
+  // Level meters of the remote audio tracks, in one shared AudioContext: Map<peerId, { track, meter }>
+  const audioMetersRef = useRef(new Map());
+  const audioContextRef = useRef(null);
+  const remoteStreamsRef = useRef(remoteStreams);
+  remoteStreamsRef.current = remoteStreams;
+
+  /**
+   * Update the tracked connection state of a single peer
+   */
+  const updateConnectionState = useCallback((peerId, state) => {
+    setConnectionStates((prev) => ({ ...prev, [peerId]: state }));
+    if (onConnectionStateChange) {
+      onConnectionStateChange(peerId, state);
+    }
+  }, [onConnectionStateChange]);
+
+  /**
+   * Load the ICE configuration (STUN/TURN servers) used by new connections
+   * With TURN, it is fetched again before the credentials expire, so
+   * connections built later in a long call (new participants, rebuilds) work.
+   * Falls back to the default STUN server when the request fails.
+   * @returns {Promise<void>}
+   */
+  const loadIceConfig = useCallback(async () => {
+    clearTimeout(iceRefreshTimeoutRef.current);
+    try {
+      const { iceServers, iceTransportPolicy, ttl } = await fetchIceConfig();
+      iceConfigRef.current = { iceServers, iceTransportPolicy };
+      console.log('[usePeerConnection] Loaded ICE configuration:', iceServers.length, 'server entries, policy', iceTransportPolicy);
+      if (ttl) {
+        iceRefreshTimeoutRef.current = setTimeout(loadIceConfig, ttl * 1000 * ICE_REFRESH_RATIO);
+      }
+    } catch (err) {
+      console.warn('[usePeerConnection] Could not load ICE configuration, using defaults:', err.message);
+    }
+  }, []);
+
+  // Stop refreshing TURN credentials once the hook is gone
+  useEffect(() => () => clearTimeout(iceRefreshTimeoutRef.current), []);
+
+  /**
+   * Stop the recovery of a connection, once it is connected again or gone
+   * @param {string} peerId - Socket ID of the remote participant, or SFU_PEER_ID
+   */
+  const clearRecovery = useCallback((peerId) => {
+    const recovery = recoveryRef.current.get(peerId);
+    if (recovery) {
+      clearTimeout(recovery.timeoutId);
+      recoveryRef.current.delete(peerId);
+    }
+    if (reconnectTimeoutsRef.current[peerId]) {
+      clearTimeout(reconnectTimeoutsRef.current[peerId]);
+      delete reconnectTimeoutsRef.current[peerId];
+    }
+  }, []);
 
   /**
-   * Initialize the peer connection
+   * Initialize the peer connection for a remote participant
+   * @param {string} peerId - Socket ID of the remote participant
+   * @returns {RTCPeerConnection} The (possibly existing) peer connection
    */
-  const initPeerConnection = useCallback(() => {
-    if (pcRef.current) return;
-    
-    console.log('[usePeerConnection] Initializing peer connection...');
-    const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
-    //stores the RTCPeerConnection instance
-    pcRef.current = pc;
+  const initPeerConnection = useCallback((peerId) => {
+    if (peersRef.current.has(peerId)) return peersRef.current.get(peerId);
+
+    console.log('[usePeerConnection] Initializing peer connection for', peerId);
+    const pc = new RTCPeerConnection(iceConfigRef.current);
+    const negotiation = { makingOffer: false, ignoreOffer: false, answerPending: false };
+    peersRef.current.set(peerId, pc);
+    negotiationRef.current.set(peerId, negotiation);
+    setConnectionStates((prev) => ({ ...prev, [peerId]: 'new' }));
+
+    // Either side offers whenever something needs (re)negotiating: the initial
+    // tracks and data channels, a new track, an ICE restart
+    pc.onnegotiationneeded = async () => {
+      try {
+        negotiation.makingOffer = true;
+        await pc.setLocalDescription();
+        if (onSendSignal) {
+          onSendSignal({ to: peerId, type: 'offer', payload: pc.localDescription });
+        }
+      } catch (err) {
+        console.error('[usePeerConnection] Negotiation error', err);
+      } finally {
+        negotiation.makingOffer = false;
+      }
+    };
 
     // Add local tracks
     if (localStreamRef.current) {
       localStreamRef.current.getTracks().forEach((t) => pc.addTrack(t, localStreamRef.current));
     }
 
+    // Create data channels before the first offer so it includes them
+    const channels = {};
+    Object.entries(DATA_CHANNELS).forEach(([label, { id, ordered }]) => {
+      const channel = pc.createDataChannel(label, { negotiated: true, id, ordered });
+      channel.binaryType = 'arraybuffer';
+      channel.onopen = () => {
+        console.log(`[usePeerConnection] Data channel "${label}" open with`, peerId);
+        (channelListenersRef.current[label] || []).forEach((l) => l.onOpen && l.onOpen(peerId));
+      };
+      channel.onmessage = (event) => {
+        (channelListenersRef.current[label] || []).forEach((l) => l.onMessage && l.onMessage(peerId, event.data));
+      };
+      channel.onclose = () => {
+        (channelListenersRef.current[label] || []).forEach((l) => l.onClose && l.onClose(peerId));
+      };
+      channels[label] = channel;
+    });
+    dataChannelsRef.current.set(peerId, channels);
+
     pc.ontrack = (event) => {
-      console.log('[usePeerConnection] Received remote track');
-      if (remoteVideoRef.current) {
-        remoteVideoRef.current.srcObject = event.streams[0];
-      }
-      setConnectionState('connected');
-      if (onConnectionStateChange) {
-        onConnectionStateChange('connected');
-      }
+      console.log('[usePeerConnection] Received remote track from', peerId);
+      setRemoteStreams((prev) => ({ ...prev, [peerId]: event.streams[0] }));
+      updateConnectionState(peerId, 'connected');
     };
 
     pc.onicecandidate = (event) => {
       if (event.candidate && onSendSignal) {
-        onSendSignal({ type: 'ice-candidate', payload: event.candidate });
+        onSendSignal({ to: peerId, type: 'ice-candidate', payload: event.candidate });
       }
     };
 
     pc.onconnectionstatechange = () => {
+      // Ignore events from a connection that has already been replaced
+      if (peersRef.current.get(peerId) !== pc) return;
+
       const state = pc.connectionState;
-      console.log('[usePeerConnection] Peer connection state changed:', state);
-      setConnectionState(state);
-      
-      if (onConnectionStateChange) {
-        onConnectionStateChange(state);
-      }
-      
+      console.log(`[usePeerConnection] Peer connection state changed (${peerId}):`, state);
+      updateConnectionState(peerId, state);
+
       if (state === 'connected') {
-        peerReconnectAttemptsRef.current = 0; // Reset retry count on successful connection
-      } else if (state === 'disconnected' || state === 'failed') {
-        // Attempt to reconnect if needed
-        // Note: Reconnection logic is handled by useRoomConnection
+        peerReconnectAttemptsRef.current[peerId] = 0; // Reset retry count on successful connection
+        clearRecovery(peerId);
+        if (videoEncodingRef.current) {
+          pc.getSenders().forEach((sender) => applyVideoEncoding(sender, videoEncodingRef.current));
+        }
       }
+      // Note: Reconnection logic is handled by useRoomConnection
     };
 
     // Handle ICE connection state changes
     pc.oniceconnectionstatechange = () => {
-      const iceState = pc.iceConnectionState;
-      console.log('[usePeerConnection] ICE connection state changed:', iceState);
-      
-      if (iceState === 'failed' || iceState === 'disconnected') {
-        // If needed, try to restart ICE or reconnect
-        // Note: Reconnection logic is handled by useRoomConnection
-      }
-    };
-
-    // Handle errors
-    pc.onerror = (error) => {
-      console.error('[usePeerConnection] Peer connection error:', error);
+      console.log(`[usePeerConnection] ICE connection state changed (${peerId}):`, pc.iceConnectionState);
       // Note: Reconnection logic is handled by useRoomConnection
     };
-  }, [remoteVideoRef, localStreamRef, onSendSignal, onConnectionStateChange]);
+
+    return pc;
+  }, [localStreamRef, onSendSignal, updateConnectionState, clearRecovery]);
 
   /**
-   * Create and send an offer
-   * Creator creates offer and sends it to joiner
+   * Set this side's perfect negotiation role towards a remote participant
+   * @param {string} peerId - Socket ID of the remote participant
+   * @param {boolean} polite - Whether this side yields on offer collisions
    */
-  const createOffer = useCallback(async () => {
-    try {
-      if (!pcRef.current) {
-        console.warn('[usePeerConnection] Peer connection not initialized, initializing now...');
-        initPeerConnection();
+  const setPeerRole = useCallback((peerId, polite) => {
+    politeRef.current.set(peerId, polite);
+  }, []);
+
+  /**
+   * Close a peer connection and drop its data channels, keeping the peer's other state
+   * @param {string} peerId - Socket ID of the remote participant
+   */
+  const discardPeerConnection = useCallback((peerId) => {
+    const pc = peersRef.current.get(peerId);
+    if (pc) {
+      try {
+        pc.close();
+      } catch (e) {
+        console.warn('[usePeerConnection] Error closing peer connection:', e);
       }
-      
-      const pc = pcRef.current;
-      console.log('[usePeerConnection] Creating offer...');
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
-      
-      //send offer 
-      if (onSendSignal) {
-        onSendSignal({ type: 'offer', payload: pc.localDescription });
+      peersRef.current.delete(peerId);
+    }
+    negotiationRef.current.delete(peerId);
+    dataChannelsRef.current.delete(peerId);
+  }, []);
+
+  /**
+   * Close and forget the peer connection of a single participant
+   * @param {string} peerId - Socket ID of the remote participant
+   */
+  const closePeer = useCallback((peerId) => {
+    clearRecovery(peerId);
+    delete peerReconnectAttemptsRef.current[peerId];
+    politeRef.current.delete(peerId);
+    discardPeerConnection(peerId);
+
+    if (sfuRef.current) {
+      sfuRef.current.consumers.forEach(({ consumer, peerId: owner }, consumerId) => {
+        if (owner !== peerId) return;
+        consumer.close();
+        sfuRef.current.consumers.delete(consumerId);
+      });
+    }
+
+    setRemoteStreams(({ [peerId]: _removed, ...rest }) => rest);
+    setConnectionStates(({ [peerId]: _removed, ...rest }) => rest);
+  }, [discardPeerConnection, clearRecovery]);
+
+  /**
+   * Subscribe to a track published to the SFU by another participant
+   * @param {Object} producer - { producerId, socketId }
+   */
+  const addSfuConsumer = useCallback(async ({ producerId, socketId }) => {
+    const session = sfuRef.current;
+    if (!session || !session.recvTransport) return;
+
+    const { id, kind, rtpParameters } = await onRequestSignal({
+      type: 'consume',
+      payload: {
+        transportId: session.recvTransport.id,
+        producerId,
+        rtpCapabilities: session.device.rtpCapabilities
       }
-    } catch (err) {
-      console.error('[usePeerConnection] createOffer error', err);
-      throw err;
+    });
+    const consumer = await session.recvTransport.consume({ id, producerId, kind, rtpParameters });
+    session.consumers.set(consumer.id, { consumer, peerId: socketId });
+
+    // Replace the stream object so video elements pick up the new track
+    setRemoteStreams((prev) => {
+      const tracks = prev[socketId] ? prev[socketId].getTracks().filter((t) => t.kind !== kind) : [];
+      return { ...prev, [socketId]: new MediaStream([...tracks, consumer.track]) };
+    });
+    setConnectionStates((prev) => ({ ...prev, [socketId]: 'connected' }));
+
+    await onRequestSignal({ type: 'resume-consumer', payload: { consumerId: consumer.id } });
+  }, [onRequestSignal]);
+
+  /**
+   * Drop a consumer whose producer was closed on the server
+   * @param {string} consumerId - Consumer ID
+   */
+  const removeSfuConsumer = useCallback((consumerId) => {
+    const session = sfuRef.current;
+    const entry = session && session.consumers.get(consumerId);
+    if (!entry) return;
+
+    const { consumer, peerId } = entry;
+    consumer.close();
+    session.consumers.delete(consumerId);
+
+    setRemoteStreams((prev) => {
+      if (!prev[peerId]) return prev;
+      const tracks = prev[peerId].getTracks().filter((t) => t !== consumer.track);
+      return { ...prev, [peerId]: new MediaStream(tracks) };
+    });
+  }, []);
+
+  /**
+   * Create a send or receive transport to the SFU
+   * @param {Device} device - Loaded mediasoup device
+   * @param {string} direction - 'send' | 'recv'
+   * @returns {Promise<Transport>} The mediasoup transport
+   */
+  const createSfuTransport = useCallback(async (device, direction) => {
+    const { id, iceParameters, iceCandidates, dtlsParameters } = await onRequestSignal({
+      type: 'create-transport',
+      payload: { direction }
+    });
+    const { iceServers, iceTransportPolicy } = iceConfigRef.current;
+    const params = { id, iceParameters, iceCandidates, dtlsParameters, iceServers, iceTransportPolicy };
+    const transport = direction === 'send' ? device.createSendTransport(params) : device.createRecvTransport(params);
+
+    transport.on('connect', ({ dtlsParameters: localDtls }, callback, errback) => {
+      onRequestSignal({ type: 'connect-transport', payload: { transportId: transport.id, dtlsParameters: localDtls } })
+        .then(() => callback())
+        .catch(errback);
+    });
+
+    if (direction === 'send') {
+      transport.on('produce', ({ kind, rtpParameters, appData }, callback, errback) => {
+        onRequestSignal({ type: 'produce', payload: { transportId: transport.id, kind, rtpParameters, appData } })
+          .then(({ producerId }) => callback({ id: producerId }))
+          .catch(errback);
+      });
+
+      // The send transport carries our media, so its state stands for the whole session
+      transport.on('connectionstatechange', (state) => {
+        if (!sfuRef.current || sfuRef.current.sendTransport !== transport) return;
+        console.log('[usePeerConnection] SFU transport state changed:', state);
+        if (state === 'connected') {
+          peerReconnectAttemptsRef.current[SFU_PEER_ID] = 0;
+          clearRecovery(SFU_PEER_ID);
+        }
+        if (onConnectionStateChange) {
+          onConnectionStateChange(SFU_PEER_ID, state);
+        }
+      });
     }
-  }, [initPeerConnection, onSendSignal]);
+
+    return transport;
+  }, [onRequestSignal, onConnectionStateChange, clearRecovery]);
 
   /**
-   * Handle incoming offer
-   * Joiner receives offer from creator and creates/sends answer
+   * Join the SFU of the room: publish local tracks and subscribe to
+   * everything the other participants already publish
    */
-  const handleOffer = useCallback(async (offer) => {
+  const joinSfu = useCallback(async () => {
+    if (sfuRef.current) return;
+
+    console.log('[usePeerConnection] Joining SFU...');
+    const session = { device: new Device(), sendTransport: null, recvTransport: null, producers: new Map(), consumers: new Map() };
+    sfuRef.current = session;
+
     try {
-      if (!pcRef.current) {
-        initPeerConnection();
+      const { rtpCapabilities } = await onRequestSignal({ type: 'router-capabilities' });
+      await session.device.load({ routerRtpCapabilities: rtpCapabilities });
+
+      session.sendTransport = await createSfuTransport(session.device, 'send');
+      session.recvTransport = await createSfuTransport(session.device, 'recv');
+
+      if (localStreamRef.current) {
+        for (const track of localStreamRef.current.getTracks()) {
+          const producer = await session.sendTransport.produce({ track });
+          session.producers.set(track.kind, producer);
+          if (videoEncodingRef.current) {
+            await applyVideoEncoding(producer.rtpSender, videoEncodingRef.current);
+          }
+        }
       }
-      
-      const pc = pcRef.current;
-      await pc.setRemoteDescription(new RTCSessionDescription(offer));
-      const answer = await pc.createAnswer();
-      await pc.setLocalDescription(answer);
-      
-      if (onSendSignal) {
-        onSendSignal({ type: 'answer', payload: pc.localDescription });
+
+      const { producers } = await onRequestSignal({ type: 'list-producers' });
+      for (const producer of producers) {
+        await addSfuConsumer(producer);
       }
     } catch (err) {
-      console.error('[usePeerConnection] handleOffer error', err);
+      console.error('[usePeerConnection] joinSfu error', err);
+      if (sfuRef.current === session) {
+        sfuRef.current = null;
+      }
       throw err;
     }
-  }, [initPeerConnection, onSendSignal]);
+  }, [onRequestSignal, createSfuTransport, addSfuConsumer, localStreamRef]);
+
+  /**
+   * Close the SFU session (transports close their producers and consumers)
+   */
+  const closeSfu = useCallback(() => {
+    const session = sfuRef.current;
+    if (!session) return;
+    sfuRef.current = null;
+
+    [session.sendTransport, session.recvTransport].forEach((transport) => {
+      if (!transport) return;
+      try {
+        transport.close();
+      } catch (e) {
+        console.warn('[usePeerConnection] Error closing SFU transport:', e);
+      }
+    });
+  }, []);
 
   /**
-   * Handle incoming answer
+   * Handle an incoming offer or answer (perfect negotiation)
+   * An impolite side ignores a colliding offer; a polite side rolls back its
+   * own offer and answers the remote one.
+   * @param {string} peerId - Socket ID of the remote participant
+   * @param {RTCSessionDescriptionInit} description - The remote description
    */
-  const handleAnswer = useCallback(async (answer) => {
+  const handleDescription = useCallback(async (peerId, description) => {
     try {
-      if (!pcRef.current) {
-        console.warn('[usePeerConnection] Peer connection not initialized');
+      let pc = peersRef.current.get(peerId);
+      // A new offer for a dead connection means the remote side rebuilt theirs
+      if (pc && description.type === 'offer' && (pc.connectionState === 'failed' || pc.connectionState === 'closed')) {
+        discardPeerConnection(peerId);
+        pc = null;
+      }
+      if (!pc) {
+        if (description.type !== 'offer') {
+          console.warn('[usePeerConnection] Answer for unknown peer connection', peerId);
+          return;
+        }
+        pc = initPeerConnection(peerId);
+      }
+
+      const negotiation = negotiationRef.current.get(peerId);
+      const polite = politeRef.current.has(peerId) ? politeRef.current.get(peerId) : true;
+      const readyForOffer = !negotiation.makingOffer &&
+        (pc.signalingState === 'stable' || negotiation.answerPending);
+      const offerCollision = description.type === 'offer' && !readyForOffer;
+
+      negotiation.ignoreOffer = !polite && offerCollision;
+      if (negotiation.ignoreOffer) {
+        console.log('[usePeerConnection] Ignoring colliding offer from', peerId);
         return;
       }
-      
-      const pc = pcRef.current;
-      await pc.setRemoteDescription(new RTCSessionDescription(answer));
+
+      negotiation.answerPending = description.type === 'answer';
+      await pc.setRemoteDescription(description);
+      negotiation.answerPending = false;
+
+      if (description.type === 'offer') {
+        await pc.setLocalDescription();
+        if (onSendSignal) {
+          onSendSignal({ to: peerId, type: 'answer', payload: pc.localDescription });
+        }
+      }
     } catch (err) {
-      console.error('[usePeerConnection] handleAnswer error', err);
+      console.error('[usePeerConnection] handleDescription error', err);
       throw err;
     }
-  }, []);
+  }, [initPeerConnection, discardPeerConnection, onSendSignal]);
 
   /**
    * Handle incoming ICE candidate
    */
-  const handleIceCandidate = useCallback(async (candidate) => {
+  const handleIceCandidate = useCallback(async (peerId, candidate) => {
     try {
-      if (!pcRef.current) {
-        console.warn('[usePeerConnection] Peer connection not initialized');
+      const pc = peersRef.current.get(peerId);
+      if (!pc) {
+        console.warn('[usePeerConnection] Peer connection not initialized for', peerId);
         return;
       }
-      
-      const pc = pcRef.current;
+
       await pc.addIceCandidate(candidate);
     } catch (err) {
-      console.warn('[usePeerConnection] Error adding ICE candidate', err);
+      // Candidates for an offer we ignored are expected to fail
+      const negotiation = negotiationRef.current.get(peerId);
+      if (!negotiation || !negotiation.ignoreOffer) {
+        console.warn('[usePeerConnection] Error adding ICE candidate', err);
+      }
     }
   }, []);
 
   /**
-   * Handle incoming signal (offer, answer, or ice-candidate) from socket
+   * Handle incoming signal from socket
+   * Mesh: offer, answer or ice-candidate from a peer.
+   * SFU: new-producer or producer-closed from the server.
+   * @param {Object} data - { from, type, payload }
    */
-  const handleSignal = useCallback(async ({ type, payload }) => {
-    if (type === 'offer') {
-      await handleOffer(payload);
-    } else if (type === 'answer') {
-      await handleAnswer(payload);
+  const handleSignal = useCallback(async ({ from, type, payload }) => {
+    if (type === 'offer' || type === 'answer') {
+      await handleDescription(from, payload);
+    } else if (type === 'connection-reset') {
+      // The remote side is rebuilding; its next offer is for a brand-new connection
+      discardPeerConnection(from);
     } else if (type === 'ice-candidate') {
-      await handleIceCandidate(payload);
+      await handleIceCandidate(from, payload);
+    } else if (type === 'new-producer') {
+      await addSfuConsumer({ producerId: payload.producerId, socketId: from });
+    } else if (type === 'producer-closed') {
+      removeSfuConsumer(payload.consumerId);
+    }
+  }, [handleDescription, handleIceCandidate, discardPeerConnection, addSfuConsumer, removeSfuConsumer]);
+
+  /**
+   * Replace the outgoing track of the same kind on every connection, without renegotiating
+   * Used to swap the camera for a screen share and back
+   * @param {MediaStreamTrack} track - The new local track
+   * @returns {Promise<void>}
+   */
+  const replaceLocalTrack = useCallback(async (track) => {
+    const replacements = [];
+    peersRef.current.forEach((pc) => {
+      const sender = pc.getSenders().find((s) => s.track && s.track.kind === track.kind);
+      if (sender) {
+        replacements.push(sender.replaceTrack(track));
+      }
+    });
+
+    const producer = sfuRef.current && sfuRef.current.producers.get(track.kind);
+    if (producer) {
+      replacements.push(producer.replaceTrack({ track }));
+    }
+
+    await Promise.all(replacements);
+  }, []);
+
+  /**
+   * Limit the outgoing video on every connection, and on connections made later
+   * @param {Object|null} encoding - { maxBitrate, maxFramerate, scaleResolutionDownBy }, null to stop limiting new connections
+   */
+  const setVideoEncoding = useCallback(async (encoding) => {
+    videoEncodingRef.current = encoding;
+    if (!encoding) return;
+    const senders = [];
+    peersRef.current.forEach((pc) => senders.push(...pc.getSenders()));
+    const producer = sfuRef.current && sfuRef.current.producers.get('video');
+    if (producer) senders.push(producer.rtpSender);
+    await Promise.all(senders.map((sender) => applyVideoEncoding(sender, encoding)));
+  }, []);
+
+  /**
+   * Listen to a data channel on every peer connection
+   * @param {string} label - Data channel label (key of DATA_CHANNELS)
+   * @param {Object} listener - { onOpen(peerId), onMessage(peerId, data), onClose(peerId) }
+   * @returns {Function} Unsubscribe function
+   */
+  const addDataChannelListener = useCallback((label, listener) => {
+    if (!channelListenersRef.current[label]) {
+      channelListenersRef.current[label] = new Set();
+    }
+    channelListenersRef.current[label].add(listener);
+    return () => {
+      channelListenersRef.current[label].delete(listener);
+    };
+  }, []);
+
+  /**
+   * Get the data channel with a peer if it is open
+   * @param {string} peerId - Socket ID of the remote participant
+   * @param {string} label - Data channel label
+   * @returns {RTCDataChannel|null}
+   */
+  const getOpenDataChannel = useCallback((peerId, label) => {
+    const channels = dataChannelsRef.current.get(peerId);
+    const channel = channels && channels[label];
+    return channel && channel.readyState === 'open' ? channel : null;
+  }, []);
+
+  /**
+   * Send data to a peer over a data channel
+   * @returns {boolean} False when the channel is not open
+   */
+  const sendOnDataChannel = useCallback((peerId, label, data) => {
+    const channel = getOpenDataChannel(peerId, label);
+    if (!channel) return false;
+    try {
+      channel.send(data);
+      return true;
+    } catch (e) {
+      console.warn(`[usePeerConnection] Error sending on data channel "${label}":`, e);
+      return false;
     }
-  }, [handleOffer, handleAnswer, handleIceCandidate]);
+  }, [getOpenDataChannel]);
 
   /**
-   * Attempt to reconnect peer connection with exponential backoff
+   * Attempt to reconnect a peer connection with exponential backoff
+   * @param {string} peerId - Socket ID of the remote participant
+   * @param {Function} onReconnect - Called when the reconnection attempt is due
+   * @returns {boolean} False when the maximum number of attempts has been reached
    */
-  const attemptReconnection = useCallback((onReconnect) => {
+  const attemptReconnection = useCallback((peerId, onReconnect) => {
+    const attempts = peerReconnectAttemptsRef.current[peerId] || 0;
+
     // Check if we've exceeded max attempts
-    if (peerReconnectAttemptsRef.current >= MAX_RECONNECT_ATTEMPTS) {
-      console.log('[usePeerConnection] Max peer reconnection attempts reached');
+    if (attempts >= MAX_RECONNECT_ATTEMPTS) {
+      console.log('[usePeerConnection] Max peer reconnection attempts reached for', peerId);
       return false;
     }
 
     // Increment retry count
-    peerReconnectAttemptsRef.current += 1;
+    peerReconnectAttemptsRef.current[peerId] = attempts + 1;
 
     // Calculate exponential backoff delay
     const delay = Math.min(
-      INITIAL_RECONNECT_DELAY * Math.pow(2, peerReconnectAttemptsRef.current - 1),
+      INITIAL_RECONNECT_DELAY * Math.pow(2, attempts),
       16000 // Max 16 seconds
     );
 
-    console.log(`[usePeerConnection] Attempting peer reconnection (attempt ${peerReconnectAttemptsRef.current}/${MAX_RECONNECT_ATTEMPTS}) in ${delay}ms`);
+    console.log(`[usePeerConnection] Attempting peer reconnection with ${peerId} (attempt ${attempts + 1}/${MAX_RECONNECT_ATTEMPTS}) in ${delay}ms`);
 
     // Clear any existing timeout
-    if (reconnectTimeoutRef.current) {
-      clearTimeout(reconnectTimeoutRef.current);
+    if (reconnectTimeoutsRef.current[peerId]) {
+      clearTimeout(reconnectTimeoutsRef.current[peerId]);
     }
 
     // Schedule reconnection attempt
-    reconnectTimeoutRef.current = setTimeout(() => {
+    reconnectTimeoutsRef.current[peerId] = setTimeout(() => {
+      delete reconnectTimeoutsRef.current[peerId];
       if (onReconnect) {
         onReconnect();
       }
@@ -218,69 +654,262 @@ export const usePeerConnection = (remoteVideoRef, localStreamRef, onSendSignal,
   }, []);
 
   /**
-   * Reconnect peer connection
+   * Restart ICE on a connection, keeping its media and data channels
+   * For a peer connection this triggers negotiationneeded, which sends an
+   * ICE-restart offer. For the SFU, both transports get new ICE parameters.
+   * @param {string} peerId - Socket ID of the remote participant, or SFU_PEER_ID
+   * @returns {Promise<boolean>} False when there is no connection to restart
    */
-  const reconnect = useCallback((isCreator, createOfferFn) => {
-    // Close existing peer connection if any
-    if (pcRef.current) {
+  const restartIce = useCallback(async (peerId) => {
+    if (peerId === SFU_PEER_ID) {
+      const session = sfuRef.current;
+      if (!session || !session.sendTransport) return false;
+      for (const transport of [session.sendTransport, session.recvTransport]) {
+        if (!transport || transport.closed) continue;
+        const { iceParameters } = await onRequestSignal({ type: 'restart-ice', payload: { transportId: transport.id } });
+        await transport.restartIce({ iceParameters });
+      }
+      return true;
+    }
+
+    const pc = peersRef.current.get(peerId);
+    if (!pc || pc.connectionState === 'closed') return false;
+    pc.restartIce();
+    return true;
+  }, [onRequestSignal]);
+
+  /**
+   * Rebuild the connection with a single participant from scratch
+   * The impolite side tells the other side to drop its connection and builds
+   * a new one, which triggers a fresh offer; the polite side waits for that.
+   * For the SFU, the whole session is rebuilt; a session that cannot be
+   * rebuilt is reported as failed.
+   * @param {string} peerId - Socket ID of the remote participant, or SFU_PEER_ID
+   * @returns {Promise<void>} Rejects when the SFU session could not be rebuilt
+   */
+  const reconnect = useCallback(async (peerId) => {
+    if (peerId === SFU_PEER_ID) {
+      closeSfu();
+      setRemoteStreams({});
       try {
-        pcRef.current.close();
-      } catch (e) {
-        console.warn('[usePeerConnection] Error closing peer connection:', e);
+        await joinSfu();
+      } catch (err) {
+        if (onConnectionStateChange) {
+          onConnectionStateChange(SFU_PEER_ID, 'failed');
+        }
+        throw err;
       }
-      pcRef.current = null;
+      return;
+    }
+
+    const pc = peersRef.current.get(peerId);
+    // The connection may have recovered in the meantime
+    if (pc && pc.connectionState === 'connected') {
+      return;
+    }
+
+    if (politeRef.current.get(peerId) !== false) {
+      console.log('[usePeerConnection] Waiting for', peerId, 'to rebuild the connection');
+      return;
     }
 
-    // Reinitialize peer connection
+    if (onSendSignal) {
+      onSendSignal({ to: peerId, type: 'connection-reset' });
+    }
+    // Rebuilding adds the tracks again, which fires negotiationneeded
+    discardPeerConnection(peerId);
     if (localStreamRef.current) {
-      initPeerConnection();
-      
-      // Creator creates offer on reconnect, joiner waits for offer
-      if (isCreator && createOfferFn) {
-        createOfferFn();
-      }
+      initPeerConnection(peerId);
     }
-  }, [initPeerConnection, localStreamRef]);
+  }, [initPeerConnection, discardPeerConnection, closeSfu, joinSfu, localStreamRef, onSendSignal, onConnectionStateChange]);
+
+  /**
+   * Recover a connection that went disconnected or failed
+   * First restarts ICE, which keeps media and data channels flowing once the
+   * network path is back. If the connection is not back within
+   * RECOVERY_STAGE_TIMEOUT, it is rebuilt with exponential backoff, waiting
+   * the same timeout after every rebuild before trying the next one (or
+   * trying it right away when the rebuild itself failed).
+   * @param {string} peerId - Socket ID of the remote participant, or SFU_PEER_ID
+   * @param {Function} onStageChange - Callback (stage, attempt) with stage 'ice-restart' | 'rebuild',
+   *   or null once recovery has been given up
+   */
+  const recover = useCallback((peerId, onStageChange) => {
+    // Already recovering; a state change within a stage does not restart it
+    if (recoveryRef.current.has(peerId)) return;
+
+    const recovery = { stage: 'ice-restart', timeoutId: null };
+    recoveryRef.current.set(peerId, recovery);
+
+    const escalate = () => {
+      if (recoveryRef.current.get(peerId) !== recovery) return;
+
+      const scheduled = attemptReconnection(peerId, () => {
+        if (recoveryRef.current.get(peerId) !== recovery) return;
+        recovery.timeoutId = setTimeout(escalate, RECOVERY_STAGE_TIMEOUT);
+        reconnect(peerId).catch((err) => {
+          console.warn('[usePeerConnection] Rebuild failed with', peerId, err);
+          // Nothing to wait for, go on to the next attempt
+          if (recoveryRef.current.get(peerId) !== recovery) return;
+          clearTimeout(recovery.timeoutId);
+          escalate();
+        });
+      });
+      if (!scheduled) {
+        recoveryRef.current.delete(peerId);
+        onStageChange(null, peerReconnectAttemptsRef.current[peerId] || 0);
+        return;
+      }
+      recovery.stage = 'rebuild';
+      onStageChange('rebuild', peerReconnectAttemptsRef.current[peerId]);
+    };
+
+    // Go straight to a rebuild when there is nothing to restart
+    const skipRestart = () => {
+      if (recovery.stage !== 'ice-restart') return;
+      clearTimeout(recovery.timeoutId);
+      escalate();
+    };
+
+    console.log('[usePeerConnection] Restarting ICE with', peerId);
+    onStageChange('ice-restart', 0);
+    recovery.timeoutId = setTimeout(escalate, RECOVERY_STAGE_TIMEOUT);
+    restartIce(peerId).then((restarted) => {
+      if (!restarted) skipRestart();
+    }).catch((err) => {
+      console.warn('[usePeerConnection] ICE restart failed with', peerId, err);
+      skipRestart();
+    });
+  }, [attemptReconnection, reconnect, restartIce]);
+
+  // Collect the statistics of every connection. In SFU rooms, the figures of
+  // each remote participant come from their consumers, and our upload to the
+  // server is reported as SFU_PEER_ID.
+  useEffect(() => {
+    const timer = setInterval(async () => {
+      const pending = new Map(); // peerId -> Array<Promise<RTCStatsReport>>
+      const add = (peerId, report) => pending.set(peerId, [...(pending.get(peerId) || []), report]);
+      peersRef.current.forEach((pc, peerId) => add(peerId, pc.getStats()));
+      const session = sfuRef.current;
+      if (session) {
+        session.consumers.forEach(({ consumer, peerId }) => add(peerId, consumer.getStats()));
+        if (session.sendTransport) add(SFU_PEER_ID, session.sendTransport.getStats());
+      }
+      if (pending.size === 0 && statsSamplesRef.current.size === 0) return;
+
+      const next = {};
+      const samples = new Map();
+      await Promise.all(Array.from(pending, async ([peerId, reports]) => {
+        try {
+          const sample = sampleStats(await Promise.all(reports));
+          next[peerId] = deriveStats(sample, statsSamplesRef.current.get(peerId) || null);
+          samples.set(peerId, sample);
+        } catch (err) {
+          // The connection closed while its stats were collected
+        }
+      }));
+      statsSamplesRef.current = samples;
+      setStats(next);
+    }, STATS_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Measure the audio of every remote stream received, following tracks
+  // that arrive late, get replaced or go away
+  useEffect(() => {
+    const meters = audioMetersRef.current;
+    const timer = setInterval(() => {
+      const streams = remoteStreamsRef.current;
+      meters.forEach(({ track, meter }, peerId) => {
+        const stream = streams[peerId];
+        if (stream && stream.getAudioTracks()[0] === track && track.readyState === 'live') return;
+        meter.close();
+        meters.delete(peerId);
+      });
+      Object.entries(streams).forEach(([peerId, stream]) => {
+        const track = stream.getAudioTracks()[0];
+        if (!track || meters.has(peerId)) return;
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        if (!audioContextRef.current) audioContextRef.current = new AudioContextClass();
+        const meter = createLevelMeter(new MediaStream([track]), audioContextRef.current);
+        if (meter) meters.set(peerId, { track, meter });
+      });
+
+      const readings = {};
+      meters.forEach(({ meter }, peerId) => {
+        readings[peerId] = meter.read();
+      });
+      audioLevels.set(readings);
+    }, LEVEL_INTERVAL);
+
+    return () => {
+      clearInterval(timer);
+      meters.forEach(({ meter }) => meter.close());
+      meters.clear();
+      if (audioContextRef.current) {
+        audioContextRef.current.close().catch(() => {});
+        audioContextRef.current = null;
+      }
+    };
+  }, [audioLevels]);
 
   /**
-   * Close the peer connection
+   * Close all peer connections and the SFU session
    */
   const close = useCallback(() => {
     // Clear any pending reconnection attempts
-    if (reconnectTimeoutRef.current) {
-      clearTimeout(reconnectTimeoutRef.current);
-      reconnectTimeoutRef.current = null;
-    }
-    
+    Object.values(reconnectTimeoutsRef.current).forEach(clearTimeout);
+    reconnectTimeoutsRef.current = {};
+
     // Reset peer reconnection attempts
-    peerReconnectAttemptsRef.current = 0;
-    
-    if (pcRef.current) {
+    peerReconnectAttemptsRef.current = {};
+    recoveryRef.current.forEach(({ timeoutId }) => clearTimeout(timeoutId));
+    recoveryRef.current.clear();
+    politeRef.current.clear();
+    negotiationRef.current.clear();
+
+    peersRef.current.forEach((pc) => {
       try {
-        pcRef.current.close();
+        pc.close();
       } catch (e) {
         console.warn('[usePeerConnection] Error closing peer connection:', e);
       }
-      pcRef.current = null;
-    }
-    
-    if (remoteVideoRef.current) {
-      remoteVideoRef.current.srcObject = null;
-    }
-    
-    setConnectionState('closed');
-  }, [remoteVideoRef]);
+    });
+    peersRef.current.clear();
+    dataChannelsRef.current.clear();
+    closeSfu();
+
+    setRemoteStreams({});
+    setConnectionStates({});
+    statsSamplesRef.current.clear();
+    setStats({});
+    audioMetersRef.current.forEach(({ meter }) => meter.close());
+    audioMetersRef.current.clear();
+    audioLevels.set({});
+  }, [closeSfu, audioLevels]);
 
   return {
-    peerConnection: pcRef.current,
-    peerConnectionRef: pcRef,
-    connectionState,
+    peersRef,
+    remoteStreams,
+    connectionStates,
+    stats,
+    audioLevels,
+    loadIceConfig,
     initPeerConnection,
-    createOffer,
+    setPeerRole,
     handleSignal,
     attemptReconnection,
+    recover,
+    restartIce,
     reconnect,
+    closePeer,
+    joinSfu,
+    replaceLocalTrack,
+    setVideoEncoding,
+    addDataChannelListener,
+    getOpenDataChannel,
+    sendOnDataChannel,
     close
   };
 };
-
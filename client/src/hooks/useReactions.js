@@ -0,0 +1,127 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+// Emoji reactions offered, the same list the server accepts
+export const REACTIONS = ['👍', '👏', '❤️', '😂', '😮', '🎉'];
+
+// How long a reaction stays on its sender's tile, in ms (matches the CSS animation)
+const REACTION_DURATION = 3000;
+
+/**
+ * Custom hook for emoji reactions and raised hands
+ * Reactions are shown for a moment on the tile of whoever sent them. Raised
+ * hands are kept by the server in the roster, so they survive joins, and are
+ * queued by when they went up; the host can lower anyone's hand.
+ * @param {string} roomId - The room ID
+ * @param {Object} socketConnection - { socketRef, subscribe, emitEvent } from useSocketConnection
+ * @param {Array<Object>} roster - Participants from useRoster
+ * @returns {Object} Reaction and raised-hand state and methods
+ */
+export const useReactions = (roomId, socketConnection, roster) => {
+  const { socketRef, subscribe, emitEvent } = socketConnection;
+
+  // Reactions on screen: [{ id, socketId, emoji }]
+  const [reactions, setReactions] = useState([]);
+  // Message shown when the host lowered our hand
+  const [handNotice, setHandNotice] = useState(null);
+  const timersRef = useRef(new Set());
+
+  /**
+   * Show a reaction on a participant's tile for REACTION_DURATION
+   * @param {string} socketId - Sender
+   * @param {string} emoji
+   */
+  const showReaction = useCallback((socketId, emoji) => {
+    const id = `${socketId}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+    setReactions((prev) => [...prev, { id, socketId, emoji }]);
+    const timer = setTimeout(() => {
+      timersRef.current.delete(timer);
+      setReactions((prev) => prev.filter((r) => r.id !== id));
+    }, REACTION_DURATION);
+    timersRef.current.add(timer);
+  }, []);
+
+  useEffect(() => {
+    const offReaction = subscribe('reaction', ({ socketId, emoji }) => {
+      if (REACTIONS.includes(emoji)) showReaction(socketId, emoji);
+    });
+    const offHand = subscribe('hand-changed', ({ socketId, raised, byHost }) => {
+      if (byHost && !raised && socketRef.current && socketId === socketRef.current.id) {
+        console.log('[useReactions] The host lowered our hand');
+        setHandNotice('The host lowered your hand.');
+      }
+    });
+    return () => {
+      offReaction();
+      offHand();
+    };
+  }, [subscribe, socketRef, showReaction]);
+
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => {
+      timers.forEach(clearTimeout);
+      timers.clear();
+    };
+  }, []);
+
+  /**
+   * Send a reaction to the room
+   * @param {string} emoji - One of REACTIONS
+   */
+  const sendReaction = useCallback((emoji) => {
+    if (!REACTIONS.includes(emoji) || !socketRef.current) return;
+    showReaction(socketRef.current.id, emoji);
+    emitEvent('reaction', { roomId, emoji }, (res) => {
+      if (res && !res.ok) {
+        console.warn('[useReactions] reaction failed:', res.reason);
+      }
+    });
+  }, [roomId, socketRef, emitEvent, showReaction]);
+
+  /**
+   * Raise or lower a hand
+   * @param {boolean} raised
+   * @param {string} [socketId] - Someone else's hand to lower (host only)
+   */
+  const setHand = useCallback((raised, socketId) => {
+    emitEvent('set-hand', { roomId, raised, ...(socketId ? { socketId } : {}) }, (res) => {
+      if (res && !res.ok) {
+        console.warn('[useReactions] set-hand failed:', res.reason);
+      }
+    });
+    if (!socketId) setHandNotice(null);
+  }, [roomId, emitEvent]);
+
+  const self = roster.find((p) => p.self);
+  const handRaised = !!(self && self.handRaisedAt);
+  // Raised hands, first raised first
+  const handQueue = roster
+    .filter((p) => p.handRaisedAt)
+    .sort((a, b) => a.handRaisedAt - b.handRaisedAt);
+
+  const toggleHand = useCallback(() => setHand(!handRaised), [setHand, handRaised]);
+  const lowerHand = useCallback((socketId) => setHand(false, socketId), [setHand]);
+  const dismissHandNotice = useCallback(() => setHandNotice(null), []);
+
+  /**
+   * Forget the reactions on screen (on leaving the call)
+   */
+  const clearReactions = useCallback(() => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current.clear();
+    setReactions([]);
+    setHandNotice(null);
+  }, []);
+
+  return {
+    reactions,
+    sendReaction,
+    handRaised,
+    handQueue,
+    handNotice,
+    toggleHand,
+    lowerHand,
+    dismissHandNotice,
+    clearReactions
+  };
+};
@@ -0,0 +1,335 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// Size and frame rate of the recorded video
+const CANVAS_WIDTH = 1280;
+const CANVAS_HEIGHT = 720;
+const FRAME_RATE = 30;
+// Containers tried in order, the first one the browser can record is used
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+// How often the recorder hands over the data recorded so far, in ms
+const TIMESLICE = 1000;
+
+export const recordingSupported = typeof window !== 'undefined' &&
+  typeof window.MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+/**
+ * Off-screen video element playing a stream, for drawing onto the canvas
+ * Muted: the stream's audio goes through the Web Audio mix instead.
+ * @param {MediaStream} stream
+ * @returns {HTMLVideoElement}
+ */
+const createFrameSource = (stream) => {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+  video.play().catch(() => {
+    // Retried implicitly: the frame is skipped until the video has data
+  });
+  return video;
+};
+
+/**
+ * Hand a file to the browser's downloads
+ * @param {string} url - Object URL of the file
+ * @param {string} fileName
+ */
+const downloadFile = (url, fileName) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+};
+
+/**
+ * Draw a video into a box of the canvas, letterboxed to keep its aspect ratio
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLVideoElement} video
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ */
+const drawContained = (ctx, video, x, y, width, height) => {
+  if (video.readyState < 2 || !video.videoWidth) return;
+  const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+  const w = video.videoWidth * scale;
+  const h = video.videoHeight * scale;
+  ctx.drawImage(video, x + (width - w) / 2, y + (height - h) / 2, w, h);
+};
+
+/**
+ * Bring the frame sources and audio inputs of a recording in line with the
+ * streams currently in the call
+ * @param {Object} session - The current recording
+ * @param {Array<MediaStream>} streams - Streams in the call, local stream first
+ * @returns {Array<HTMLVideoElement>} Frame sources, in the same order
+ */
+const syncSources = (session, streams) => {
+  session.videos.forEach((video, stream) => {
+    if (!streams.includes(stream)) {
+      video.srcObject = null;
+      session.videos.delete(stream);
+    }
+  });
+  session.sources.forEach((source, stream) => {
+    if (!streams.includes(stream)) {
+      source.disconnect();
+      session.sources.delete(stream);
+    }
+  });
+
+  streams.forEach((stream) => {
+    if (!session.videos.has(stream)) {
+      session.videos.set(stream, createFrameSource(stream));
+    }
+    // Audio tracks of remote streams may arrive after their video
+    if (!session.sources.has(stream) && stream.getAudioTracks().length > 0) {
+      const source = session.audioContext.createMediaStreamSource(stream);
+      source.connect(session.destination);
+      session.sources.set(stream, source);
+    }
+  });
+  return streams.map((stream) => session.videos.get(stream));
+};
+
+/**
+ * Draw one frame: every participant in a grid
+ * @param {Object} session - The current recording
+ * @param {Array<MediaStream>} streams - Streams in the call, local stream first
+ */
+const drawFrame = (session, streams) => {
+  const videos = syncSources(session, streams);
+  const ctx = session.canvas.getContext('2d');
+  ctx.fillStyle = '#202124';
+  ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+  if (videos.length === 0) return;
+
+  const columns = Math.ceil(Math.sqrt(videos.length));
+  const rows = Math.ceil(videos.length / columns);
+  const cellWidth = CANVAS_WIDTH / columns;
+  const cellHeight = CANVAS_HEIGHT / rows;
+  videos.forEach((video, index) => {
+    const x = (index % columns) * cellWidth;
+    const y = Math.floor(index / columns) * cellHeight;
+    drawContained(ctx, video, x, y, cellWidth, cellHeight);
+  });
+};
+
+/**
+ * Release everything a recording holds
+ * @param {Object} session
+ */
+const teardown = (session) => {
+  clearInterval(session.drawTimer);
+  clearInterval(session.clockTimer);
+  session.videos.forEach((video) => { video.srcObject = null; });
+  session.sources.forEach((source) => source.disconnect());
+  session.stream.getTracks().forEach((track) => track.stop());
+  session.audioContext.close().catch(() => {});
+};
+
+/**
+ * Custom hook for recording the call in the browser
+ *
+ * The videos of everyone in the call are composited side by side onto a
+ * canvas and the audio of everyone is mixed with the Web Audio API; the
+ * result is recorded with MediaRecorder as WebM. Participants joining or
+ * leaving while recording appear in or disappear from the recording.
+ * The other participants are told that we record through the server.
+ *
+ * @param {string} roomId - The room ID
+ * @param {Object} socketConnection - { subscribe, emitEvent } from useSocketConnection
+ * @param {React.RefObject} localStreamRef - Ref to the local media stream
+ * @param {Object} remoteStreams - { socketId: MediaStream } of the other participants
+ * @returns {Object} Recording state and methods
+ */
+export const useRecording = (roomId, socketConnection, localStreamRef, remoteStreams) => {
+  const { subscribe, emitEvent } = socketConnection;
+
+  const [recording, setRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0); // seconds
+  // Finished recording offered for download: { url, fileName, size, saved }
+  const [recordingFile, setRecordingFile] = useState(null);
+  // Message about another participant starting or stopping a recording
+  const [recordingNotice, setRecordingNotice] = useState(null);
+
+  // Current recording: { recorder, canvas, stream, audioContext, destination, videos, sources, drawTimer, clockTimer, startedAt, chunks }
+  const sessionRef = useRef(null);
+  const recordingFileRef = useRef(null);
+  recordingFileRef.current = recordingFile;
+  const remoteStreamsRef = useRef(remoteStreams);
+  remoteStreamsRef.current = remoteStreams;
+
+  useEffect(() => {
+    return subscribe('recording-changed', ({ name, recording: isRecording }) => {
+      const who = name || 'Another participant';
+      console.log('[useRecording] Recording', isRecording ? 'started' : 'stopped', 'by', who);
+      setRecordingNotice(isRecording ? `${who} started recording the call.` : `${who} stopped recording the call.`);
+    });
+  }, [subscribe]);
+
+  /**
+   * Tell the room whether we record
+   * @param {boolean} isRecording
+   */
+  const announce = useCallback((isRecording) => {
+    emitEvent('set-recording', { roomId, recording: isRecording }, (res) => {
+      if (res && !res.ok) {
+        console.warn('[useRecording] set-recording failed:', res.reason);
+      }
+    });
+  }, [roomId, emitEvent]);
+
+  /**
+   * Start recording the call
+   * @returns {Promise<string|null>} Error message, or null when recording started
+   */
+  const startRecording = useCallback(async () => {
+    if (sessionRef.current) return null;
+    if (!recordingSupported) return 'Recording is not supported in this browser.';
+    const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) return 'This browser cannot record WebM video.';
+
+    const canvas = document.createElement('canvas');
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const destination = audioContext.createMediaStreamDestination();
+    const stream = new MediaStream([
+      ...canvas.captureStream(FRAME_RATE).getVideoTracks(),
+      ...destination.stream.getAudioTracks()
+    ]);
+
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, { mimeType });
+    } catch (err) {
+      console.error('[useRecording] Could not create the recorder:', err);
+      stream.getTracks().forEach((track) => track.stop());
+      audioContext.close().catch(() => {});
+      return `Could not start recording: ${err.message}`;
+    }
+
+    const session = {
+      recorder,
+      canvas,
+      stream,
+      audioContext,
+      destination,
+      videos: new Map(), // MediaStream -> HTMLVideoElement
+      sources: new Map(), // MediaStream -> MediaStreamAudioSourceNode
+      startedAt: Date.now(),
+      chunks: [],
+      drawTimer: null,
+      clockTimer: null
+    };
+    sessionRef.current = session;
+
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) session.chunks.push(e.data);
+    };
+
+    const currentStreams = () => [localStreamRef.current, ...Object.values(remoteStreamsRef.current)].filter(Boolean);
+    // A timer rather than requestAnimationFrame, which stops in background tabs
+    drawFrame(session, currentStreams());
+    session.drawTimer = setInterval(() => drawFrame(session, currentStreams()), 1000 / FRAME_RATE);
+    session.clockTimer = setInterval(() => {
+      setElapsed(Math.floor((Date.now() - session.startedAt) / 1000));
+    }, 1000);
+    recorder.start(TIMESLICE);
+    // Started from a click, so the context may run
+    audioContext.resume().catch(() => {});
+
+    setElapsed(0);
+    setRecording(true);
+    announce(true);
+    console.log('[useRecording] Recording started as', mimeType);
+    return null;
+  }, [localStreamRef, announce]);
+
+  /**
+   * Stop recording and put the recording together
+   * @param {boolean} [download] - Save the file right away instead of offering it (when leaving the call)
+   */
+  const stopRecording = useCallback((download = false) => {
+    const session = sessionRef.current;
+    if (!session) return;
+    sessionRef.current = null;
+
+    session.recorder.onstop = () => {
+      teardown(session);
+      const blob = new Blob(session.chunks, { type: 'video/webm' });
+      const fileName = `call-${roomId.slice(0, 8)}-${new Date(session.startedAt).toISOString().replace(/[:.]/g, '-')}.webm`;
+      const url = URL.createObjectURL(blob);
+      console.log('[useRecording] Recording finished:', fileName, blob.size, 'bytes');
+
+      if (download) {
+        downloadFile(url, fileName);
+        // Give the download time to pick the data up
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+        return;
+      }
+      setRecordingFile((previous) => {
+        if (previous) URL.revokeObjectURL(previous.url);
+        return { url, fileName, size: blob.size, saved: false };
+      });
+    };
+    clearInterval(session.clockTimer);
+    session.recorder.stop();
+
+    setRecording(false);
+    setElapsed(0);
+    announce(false);
+  }, [roomId, announce]);
+
+  /**
+   * Download the finished recording
+   */
+  const saveRecording = useCallback(() => {
+    setRecordingFile((current) => {
+      if (!current) return current;
+      downloadFile(current.url, current.fileName);
+      return { ...current, saved: true };
+    });
+  }, []);
+
+  /**
+   * Forget the finished recording once it was saved (or is not wanted)
+   */
+  const dismissRecordingFile = useCallback(() => {
+    setRecordingFile((previous) => {
+      if (previous) URL.revokeObjectURL(previous.url);
+      return null;
+    });
+  }, []);
+
+  const dismissRecordingNotice = useCallback(() => setRecordingNotice(null), []);
+
+  /**
+   * Leave the call: a recording in progress, or a finished one that was
+   * never saved, is downloaded right away
+   */
+  const finishRecording = useCallback(() => {
+    stopRecording(true);
+    const file = recordingFileRef.current;
+    if (file && !file.saved) downloadFile(file.url, file.fileName);
+    dismissRecordingFile();
+    setRecordingNotice(null);
+  }, [stopRecording, dismissRecordingFile]);
+
+  return {
+    recording,
+    elapsed,
+    recordingFile,
+    recordingNotice,
+    startRecording,
+    stopRecording,
+    saveRecording,
+    dismissRecordingFile,
+    dismissRecordingNotice,
+    finishRecording
+  };
+};
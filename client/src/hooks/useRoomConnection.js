@@ -2,78 +2,144 @@ import { useState, useCallback, useEffect, useRef } from 'react';
 import { useMediaStream } from './useMediaStream';
 import { useSocketConnection } from './useSocketConnection';
 import { usePeerConnection } from './usePeerConnection';
+import { useChat } from './useChat';
+import { useFileTransfer } from './useFileTransfer';
+import { useLobby } from './useLobby';
+import { useModeration } from './useModeration';
+import { useRoster } from './useRoster';
+import { useReactions } from './useReactions';
+import { useRecording } from './useRecording';
+import { useVideoQuality } from './useVideoQuality';
+import { useMediaDevices } from './useMediaDevices';
+import { useActiveSpeaker } from './useActiveSpeaker';
+import { formatErrorMessage } from '../utils/errorMessages';
+import { getTokenProvider } from '../utils/auth';
 
 /**
  * Custom hook that orchestrates all room connection logic
- * Combines media stream, socket connection, and peer connection
+ * Combines media stream, socket connection, and one peer connection per remote participant
  * @param {React.RefObject} localVideoRef - Ref to local video element
- * @param {React.RefObject} remoteVideoRef - Ref to remote video element
  * @param {string} roomId - The room ID
  * @param {boolean} isCreator - Whether this user is the room creator
+ * @param {Object} [roomOptions] - Room options ({ mode: 'mesh' | 'sfu', passcode?: string, lobby?: boolean, name?: string })
  * @returns {Object} Room connection state and methods
  */
-export const useRoomConnection = (localVideoRef, remoteVideoRef, roomId, isCreator) => {
+export const useRoomConnection = (localVideoRef, roomId, isCreator, roomOptions) => {
   const [status, setStatus] = useState('idle'); // idle | waiting | connecting | connected | disconnected
   const [error, setError] = useState(null);
   const [reconnecting, setReconnecting] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
+  const [recoveryStage, setRecoveryStage] = useState(null); // null | ice-restart | rebuild, for peer connections
+  const [mode, setMode] = useState(null); // mesh | sfu, as reported by the server on join
+  const [passcodeRequired, setPasscodeRequired] = useState(false); // last join failed with BAD_PASSCODE
+  const [waitingForHost, setWaitingForHost] = useState(false); // parked in the room's lobby
+  const [removedByHost, setRemovedByHost] = useState(false);
+  const [hostNotice, setHostNotice] = useState(null); // message about something the host did to us
+  const modeRef = useRef(null);
+
+  // Create a ref to store peer connection methods for use in callbacks
+  const peerConnectionRef = useRef(null);
+  // Socket IDs of the other participants in the room
+  const participantsRef = useRef(new Set());
+  const [remoteScreenShares, setRemoteScreenShares] = useState({}); // { socketId: true }
+  // Verified identities of the other participants ({ socketId: { id, name } | null }), when the server requires sign-in
+  const [peerUsers, setPeerUsers] = useState({});
+  // Participants whose connection to the server dropped, while the server holds their seat ({ socketId: true })
+  const [reconnectingPeers, setReconnectingPeers] = useState({});
+  const reconnectingPeersRef = useRef({});
+  reconnectingPeersRef.current = reconnectingPeers;
 
   // Media stream hook
+  // Swapping camera and screen, or switching devices, replaces the outgoing track on every connection
   const {
     streamRef: localStreamRef,
     muted,
     videoOff,
+    screenSharing,
     error: mediaError,
+    audioLevels,
     getUserMedia,
     toggleMute,
     toggleVideo,
+    startScreenShare,
+    stopScreenShare,
+    applyVideoConstraints,
+    currentDeviceId,
+    switchDevice,
     stopStream
-  } = useMediaStream(localVideoRef);
+  } = useMediaStream(localVideoRef, (track) => {
+    if (peerConnectionRef.current) {
+      peerConnectionRef.current.replaceLocalTrack(track).catch((err) => {
+        console.error('[useRoomConnection] Error replacing local track:', err);
+      });
+    }
+  });
+  const screenSharingRef = useRef(false);
+  // Current media toggles, for the host's mute requests
+  const mutedRef = useRef(false);
+  const videoOffRef = useRef(false);
+  mutedRef.current = muted;
+  videoOffRef.current = videoOff;
 
   // Socket connection hook
   const {
-    isConnected: socketConnected,
+    socketRef,
     error: socketError,
     reconnecting: socketReconnecting,
     retryCount: socketRetryCount,
     connect: connectSocket,
     joinRoom: joinSocketRoom,
     sendSignal,
+    requestSignal,
+    subscribe,
+    emitEvent,
     disconnect: disconnectSocket
-  } = useSocketConnection(roomId, isCreator);
+  } = useSocketConnection(roomId, isCreator, roomOptions);
 
-  // Create a ref to store peer connection methods for use in callbacks
-  const peerConnectionRef = useRef(null);
+  /**
+   * Whether any remote participant other than the given one is connected
+   */
+  const hasOtherConnectedPeer = useCallback((peerId) => {
+    if (!peerConnectionRef.current) return false;
+    for (const [id, pc] of peerConnectionRef.current.peersRef.current) {
+      if (id !== peerId && pc.connectionState === 'connected') return true;
+    }
+    return false;
+  }, []);
 
   // Peer connection state change handler
-  const handlePeerConnectionStateChange = useCallback((state) => {
+  const handlePeerConnectionStateChange = useCallback((peerId, state) => {
     if (state === 'connected') {
       setStatus('connected');
       setReconnecting(false);
+      setRecoveryStage(null);
     } else if (state === 'disconnected' || state === 'failed') {
-      setStatus('disconnected');
-      // Attempt to reconnect if socket is still connected
-      if (socketConnected && peerConnectionRef.current) {
-        setReconnecting(true);
-        const reconnected = peerConnectionRef.current.attemptReconnection(() => {
-          // On reconnect: creator creates offer, joiner waits for offer
-          peerConnectionRef.current.reconnect(isCreator, isCreator ? peerConnectionRef.current.createOffer : null);
+      if (!hasOtherConnectedPeer(peerId)) {
+        setStatus('disconnected');
+      }
+      // Recover if the socket is still connected: ICE restart first, then rebuilds.
+      // Peers that dropped out come back under a new socket ID, with a new connection.
+      if (socketRef.current && socketRef.current.connected && peerConnectionRef.current &&
+        !reconnectingPeersRef.current[peerId]) {
+        peerConnectionRef.current.recover(peerId, (stage, attempt) => {
+          setRecoveryStage(stage);
+          setRetryCount(attempt);
+          setReconnecting(stage !== null);
         });
-        if (!reconnected) {
-          setReconnecting(false);
-        }
       }
     } else if (state === 'connecting' || state === 'checking') {
-      setStatus('connecting');
+      if (!hasOtherConnectedPeer(peerId)) {
+        setStatus('connecting');
+      }
     }
-  }, [socketConnected, isCreator]);
+  }, [socketRef, hasOtherConnectedPeer]);
 
   // Peer connection hook
   const peerConnection = usePeerConnection(
-    remoteVideoRef,
     localStreamRef,
-    (signalData) => sendSignal(signalData),
-    handlePeerConnectionStateChange
+    sendSignal,
+    handlePeerConnectionStateChange,
+    requestSignal
   );
 
   // Store peer connection in ref for use in callbacks
@@ -81,69 +147,246 @@ export const useRoomConnection = (localVideoRef, remoteVideoRef, roomId, isCreat
     peerConnectionRef.current = peerConnection;
   }, [peerConnection]);
 
+  // In-call chat over data channels, with the server as relay and history
+  const {
+    messages: chatMessages,
+    unreadCount,
+    chatOpen,
+    setChatOpen,
+    sendMessage: sendChatMessage,
+    clearChat
+  } = useChat(roomId, { socketRef, subscribe, emitEvent }, peerConnection);
+
+  // Peer-to-peer file transfer (mesh rooms only, it needs data channels)
+  const {
+    transfers,
+    sendFile,
+    cancelTransfer,
+    dismissTransfer,
+    movePeerTransfers,
+    dropPeerTransfers,
+    clearTransfers
+  } = useFileTransfer(peerConnection);
+
+  // Waiting room of knock-to-enter rooms
+  const {
+    hostId,
+    setHostId,
+    isHost,
+    waiting: lobbyWaiting,
+    admit: admitPeer,
+    deny: denyPeer,
+    clearLobby
+  } = useLobby(roomId, { socketRef, subscribe, emitEvent });
+
+  // Who is in the call, with their display names
+  const { roster, nameOf, clearRoster } = useRoster({ socketRef, subscribe });
+
+  // Emoji reactions, and raised hands in the order they went up
+  const {
+    reactions,
+    sendReaction,
+    handRaised,
+    handQueue,
+    handNotice,
+    toggleHand,
+    lowerHand,
+    dismissHandNotice,
+    clearReactions
+  } = useReactions(roomId, { socketRef, subscribe, emitEvent }, roster);
+
+  // Quality of the video we send: a chosen preset, or following the network
+  const {
+    videoQuality,
+    activeVideoPreset,
+    setVideoQuality
+  } = useVideoQuality({ applyVideoConstraints, screenSharing }, peerConnection);
+
+  // Camera, microphone and speaker selection
+  const {
+    devices,
+    selectedDevices,
+    deviceNotice,
+    syncDevices,
+    selectDevice,
+    dismissDeviceNotice
+  } = useMediaDevices({ streamRef: localStreamRef, currentDeviceId, switchDevice });
+
+  // Who is speaking; a muted microphone does not take the floor
+  const activeSpeaker = useActiveSpeaker(peerConnection.audioLevels, audioLevels, muted);
+
+  // Recording the call in the browser
+  const {
+    recording,
+    elapsed: recordingElapsed,
+    recordingFile,
+    recordingNotice,
+    startRecording,
+    stopRecording,
+    saveRecording,
+    dismissRecordingFile,
+    dismissRecordingNotice,
+    finishRecording
+  } = useRecording(roomId, { subscribe, emitEvent }, localStreamRef, peerConnection.remoteStreams);
+
+  // Host moderation, and the host's requests aimed at us
+  const {
+    locked,
+    setLocked,
+    removeParticipant,
+    requestMute,
+    setRoomLocked,
+    transferHost
+  } = useModeration(roomId, { subscribe, emitEvent }, {
+    onRemoved: () => {
+      endCall();
+      setRemovedByHost(true);
+      setError(formatErrorMessage({ code: 'REMOVED_BY_HOST' }));
+    },
+    onMuteRequested: (kind) => {
+      // Only ever turns things off; turning them back on is up to us
+      if (kind === 'audio' && !mutedRef.current) {
+        toggleMute();
+        setHostNotice('The host muted your microphone.');
+      } else if (kind === 'video' && !videoOffRef.current) {
+        toggleVideo();
+        setHostNotice('The host turned off your camera.');
+      }
+    }
+  });
+
   // Handle socket connection
   const handleSocketConnect = useCallback(() => {
     console.log('[useRoomConnection] Socket connected, joining room...');
     joinSocketRoom(
-      () => {
+      ({ peers = [], users = {}, mode: roomMode = 'mesh', polite = true, hostId = null, locked: roomLocked = false } = {}) => {
         // On success
         setError(null);
-        // If peer connection exists and was connected, try to reconnect
-        if (peerConnection.peerConnectionRef.current && 
-            (peerConnection.peerConnectionRef.current.connectionState === 'connected' || 
-             peerConnection.peerConnectionRef.current.connectionState === 'disconnected')) {
-          // On reconnect: creator creates offer, joiner waits for offer
-          peerConnection.reconnect(isCreator, isCreator ? peerConnection.createOffer : null);
-        } else if (!peerConnection.peerConnectionRef.current) {
-          // If peer connection doesn't exist, create it
-          peerConnection.initPeerConnection();
-          setStatus('connecting');
-          // Creator waits for peer-joined event to create offer
-          // Joiner waits for offer signal to create answer
-        } else if (peerConnection.peerConnectionRef.current.connectionState !== 'connected') {
-          // If peer connection exists but not connected, try to reconnect
-          peerConnection.reconnect(isCreator, isCreator ? peerConnection.createOffer : null);
+        setPasscodeRequired(false);
+        setWaitingForHost(false);
+        setHostId(hostId);
+        setLocked(roomLocked);
+        modeRef.current = roomMode;
+        setMode(roomMode);
+        participantsRef.current = new Set(peers);
+        setPeerUsers(users);
+        setRemoteScreenShares({});
+        setReconnectingPeers({});
+        // A (re)connected socket has a new ID, so connections negotiated under
+        // the old one are stale. In mesh rooms, existing participants will offer
+        // to us again once the server announces us with peer-joined.
+        peerConnection.close();
+        peers.forEach((peerId) => peerConnection.setPeerRole(peerId, polite));
+        setStatus(peers.length > 0 ? 'connecting' : 'waiting');
+
+        if (roomMode === 'sfu') {
+          peerConnection.joinSfu().catch((err) => {
+            setError(`Could not connect to the media server: ${err.message}`);
+            setStatus('disconnected');
+          });
         }
       },
-      (errorMsg) => {
+      (errorMsg, reason) => {
         // On error
         setError(errorMsg);
+        setPasscodeRequired(reason === 'BAD_PASSCODE');
+        setWaitingForHost(false);
         setStatus('disconnected');
+      },
+      () => {
+        // On waiting for the host
+        setWaitingForHost(true);
+        setStatus('waiting');
       }
     );
-  }, [joinSocketRoom, peerConnection, isCreator]);
+  }, [joinSocketRoom, peerConnection, setHostId, setLocked]);
+
+  // The server holds the seat of a participant whose connection dropped
+  useEffect(() => {
+    return subscribe('peer-reconnecting', ({ socketId }) => {
+      console.log('[useRoomConnection] Peer dropped out, waiting for them to resume:', socketId);
+      setReconnectingPeers((prev) => ({ ...prev, [socketId]: true }));
+    });
+  }, [subscribe]);
+
+  /**
+   * Forget everything about a participant's socket
+   * @param {string} socketId
+   */
+  const forgetPeer = useCallback((socketId) => {
+    participantsRef.current.delete(socketId);
+    setPeerUsers(({ [socketId]: _removed, ...rest }) => rest);
+    setRemoteScreenShares(({ [socketId]: _removed, ...rest }) => rest);
+    setReconnectingPeers(({ [socketId]: _removed, ...rest }) => rest);
+    dropPeerTransfers(socketId);
+    peerConnection.closePeer(socketId);
+  }, [peerConnection, dropPeerTransfers]);
 
   // Handle peer joined event
-  const handlePeerJoined = useCallback(() => {
-    if (isCreator) {
-      // Creator: Initialize peer connection and create offer when peer joins
-      if (!peerConnection.peerConnectionRef.current) {
-        peerConnection.initPeerConnection();
-      }
+  // A participant resuming their seat arrives with the socket ID they had in `resumedFrom`
+  const handlePeerJoined = useCallback(({ socketId, polite = false, user = null, resumedFrom = null }) => {
+    if (resumedFrom) {
+      movePeerTransfers(resumedFrom, socketId);
+      forgetPeer(resumedFrom);
+    }
+    participantsRef.current.add(socketId);
+    setPeerUsers((prev) => ({ ...prev, [socketId]: user }));
+    if (screenSharingRef.current) {
+      sendSignal({ to: socketId, type: 'screen-share', payload: { active: true } });
+    }
+
+    // In SFU rooms the newcomer's tracks arrive through new-producer signals
+    if (modeRef.current === 'sfu') return;
+
+    // Existing participants initialize a connection; adding the local tracks
+    // triggers negotiationneeded, which sends the offer to the newcomer
+    peerConnection.setPeerRole(socketId, polite);
+    peerConnection.initPeerConnection(socketId);
+    if (!hasOtherConnectedPeer(socketId)) {
       setStatus('connecting');
-      // Creator creates and sends offer to the joiner
-      peerConnection.createOffer();
     }
-  }, [isCreator, peerConnection]);
+  }, [peerConnection, hasOtherConnectedPeer, sendSignal, forgetPeer, movePeerTransfers]);
 
   // Handle peer left event
-  const handlePeerLeft = useCallback(() => {
-    setStatus('disconnected');
-    if (remoteVideoRef.current) {
-      remoteVideoRef.current.srcObject = null;
+  const handlePeerLeft = useCallback(({ socketId }) => {
+    forgetPeer(socketId);
+    // In SFU rooms the status follows our own connection to the server
+    if (modeRef.current !== 'sfu' && !hasOtherConnectedPeer(socketId)) {
+      setStatus(peerConnection.peersRef.current.size > 0 ? 'connecting' : 'waiting');
     }
-  }, [remoteVideoRef]);
+  }, [peerConnection, hasOtherConnectedPeer, forgetPeer]);
 
-  // Handle signaling messages (offer, answer, ICE candidates)
-  const handleSignal = useCallback(async ({ type, payload }) => {
-    if (!peerConnection.peerConnectionRef.current) {
-      peerConnection.initPeerConnection();
+  // Handle signaling messages (offer, answer, ICE candidates, screen share state)
+  const handleSignal = useCallback(async (data) => {
+    if (data.type === 'screen-share') {
+      const { from, payload } = data;
+      setRemoteScreenShares(({ [from]: _previous, ...rest }) => (
+        payload && payload.active ? { ...rest, [from]: true } : rest
+      ));
+      return;
     }
-    await peerConnection.handleSignal({ type, payload });
-  }, [peerConnection]);
+    try {
+      await peerConnection.handleSignal(data);
+    } catch (err) {
+      console.error('[useRoomConnection] Error handling signal:', data.type, err);
+      // A failed negotiation leaves the connection unusable; recover it like a failed one
+      if ((data.type === 'offer' || data.type === 'answer') && modeRef.current !== 'sfu') {
+        handlePeerConnectionStateChange(data.from, 'failed');
+      }
+    }
+  }, [peerConnection, handlePeerConnectionStateChange]);
+
+  // Tell everyone when we start or stop sharing the screen
+  useEffect(() => {
+    screenSharingRef.current = screenSharing;
+    participantsRef.current.forEach((peerId) => {
+      sendSignal({ to: peerId, type: 'screen-share', payload: { active: screenSharing } });
+    });
+  }, [screenSharing, sendSignal]);
 
   // Start the connection process
-  const start = useCallback(async () => {
+  // mediaOptions: { muted, videoOff } chosen on the pre-join screen
+  const start = useCallback(async (mediaOptions) => {
     try {
       setStatus('waiting');
       setError(null);
@@ -153,11 +396,19 @@ export const useRoomConnection = (localVideoRef, remoteVideoRef, roomId, isCreat
 
       // Step 1: Get user media
       console.log('[useRoomConnection] Step 1: Requesting camera/microphone access...');
-      await getUserMedia();
+      await getUserMedia(mediaOptions);
+      // Device labels are only listed once access was granted
+      syncDevices().catch((err) => {
+        console.warn('[useRoomConnection] Could not list media devices:', err);
+      });
+
+      // Step 2: Fetch STUN/TURN servers for the peer connections
+      console.log('[useRoomConnection] Step 2: Loading ICE configuration...');
+      await peerConnection.loadIceConfig();
 
-      // Step 2: Connect to socket server
-      console.log('[useRoomConnection] Step 2: Connecting to socket server...');
-      await connectSocket(handleSocketConnect, handleSignal, handlePeerJoined, handlePeerLeft);
+      // Step 3: Connect to socket server
+      console.log('[useRoomConnection] Step 3: Connecting to socket server...');
+      await connectSocket(handleSocketConnect, handleSignal, handlePeerJoined, handlePeerLeft, getTokenProvider());
     } catch (err) {
       console.error('[useRoomConnection] ✗ Start function error:', err);
       console.error('[useRoomConnection] Error details:', {
@@ -171,11 +422,14 @@ export const useRoomConnection = (localVideoRef, remoteVideoRef, roomId, isCreat
       setError(finalError);
       setStatus('disconnected');
     }
-  }, [roomId, isCreator, getUserMedia, connectSocket, handleSocketConnect, handleSignal, handlePeerJoined, handlePeerLeft, mediaError, socketError]);
+  }, [roomId, isCreator, getUserMedia, syncDevices, peerConnection, connectSocket, handleSocketConnect, handleSignal, handlePeerJoined, handlePeerLeft, mediaError, socketError]);
 
   // End the call
   const endCall = useCallback(() => {
     console.log('[useRoomConnection] Ending call...');
+
+    // Save a recording in progress while its streams are still alive
+    finishRecording();
     
     // Stop media stream
     stopStream();
@@ -185,12 +439,26 @@ export const useRoomConnection = (localVideoRef, remoteVideoRef, roomId, isCreat
     
     // Disconnect socket
     disconnectSocket();
+
+    clearChat();
+    clearTransfers();
+    clearLobby();
+    clearRoster();
+    clearReactions();
+    setWaitingForHost(false);
+    setLocked(false);
+    setHostNotice(null);
     
+    participantsRef.current.clear();
+    setPeerUsers({});
+    setRemoteScreenShares({});
+    setReconnectingPeers({});
     setStatus('disconnected');
     setReconnecting(false);
     setRetryCount(0);
+    setRecoveryStage(null);
     setError(null);
-  }, [stopStream, peerConnection, disconnectSocket]);
+  }, [finishRecording, stopStream, peerConnection, disconnectSocket, clearChat, clearTransfers, clearLobby, clearRoster, clearReactions, setLocked]);
 
   // Handle retry
   const handleRetry = useCallback(() => {
@@ -199,6 +467,9 @@ export const useRoomConnection = (localVideoRef, remoteVideoRef, roomId, isCreat
     setStatus('waiting');
     setReconnecting(false);
     setRetryCount(0);
+    setRemovedByHost(false);
+    // Come back muted / with the camera off as we were
+    const mediaOptions = { muted: mutedRef.current, videoOff: videoOffRef.current };
     
     // Clean up existing connections
     endCall();
@@ -206,10 +477,13 @@ export const useRoomConnection = (localVideoRef, remoteVideoRef, roomId, isCreat
     // Small delay before restarting to ensure cleanup is complete
     setTimeout(() => {
       console.log('[useRoomConnection] Restarting connection...');
-      start();
+      start(mediaOptions);
     }, 500);
   }, [endCall, start]);
 
+  // Hide the notice about the host's last request
+  const dismissHostNotice = useCallback(() => setHostNotice(null), []);
+
   // Update reconnecting state based on socket reconnection
   useEffect(() => {
     setReconnecting(socketReconnecting);
@@ -229,10 +503,76 @@ export const useRoomConnection = (localVideoRef, remoteVideoRef, roomId, isCreat
     error,
     reconnecting,
     retryCount,
+    recoveryStage,
+    mode,
+    passcodeRequired,
+    waitingForHost,
+    hostId,
+    isHost,
+    lobbyWaiting,
+    admitPeer,
+    denyPeer,
+    locked,
+    removedByHost,
+    hostNotice,
+    dismissHostNotice,
+    removeParticipant,
+    requestMute,
+    setRoomLocked,
+    transferHost,
+    remoteStreams: peerConnection.remoteStreams,
+    peerStates: peerConnection.connectionStates,
+    peerStats: peerConnection.stats,
+    audioLevels,
+    peerAudioLevels: peerConnection.audioLevels,
+    activeSpeaker,
+    videoQuality,
+    activeVideoPreset,
+    setVideoQuality,
+    devices,
+    selectedDevices,
+    deviceNotice,
+    selectDevice,
+    dismissDeviceNotice,
     muted,
     videoOff,
     toggleMute,
     toggleVideo,
+    screenSharing,
+    remoteScreenShares,
+    peerUsers,
+    reconnectingPeers,
+    roster,
+    nameOf,
+    reactions,
+    sendReaction,
+    handRaised,
+    handQueue,
+    handNotice,
+    toggleHand,
+    lowerHand,
+    dismissHandNotice,
+    startScreenShare,
+    stopScreenShare,
+    chatMessages,
+    unreadCount,
+    chatOpen,
+    setChatOpen,
+    sendChatMessage,
+    recording,
+    recordingElapsed,
+    recordingFile,
+    recordingNotice,
+    startRecording,
+    stopRecording,
+    saveRecording,
+    dismissRecordingFile,
+    dismissRecordingNotice,
+    transfers,
+    fileTransferAvailable: mode !== 'sfu',
+    sendFile,
+    cancelTransfer,
+    dismissTransfer,
     start,
     endCall,
     handleRetry,
@@ -0,0 +1,42 @@
+import { useState, useCallback, useEffect } from 'react';
+
+/**
+ * Custom hook for the room's participant list
+ * Follows the roster the server broadcasts whenever someone joins or leaves.
+ * @param {Object} socketConnection - { socketRef, subscribe } from useSocketConnection
+ * @returns {Object} Roster state and methods
+ */
+export const useRoster = (socketConnection) => {
+  const { socketRef, subscribe } = socketConnection;
+
+  // [{ socketId, name, userId, joinedAt, reconnecting, recording, handRaisedAt }] in join order
+  const [participants, setParticipants] = useState([]);
+
+  useEffect(() => {
+    return subscribe('roster-update', ({ participants: list = [] }) => setParticipants(list));
+  }, [subscribe]);
+
+  const selfId = socketRef.current ? socketRef.current.id : null;
+  const roster = participants.map((p) => ({ ...p, self: p.socketId === selfId }));
+
+  /**
+   * Display name of a participant
+   * @param {string} socketId
+   * @returns {string|null} The name, or null when they did not give one
+   */
+  const nameOf = useCallback((socketId) => {
+    const entry = participants.find((p) => p.socketId === socketId);
+    return (entry && entry.name) || null;
+  }, [participants]);
+
+  /**
+   * Forget the roster (on leaving the call)
+   */
+  const clearRoster = useCallback(() => setParticipants([]), []);
+
+  return {
+    roster,
+    nameOf,
+    clearRoster
+  };
+};
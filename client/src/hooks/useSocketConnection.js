@@ -1,15 +1,27 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import io from 'socket.io-client';
 import { getSignalingServerUrl, MAX_RECONNECT_ATTEMPTS, INITIAL_RECONNECT_DELAY } from '../utils/socketConfig';
-import { formatSocketError } from '../utils/errorMessages';
+import { formatSocketError, formatErrorMessage } from '../utils/errorMessages';
+import { loadResumeToken, saveResumeToken, clearResumeToken } from '../utils/resumeToken';
+
+// Server reasons with a message of their own, for failed joins and room creation
+const JOIN_REASONS = [
+  'BAD_PASSCODE', 'ROOM_LOCKED', 'ROOM_FULL', 'ROOM_NOT_FOUND', 'ROOM_NOT_OPEN_YET', 'ROOM_EXPIRED', 'INVALID_ROOM_ID',
+  'RATE_LIMITED', 'TOO_MANY_ROOMS'
+];
+const CREATE_REASONS = [
+  'INVALID_PASSCODE', 'BAD_PASSCODE', 'ROOM_NOT_OPEN_YET', 'ROOM_EXPIRED', 'INVALID_ROOM_ID', 'RATE_LIMITED', 'TOO_MANY_ROOMS'
+];
 
 /**
  * Custom hook for managing Socket.io connection
  * @param {string} roomId - The room ID to join/create
  * @param {boolean} isCreator - Whether this user is the room creator
+ * @param {Object} [roomOptions] - Room options ({ mode: 'mesh' | 'sfu', passcode?: string, lobby?: boolean, name?: string });
+ *   mode and lobby are only used to create the room, the passcode and display name to create or join it
  * @returns {Object} Socket connection state and methods
  */
-export const useSocketConnection = (roomId, isCreator) => {
+export const useSocketConnection = (roomId, isCreator, roomOptions) => {
   const socketRef = useRef(null);
   const [isConnected, setIsConnected] = useState(false);
   const [error, setError] = useState(null);
@@ -19,6 +31,11 @@ export const useSocketConnection = (roomId, isCreator) => {
   const socketReconnectAttemptsRef = useRef(0);
   const reconnectIntervalRef = useRef(null);
   const connectionTimeoutRef = useRef(null);
+  // Listeners registered through subscribe(): { event: Set<Function> }
+  const listenersRef = useRef({});
+  // Read when the room is joined, so a passcode entered after a failed join is used on retry
+  const roomOptionsRef = useRef(roomOptions);
+  roomOptionsRef.current = roomOptions;
 
   const SIGNALING_SERVER_URL = getSignalingServerUrl();
 
@@ -74,14 +91,30 @@ export const useSocketConnection = (roomId, isCreator) => {
    * Connect to the signaling server
    * @param {Function} onConnect - Callback when socket connects
    * @param {Function} onSignal - Callback for signaling messages
-   * @param {Function} onPeerJoined - Callback when peer joins
-   * @param {Function} onPeerLeft - Callback when peer leaves
+   * @param {Function} onPeerJoined - Callback ({ socketId, polite, user }) when a peer joins
+   * @param {Function} onPeerLeft - Callback ({ socketId, user }) when a peer leaves
+   * @param {Function} [getToken] - Token provider (() => string | Promise<string>) for servers
+   *   requiring authentication; asked again on every reconnection
    * @returns {Promise<void>}
    */
-  const connect = useCallback((onConnect, onSignal, onPeerJoined, onPeerLeft) => {
+  const connect = useCallback((onConnect, onSignal, onPeerJoined, onPeerLeft, getToken) => {
     return new Promise((resolve, reject) => {
       console.log('[useSocketConnection] Connecting to signaling server:', SIGNALING_SERVER_URL);
       
+      // Handshake credentials, fetched before each connection attempt so a
+      // refreshed token is picked up on reconnection
+      const auth = getToken
+        ? (cb) => {
+          Promise.resolve()
+            .then(getToken)
+            .then((token) => cb({ token }))
+            .catch((err) => {
+              console.error('[useSocketConnection] ✗ Token provider failed:', err);
+              cb({});
+            });
+        }
+        : undefined;
+
       //Socket.io initialization
       // Configure socket.io with reconnection options
       // (Creates a Socket.io connection with reconnection settings)
@@ -91,6 +124,15 @@ export const useSocketConnection = (roomId, isCreator) => {
         reconnectionDelay: INITIAL_RECONNECT_DELAY,
         reconnectionDelayMax: 16000, // Max delay of 16 seconds
         timeout: 10000, // 10 second connection timeout
+        auth,
+      });
+
+      // Dispatch every incoming event to the listeners registered through subscribe()
+      socketRef.current.onAny((event, ...args) => {
+        const listeners = listenersRef.current[event];
+        if (listeners) {
+          listeners.forEach((listener) => listener(...args));
+        }
       });
 
       // Add connection timeout handler
@@ -134,22 +176,30 @@ export const useSocketConnection = (roomId, isCreator) => {
 
       socketRef.current.on('signal', (data) => {
         if (onSignal) {
-          onSignal(data);
+          // onSignal is async; a failure it did not handle must not go unnoticed
+          Promise.resolve(onSignal(data)).catch((err) => {
+            console.error('[useSocketConnection] Error handling signal:', data.type, err);
+          });
         }
       });
 
-      socketRef.current.on('peer-joined', () => {
+      socketRef.current.on('peer-joined', (data) => {
         if (onPeerJoined) {
-          onPeerJoined();
+          onPeerJoined(data);
         }
       });
 
-      socketRef.current.on('peer-left', () => {
+      socketRef.current.on('peer-left', (data) => {
         if (onPeerLeft) {
-          onPeerLeft();
+          onPeerLeft(data);
         }
       });
 
+      // A request without a callback was refused (invalid, rate limited, not in the room)
+      socketRef.current.on('request-error', ({ event, reason, retryAfter }) => {
+        console.warn(`[useSocketConnection] Server refused ${event}: ${reason}`, retryAfter ? `(retry after ${retryAfter} ms)` : '');
+      });
+
       // Handle socket connection errors
       socketRef.current.on('connect_error', (error) => {
         if (connectionTimeoutRef.current) {
@@ -162,6 +212,15 @@ export const useSocketConnection = (roomId, isCreator) => {
           type: error.type,
           description: error.description
         });
+        // The server turned the handshake down (sign-in or connection limits), socket.io does not retry those
+        if (error.message === 'UNAUTHORIZED' || error.message === 'CONNECTION_REFUSED') {
+          const reason = (error.data && error.data.reason) || (error.message === 'UNAUTHORIZED' ? 'INVALID_TOKEN' : 'RATE_LIMITED');
+          const errorMsg = formatErrorMessage({ code: reason });
+          setError(errorMsg);
+          setReconnecting(false);
+          reject(Object.assign(new Error(errorMsg), { code: reason }));
+          return;
+        }
         const errorMsg = formatSocketError(error, SIGNALING_SERVER_URL);
         setError(errorMsg);
         setReconnecting(true);
@@ -222,16 +281,55 @@ export const useSocketConnection = (roomId, isCreator) => {
 
   /**
    * Join or create a room
-   * @param {Function} onSuccess - Callback when room join/create succeeds
-   * @param {Function} onError - Callback when room join/create fails
+   * With the resume token of an earlier join in this tab (after a dropped
+   * connection or a page refresh) the server gives us our seat back.
+   * @param {Function} onSuccess - Callback ({ peers, mode, hostId, resumed }) when room join/create succeeds
+   * @param {Function} onError - Callback (message, reason) when room join/create fails
+   * @param {Function} [onWaiting] - Callback when the room makes us wait for the host to let us in;
+   *   onSuccess or onError follows with the host's decision
    */
-  const joinRoom = useCallback((onSuccess, onError) => {
+  const joinRoom = useCallback((onSuccess, onError, onWaiting) => {
     if (!socketRef.current || !socketRef.current.connected) {
       console.error('[useSocketConnection] ✗ Socket not connected, cannot join room');
       if (onError) onError('Socket not connected');
       return;
     }
 
+    // Drop the decision handlers of an earlier knock on this socket
+    socketRef.current.off('lobby-admitted').off('lobby-denied');
+
+    /**
+     * Keep the new resume token, then report the successful join
+     */
+    const succeed = (res) => {
+      if (res.resumeToken) saveResumeToken(roomId, res.resumeToken);
+      if (res.resumed) console.log('[useSocketConnection] ✓ Resumed our seat in the room');
+      if (onSuccess) onSuccess(res);
+    };
+
+    /**
+     * Wait in the room's lobby for the host's decision
+     */
+    const waitForHost = () => {
+      const socket = socketRef.current;
+      console.log('[useSocketConnection] Waiting for the host to let us in...');
+      setError(null);
+      if (onWaiting) onWaiting();
+
+      socket.once('lobby-admitted', (res) => {
+        socket.off('lobby-denied');
+        console.log('[useSocketConnection] ✓ Admitted to the room');
+        succeed(res);
+      });
+      socket.once('lobby-denied', ({ reason } = {}) => {
+        socket.off('lobby-admitted');
+        console.error('[useSocketConnection] ✗ Not admitted to the room:', reason);
+        const errorMsg = formatErrorMessage({ code: reason }, 'The host did not let you in.');
+        setError(errorMsg);
+        if (onError) onError(errorMsg, reason);
+      });
+    };
+
     const rejoinRoom = (attempt = 1, maxAttempts = 5) => {
       // Double-check socket is still connected
       if (!socketRef.current || !socketRef.current.connected) {
@@ -243,38 +341,47 @@ export const useSocketConnection = (roomId, isCreator) => {
       }
       
       console.log(`[useSocketConnection] ${isCreator ? 'Creating' : 'Joining'} room (attempt ${attempt}/${maxAttempts})...`);
-      
+      const options = roomOptionsRef.current || {};
+      const resumeToken = loadResumeToken(roomId);
+      const joinOptions = { passcode: options.passcode, name: options.name, resumeToken };
+
       if (isCreator) {
-        socketRef.current.emit('create-room', roomId, (res) => {
+        socketRef.current.emit('create-room', roomId, options, (res) => {
           if (!res.ok) {
             console.error('[useSocketConnection] ✗ Create room failed:', res.reason);
             if (attempt < maxAttempts && res.reason === 'ROOM_ALREADY_EXISTS') {
               // Room might have been created by another instance, try to join instead
               console.log(`[useSocketConnection] Retrying as join (attempt ${attempt + 1}/${maxAttempts})`);
               setTimeout(() => {
-                socketRef.current.emit('join-room', roomId, (joinRes) => {
+                socketRef.current.emit('join-room', roomId, joinOptions, (joinRes) => {
                   if (!joinRes.ok) {
-                    const errorMsg = `Could not join room: ${joinRes.reason || 'unknown'}. Please check the room ID.`;
+                    const errorMsg = JOIN_REASONS.includes(joinRes.reason)
+                      ? formatErrorMessage({ code: joinRes.reason })
+                      : `Could not join room: ${joinRes.reason || 'unknown'}. Please check the room ID.`;
                     setError(errorMsg);
-                    if (onError) onError(errorMsg);
+                    if (onError) onError(errorMsg, joinRes.reason);
+                  } else if (joinRes.waiting) {
+                    waitForHost();
                   } else {
                     setError(null);
-                    if (onSuccess) onSuccess();
+                    succeed(joinRes);
                   }
                 });
-              }, 1000 * attempt); // Exponential backoff
+              }, resumeToken ? 0 : 1000 * attempt); // Back off, unless it is our own room held for us
             } else {
-              const errorMsg = `Could not create room: ${res.reason || 'unknown'}`;
+              const errorMsg = CREATE_REASONS.includes(res.reason)
+                ? formatErrorMessage({ code: res.reason })
+                : `Could not create room: ${res.reason || 'unknown'}`;
               setError(errorMsg);
-              if (onError) onError(errorMsg);
+              if (onError) onError(errorMsg, res.reason);
             }
           } else {
             setError(null);
-            if (onSuccess) onSuccess();
+            succeed(res);
           }
         });
       } else {
-        socketRef.current.emit('join-room', roomId, (res) => {
+        socketRef.current.emit('join-room', roomId, joinOptions, (res) => {
           if (!res.ok) {
             console.error('[useSocketConnection] ✗ Join room failed:', res.reason);
             if (attempt < maxAttempts && res.reason === 'ROOM_NOT_FOUND') {
@@ -286,14 +393,18 @@ export const useSocketConnection = (roomId, isCreator) => {
               }, 2000 * attempt); // Exponential backoff: 2s, 4s, 6s, 8s, 10s
             } else {
               console.error('[useSocketConnection] ✗ Failed to join room after all retries');
-              const errorMsg = `Could not join room: ${res.reason || 'unknown'}. Please check the room ID and ensure the room creator is connected and has granted camera permissions.`;
+              const errorMsg = JOIN_REASONS.includes(res.reason)
+                ? formatErrorMessage({ code: res.reason })
+                : `Could not join room: ${res.reason || 'unknown'}. Please check the room ID and ensure the room creator is connected and has granted camera permissions.`;
               setError(errorMsg);
-              if (onError) onError(errorMsg);
+              if (onError) onError(errorMsg, res.reason);
             }
+          } else if (res.waiting) {
+            waitForHost();
           } else {
             console.log('[useSocketConnection] ✓ Successfully joined room');
             setError(null);
-            if (onSuccess) onSuccess();
+            succeed(res);
           }
         });
       }
@@ -306,8 +417,8 @@ export const useSocketConnection = (roomId, isCreator) => {
   }, [roomId, isCreator]);
 
   /**
-   * Send a signal message
-   * @param {Object} data - Signal data to send
+   * Send a signal message to a single peer
+   * @param {Object} data - Signal data to send ({ to, type, payload })
    */
   //Used to send offers, answers, and ICE candidates
   const sendSignal = useCallback((data) => {
@@ -316,6 +427,56 @@ export const useSocketConnection = (roomId, isCreator) => {
     }
   }, [roomId]);
 
+  /**
+   * Send a signal message answered by the server itself and wait for the reply
+   * Used for SFU requests (transports, produce/consume)
+   * @param {Object} data - Signal data to send ({ type, payload })
+   * @returns {Promise<Object>} The server's response
+   */
+  const requestSignal = useCallback((data) => {
+    return new Promise((resolve, reject) => {
+      if (!socketRef.current || !socketRef.current.connected) {
+        reject(new Error('Socket not connected'));
+        return;
+      }
+      socketRef.current.emit('signal', { roomId, ...data }, (res) => {
+        if (res && res.ok) {
+          resolve(res);
+        } else {
+          reject(new Error((res && (res.message || res.reason)) || 'Signal request failed'));
+        }
+      });
+    });
+  }, [roomId]);
+
+  /**
+   * Listen to a server event; the listener survives reconnects and new sockets
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event arguments
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribe = useCallback((event, listener) => {
+    if (!listenersRef.current[event]) {
+      listenersRef.current[event] = new Set();
+    }
+    listenersRef.current[event].add(listener);
+    return () => {
+      listenersRef.current[event].delete(listener);
+    };
+  }, []);
+
+  /**
+   * Emit an event to the server
+   * @param {string} event - Event name
+   * @param {...*} args - Event arguments (a trailing function is used as acknowledgement)
+   * @returns {boolean} False when the socket is not connected
+   */
+  const emitEvent = useCallback((event, ...args) => {
+    if (!socketRef.current || !socketRef.current.connected) return false;
+    socketRef.current.emit(event, ...args);
+    return true;
+  }, []);
+
   /**
    * Leave the room
    */
@@ -327,6 +488,7 @@ export const useSocketConnection = (roomId, isCreator) => {
         console.warn('[useSocketConnection] Error leaving room:', e);
       }
     }
+    clearResumeToken(roomId);
   }, [roomId]);
 
   /**
@@ -354,12 +516,15 @@ export const useSocketConnection = (roomId, isCreator) => {
       }
       socketRef.current = null;
     }
+
+    // Hanging up gives the seat away, so there is nothing to resume
+    clearResumeToken(roomId);
     
     setIsConnected(false);
     setReconnecting(false);
     setRetryCount(0);
     setError(null);
-  }, [stopMonitoringReconnection]);
+  }, [roomId, stopMonitoringReconnection]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -378,6 +543,9 @@ export const useSocketConnection = (roomId, isCreator) => {
     connect,
     joinRoom,
     sendSignal,
+    requestSignal,
+    subscribe,
+    emitEvent,
     leaveRoom,
     disconnect
   };
@@ -0,0 +1,125 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  VIDEO_PRESETS,
+  PRESET_ORDER,
+  AUTO_QUALITY,
+  AUTO_START_PRESET,
+  AUTO_DOWNGRADE_LIMITS,
+  AUTO_UPGRADE_LIMITS,
+  DOWNGRADE_SAMPLES,
+  UPGRADE_SAMPLES,
+  loadVideoQuality,
+  saveVideoQuality
+} from '../utils/videoQuality';
+
+/**
+ * Worst conditions of the video we send, over every connection. Only what
+ * the receiving ends report about our media counts: loss and delay on the
+ * way in (inbound) come from the other senders' uplinks, not from ours.
+ * @param {Object} stats - { peerId: stats } from usePeerConnection
+ * @returns {Object|null} { packetLoss, roundTripTime, limited }, or null before anything was measured
+ */
+const worstConditions = (stats) => {
+  let measured = false;
+  let packetLoss = 0;
+  let roundTripTime = 0;
+  let limited = false;
+  Object.values(stats).forEach(({ outbound }) => {
+    if (outbound.packetLoss !== null) {
+      measured = true;
+      packetLoss = Math.max(packetLoss, outbound.packetLoss);
+    }
+    if (outbound.roundTripTime !== null) {
+      measured = true;
+      roundTripTime = Math.max(roundTripTime, outbound.roundTripTime);
+    }
+    // The encoder held back for lack of bandwidth or CPU
+    if (outbound.limitation === 'bandwidth' || outbound.limitation === 'cpu') {
+      measured = true;
+      limited = true;
+    }
+  });
+  return measured ? { packetLoss, roundTripTime, limited } : null;
+};
+
+/**
+ * Custom hook for the quality of the video we send
+ * Applies the chosen preset to the camera and to the outgoing encodings,
+ * or in automatic mode picks the preset from the measured call quality.
+ * @param {Object} mediaStream - { applyVideoConstraints, screenSharing } from useMediaStream
+ * @param {Object} peerConnection - { setVideoEncoding, stats } from usePeerConnection
+ * @returns {Object} Quality state and methods
+ */
+export const useVideoQuality = (mediaStream, peerConnection) => {
+  const { applyVideoConstraints, screenSharing } = mediaStream;
+  const { setVideoEncoding, stats } = peerConnection;
+
+  // AUTO_QUALITY or a preset ID, remembered between calls
+  const [preference, setPreference] = useState(loadVideoQuality);
+  // Preset picked by automatic mode
+  const [autoPreset, setAutoPreset] = useState(AUTO_START_PRESET);
+  // Consecutive stats samples calling for a step down / up
+  const streakRef = useRef({ bad: 0, good: 0 });
+
+  const activePreset = preference === AUTO_QUALITY ? autoPreset : preference;
+
+  // Apply the active preset. A shared screen is sent at full resolution so
+  // its text stays legible; only its bitrate and frame rate are limited.
+  useEffect(() => {
+    const { capture, encoding } = VIDEO_PRESETS[activePreset];
+    applyVideoConstraints(capture);
+    setVideoEncoding(screenSharing ? { ...encoding, scaleResolutionDownBy: 1 } : encoding);
+  }, [activePreset, screenSharing, applyVideoConstraints, setVideoEncoding]);
+
+  // Automatic mode: follow the network, one step at a time
+  useEffect(() => {
+    if (preference !== AUTO_QUALITY) return;
+    const conditions = worstConditions(stats);
+    if (!conditions) return;
+
+    const streak = streakRef.current;
+    const { packetLoss, roundTripTime, limited } = conditions;
+    if (
+      limited ||
+      packetLoss > AUTO_DOWNGRADE_LIMITS.packetLoss ||
+      roundTripTime > AUTO_DOWNGRADE_LIMITS.roundTripTime
+    ) {
+      streak.bad += 1;
+      streak.good = 0;
+    } else if (packetLoss <= AUTO_UPGRADE_LIMITS.packetLoss && roundTripTime <= AUTO_UPGRADE_LIMITS.roundTripTime) {
+      streak.good += 1;
+      streak.bad = 0;
+    } else {
+      streak.bad = 0;
+      streak.good = 0;
+    }
+
+    const step = streak.bad >= DOWNGRADE_SAMPLES ? -1 : streak.good >= UPGRADE_SAMPLES ? 1 : 0;
+    if (step === 0) return;
+    streak.bad = 0;
+    streak.good = 0;
+    setAutoPreset((current) => {
+      const next = PRESET_ORDER[PRESET_ORDER.indexOf(current) + step];
+      if (!next) return current;
+      console.log(`[useVideoQuality] Network ${step < 0 ? 'degraded' : 'recovered'}, switching to`, next);
+      return next;
+    });
+  }, [preference, stats]);
+
+  /**
+   * Choose a preset, or automatic mode
+   * @param {string} value - AUTO_QUALITY or a preset ID
+   */
+  const setVideoQuality = useCallback((value) => {
+    if (value !== AUTO_QUALITY && !VIDEO_PRESETS[value]) return;
+    streakRef.current = { bad: 0, good: 0 };
+    setPreference(value);
+    saveVideoQuality(value);
+  }, []);
+
+  return {
+    videoQuality: preference,
+    activeVideoPreset: activePreset,
+    setVideoQuality
+  };
+};
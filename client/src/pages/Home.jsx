@@ -2,8 +2,10 @@
  * Home Component - Landing Page
  * 
  * This is the entry point of the application where users can:
- * - Create a new video call room
- * - Join an existing room using a room ID
+ * - Create a new video call room (peer-to-peer mesh, or SFU for large meetings),
+ *   optionally protected by a passcode
+ * - Join an existing room using a room ID (and its passcode, if it has one)
+ * - Choose the display name shown to others, remembered for later calls
  * 
  * @component
  * @returns {JSX.Element} The home page with room creation and joining options
@@ -12,19 +14,31 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { v4 as uuidv4 } from 'uuid';
+import { loadDisplayName, saveDisplayName, DISPLAY_NAME_MAX_LENGTH } from '../utils/displayName';
 
 export default function Home() {
   const [joinId, setJoinId] = useState('');
+  const [largeMeeting, setLargeMeeting] = useState(false);
+  const [knockToEnter, setKnockToEnter] = useState(false);
+  const [createPasscode, setCreatePasscode] = useState('');
+  const [joinPasscode, setJoinPasscode] = useState('');
+  const [displayName, setDisplayName] = useState(loadDisplayName);
   const navigate = useNavigate();
 
+  // Passcodes travel in navigation state rather than the URL
   const createRoom = () => {
+    if (createPasscode && createPasscode.length < 4) return alert('The passcode must be at least 4 characters long');
+    saveDisplayName(displayName);
     const id = uuidv4();
-    navigate(`/room/${id}?creator=1`);
+    // Large meetings route media through the server (SFU) instead of a peer-to-peer mesh
+    const params = `creator=1${largeMeeting ? '&mode=sfu' : ''}${knockToEnter ? '&lobby=1' : ''}`;
+    navigate(`/room/${id}?${params}`, { state: { passcode: createPasscode } });
   };
 
   const joinRoom = () => {
     if (!joinId.trim()) return alert('Enter room ID');
-    navigate(`/room/${joinId.trim()}`);
+    saveDisplayName(displayName);
+    navigate(`/room/${joinId.trim()}`, { state: { passcode: joinPasscode } });
   };
 
   return (
@@ -35,13 +49,51 @@ export default function Home() {
       </div>
 
       <div className="card">
+        <input
+          className="name-input"
+          placeholder="Your name"
+          value={displayName}
+          maxLength={DISPLAY_NAME_MAX_LENGTH}
+          onChange={(e) => setDisplayName(e.target.value)}
+        />
         <button className="primary" onClick={createRoom}>Create Room</button>
+        <label className="room-option">
+          <input
+            type="checkbox"
+            checked={largeMeeting}
+            onChange={(e) => setLargeMeeting(e.target.checked)}
+          />
+          Large meeting (route media through the server)
+        </label>
+        <label className="room-option">
+          <input
+            type="checkbox"
+            checked={knockToEnter}
+            onChange={(e) => setKnockToEnter(e.target.checked)}
+          />
+          Knock to enter (you let people in)
+        </label>
+        <input
+          className="passcode-input"
+          type="password"
+          placeholder="Passcode for the new room (optional)"
+          value={createPasscode}
+          maxLength={128}
+          onChange={(e) => setCreatePasscode(e.target.value)}
+        />
         <div className="join">
           <input
             placeholder="Enter room ID to join"
             value={joinId}
             onChange={(e) => setJoinId(e.target.value)}
           />
+          <input
+            className="join-passcode"
+            type="password"
+            placeholder="Passcode"
+            value={joinPasscode}
+            onChange={(e) => setJoinPasscode(e.target.value)}
+          />
           <button onClick={joinRoom}>Join Room</button>
         </div>
       </div>
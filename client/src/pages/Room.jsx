@@ -1,75 +1,380 @@
-import React, { useEffect, useRef } from 'react';
-import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useParams, useSearchParams, useNavigate, useLocation } from 'react-router-dom';
 import { useRoomConnection } from '../hooks/useRoomConnection';
 import Controls from '../components/Controls';
+import VideoTile from '../components/VideoTile';
+import ChatPanel from '../components/ChatPanel';
+import FileTransfers from '../components/FileTransfers';
+import LobbyPanel from '../components/LobbyPanel';
+import ParticipantsPanel from '../components/ParticipantsPanel';
+import StatsPanel from '../components/StatsPanel';
+import DeviceSettings from '../components/DeviceSettings';
+import PreJoin from '../components/PreJoin';
+import AudioLevel from '../components/AudioLevel';
+import ShortcutHelp from '../components/ShortcutHelp';
+import HandQueue from '../components/HandQueue';
+import ReactionBursts from '../components/ReactionBursts';
+import { SFU_PEER_ID } from '../hooks/usePeerConnection';
+import { useAudioLevel } from '../hooks/useAudioLevel';
+import { useKeyboardShortcuts } from '../hooks/useKeyboardShortcuts';
+import { describeKey } from '../utils/shortcuts';
+import { LOCAL_SPEAKER } from '../utils/audioLevel';
+import { VIDEO_PRESETS, AUTO_QUALITY } from '../utils/videoQuality';
 import { MAX_RECONNECT_ATTEMPTS } from '../utils/socketConfig';
+import { loadDisplayName } from '../utils/displayName';
+import { recordingSupported } from '../hooks/useRecording';
+import { speakerSelectionSupported } from '../utils/mediaDevices';
 
 export default function Room() {
   const { id: roomId } = useParams();
   const [searchParams] = useSearchParams();
   const isCreator = !!searchParams.get('creator');
+  const requestedMode = searchParams.get('mode') === 'sfu' ? 'sfu' : 'mesh';
+  const knockToEnter = searchParams.get('lobby') === '1';
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // The passcode comes from the home page through navigation state, so it never
+  // shows up in the URL; people opening a shared link are asked for it instead
+  const [passcode, setPasscode] = useState((location.state && location.state.passcode) || '');
+  const [passcodeDraft, setPasscodeDraft] = useState('');
+
+  // The name entered on the home page; people opening a shared link join under
+  // the name they used last time, or as a guest
+  const [displayName] = useState(loadDisplayName);
+  const [participantsOpen, setParticipantsOpen] = useState(false);
+  const [statsOpen, setStatsOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [shortcutsOpen, setShortcutsOpen] = useState(false);
+  // { muted, videoOff } chosen on the pre-join screen; null until Join is clicked
+  const [joinSettings, setJoinSettings] = useState(null);
+
+  // The mode and lobby are only used by the creator; joiners get them from the server
+  const roomOptions = useMemo(
+    () => ({ mode: requestedMode, passcode, lobby: knockToEnter, name: displayName }),
+    [requestedMode, passcode, knockToEnter, displayName]
+  );
 
   const localVideoRef = useRef();
-  const remoteVideoRef = useRef();
 
   const {
     status,
     error,
     reconnecting,
     retryCount,
+    recoveryStage,
+    mode,
+    passcodeRequired,
+    waitingForHost,
+    hostId,
+    isHost,
+    lobbyWaiting,
+    admitPeer,
+    denyPeer,
+    locked,
+    removedByHost,
+    hostNotice,
+    dismissHostNotice,
+    removeParticipant,
+    requestMute,
+    setRoomLocked,
+    transferHost,
+    remoteStreams,
+    peerStates,
+    peerStats,
+    audioLevels,
+    peerAudioLevels,
+    activeSpeaker,
+    videoQuality,
+    activeVideoPreset,
+    setVideoQuality,
+    devices,
+    selectedDevices,
+    deviceNotice,
+    selectDevice,
+    dismissDeviceNotice,
+    peerUsers,
+    reconnectingPeers,
+    roster,
+    nameOf,
+    reactions,
+    sendReaction,
+    handRaised,
+    handQueue,
+    handNotice,
+    toggleHand,
+    lowerHand,
+    dismissHandNotice,
     muted,
     videoOff,
     toggleMute,
     toggleVideo,
+    screenSharing,
+    remoteScreenShares,
+    startScreenShare,
+    stopScreenShare,
+    chatMessages,
+    unreadCount,
+    chatOpen,
+    setChatOpen,
+    sendChatMessage,
+    recording,
+    recordingElapsed,
+    recordingFile,
+    recordingNotice,
+    startRecording,
+    stopRecording,
+    saveRecording,
+    dismissRecordingFile,
+    dismissRecordingNotice,
+    transfers,
+    fileTransferAvailable,
+    sendFile,
+    cancelTransfer,
+    dismissTransfer,
     start,
     endCall,
     handleRetry
-  } = useRoomConnection(localVideoRef, remoteVideoRef, roomId, isCreator);
+  } = useRoomConnection(localVideoRef, roomId, isCreator, roomOptions);
+
+  const remotePeerIds = Object.keys(peerStates);
+  // A remote screen share takes over the layout
+  const presenterId = remotePeerIds.find((peerId) => remoteScreenShares[peerId]);
 
+  // Tiles show the name each participant joined with
+  const peerLabel = (peerId) => {
+    const user = peerUsers[peerId];
+    const name = nameOf(peerId) || (user && user.name) || `Remote · ${peerId.slice(0, 6)}`;
+    return peerId === hostId ? `${name} (host)` : name;
+  };
+  const statsLabel = (peerId) => (peerId === SFU_PEER_ID ? 'Media server (upload)' : peerLabel(peerId));
+  const self = roster.find((p) => p.self);
+  // Anyone recording the call, us included, is shown in the header
+  const recorders = roster.filter((p) => p.recording);
+  const localLabel = self && self.name ? `${self.name} (you)` : 'You';
+  const reactionsOf = (socketId) => reactions.filter((r) => r.socketId === socketId);
+  const raisedHands = new Set(handQueue.map((p) => p.socketId));
+
+  // The call starts once the pre-join screen is done, when the local video is on screen
   useEffect(() => {
-    start();
+    if (!joinSettings) return undefined;
+    start(joinSettings);
     return () => {
       endCall();
       navigate('/');
     };
     // eslint-disable-next-line
-  }, []);
+  }, [joinSettings]);
 
   const handleEndCall = () => {
     endCall();
     navigate('/');
   };
 
-  const copyRoomId = async () => {
+  const handleSubmitPasscode = (e) => {
+    e.preventDefault();
+    if (!passcodeDraft) return;
+    setPasscode(passcodeDraft);
+    setPasscodeDraft('');
+    handleRetry();
+  };
+
+  const handleRemoveParticipant = (peerId) => {
+    if (window.confirm('Remove this participant from the call?')) {
+      removeParticipant(peerId);
+    }
+  };
+
+  const handleToggleRecording = async () => {
+    if (recording) {
+      stopRecording();
+      return;
+    }
+    const recordError = await startRecording();
+    if (recordError) alert(recordError);
+  };
+
+  const handleDismissRecording = () => {
+    if (recordingFile.saved || window.confirm('Discard the recording without downloading it?')) {
+      dismissRecordingFile();
+    }
+  };
+
+  const handleSendFile = async (file) => {
+    const sendError = await sendFile(file);
+    if (sendError) alert(sendError);
+  };
+
+  const copyText = async (text, what) => {
     try {
-      await navigator.clipboard.writeText(roomId);
-      alert('Room ID copied');
+      await navigator.clipboard.writeText(text);
+      alert(`${what} copied`);
     } catch (e) {
       alert('Copy failed: ' + e.message);
     }
   };
 
+  const copyRoomId = () => copyText(roomId, 'Room ID');
+  const copyRoomLink = () => copyText(`${window.location.origin}/room/${roomId}`, 'Room link');
+
+  // Keyboard shortcuts for the controls, once the call is on screen
+  const {
+    shortcuts,
+    pushToTalk,
+    pushToTalkKey,
+    talking,
+    setShortcut,
+    setPushToTalk,
+    setPushToTalkKey,
+    resetShortcuts
+  } = useKeyboardShortcuts({
+    toggleMute,
+    toggleVideo,
+    toggleChat: () => setChatOpen(!chatOpen),
+    toggleHand,
+    toggleSettings: () => setSettingsOpen((open) => !open),
+    copyLink: copyRoomLink,
+    endCall: handleEndCall,
+    showHelp: () => setShortcutsOpen((open) => !open)
+  }, toggleMute, !!joinSettings);
+  // Whether we are speaking, to warn when the microphone is muted
+  const speaking = useAudioLevel(audioLevels, (levels) => !!levels[LOCAL_SPEAKER] && levels[LOCAL_SPEAKER].speaking);
+  const shortcutHints = Object.fromEntries(
+    Object.entries(shortcuts).filter(([, key]) => key).map(([id, key]) => [id, describeKey(key)])
+  );
+
+  if (!joinSettings) {
+    return (
+      <div className="room-container">
+        <PreJoin
+          roomId={roomId}
+          displayName={displayName}
+          speaker={selectedDevices.audiooutput}
+          speakerSelectable={speakerSelectionSupported}
+          onSelectSpeaker={(deviceId) => selectDevice('audiooutput', deviceId)}
+          onJoin={(settings) => setJoinSettings(pushToTalk ? { ...settings, muted: true } : settings)}
+          onCancel={() => navigate('/')}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="room-container">
       <div className="room-header">
         <div className="room-title-section">
           <h2 className="room-title">Room</h2>
           <span className="room-id">{roomId}</span>
+          {mode === 'sfu' && <span className="room-mode" title="Media is routed through the server">SFU</span>}
+          {locked && <span className="room-mode room-locked" title="Nobody else can join">Locked</span>}
+          {isHost && <span className="room-mode room-host">Host</span>}
+          {recorders.length > 0 && (
+            <span
+              className="room-mode room-recording"
+              title={`Recorded by ${recorders.map((p) => (p.self ? 'you' : p.name || 'a guest')).join(', ')}`}
+            >
+              ● REC
+            </span>
+          )}
+        </div>
+        <div className="room-header-actions">
+          <button
+            className={`copy-button${participantsOpen ? ' active' : ''}`}
+            onClick={() => setParticipantsOpen(!participantsOpen)}
+          >
+            Participants ({roster.length})
+          </button>
+          <select
+            className="quality-select"
+            value={videoQuality}
+            onChange={(e) => setVideoQuality(e.target.value)}
+            title="Quality of the video you send"
+          >
+            <option value={AUTO_QUALITY}>Auto ({VIDEO_PRESETS[activeVideoPreset].label})</option>
+            {Object.entries(VIDEO_PRESETS).map(([id, preset]) => (
+              <option key={id} value={id}>{preset.label}</option>
+            ))}
+          </select>
+          <button
+            className={`copy-button${statsOpen ? ' active' : ''}`}
+            onClick={() => setStatsOpen(!statsOpen)}
+          >
+            Stats
+          </button>
+          {isHost && (
+            <button className="copy-button" onClick={() => setRoomLocked(!locked)}>
+              {locked ? 'Unlock Room' : 'Lock Room'}
+            </button>
+          )}
+          <button className="copy-button" onClick={copyRoomId}>
+            Copy Room ID
+          </button>
+          <button
+            className="copy-button"
+            onClick={() => setShortcutsOpen(true)}
+            title={shortcutHints.showHelp ? `Keyboard shortcuts (${shortcutHints.showHelp})` : 'Keyboard shortcuts'}
+          >
+            ⌨
+          </button>
         </div>
-        <button className="copy-button" onClick={copyRoomId}>
-          Copy Room ID
-        </button>
       </div>
 
+      {recordingNotice && (
+        <div className="host-notice">
+          <span>{recordingNotice}</span>
+          <button onClick={dismissRecordingNotice} title="Dismiss">✕</button>
+        </div>
+      )}
+
+      {recordingFile && (
+        <div className="host-notice recording-ready">
+          <span>
+            Recording ready ({(recordingFile.size / (1024 * 1024)).toFixed(1)} MB)
+            {' '}
+            <button className="recording-save" onClick={saveRecording}>
+              {recordingFile.saved ? 'Download again' : 'Download'}
+            </button>
+          </span>
+          <button onClick={handleDismissRecording} title="Dismiss">✕</button>
+        </div>
+      )}
+
+      {deviceNotice && (
+        <div className="host-notice">
+          <span>{deviceNotice}</span>
+          <button onClick={dismissDeviceNotice} title="Dismiss">✕</button>
+        </div>
+      )}
+
+      {handNotice && (
+        <div className="host-notice">
+          <span>{handNotice}</span>
+          <button onClick={dismissHandNotice} title="Dismiss">✕</button>
+        </div>
+      )}
+
+      {hostNotice && (
+        <div className="host-notice">
+          <span>{hostNotice}</span>
+          <button onClick={dismissHostNotice} title="Dismiss">✕</button>
+        </div>
+      )}
+
       <div className="status-section">
         <span className="status-label">Status:</span>
         <span className={`status-badge status-${status}`}>{status}</span>
+        {pushToTalk && (
+          <span className={`push-to-talk${talking ? ' talking' : ''}`}>
+            {talking ? 'Talking' : `Push to talk: hold ${describeKey(pushToTalkKey)}`}
+          </span>
+        )}
         {reconnecting && (
           <div className="reconnecting-indicator">
             <div className="spinner"></div>
             <span className="reconnecting-text">
-              Reconnecting... (Attempt {retryCount}/{MAX_RECONNECT_ATTEMPTS})
+              {recoveryStage === 'ice-restart'
+                ? 'Restoring connection...'
+                : `Reconnecting... (Attempt ${retryCount}/${MAX_RECONNECT_ATTEMPTS})`}
             </span>
           </div>
         )}
@@ -86,55 +391,180 @@ export default function Room() {
         }}>
           <div style={{ marginBottom: '10px', fontWeight: 'bold' }}>⚠️ Error</div>
           <div style={{ marginBottom: '10px' }}>{error}</div>
-          <button 
-            onClick={handleRetry}
-            style={{
-              padding: '8px 16px',
-              backgroundColor: '#4CAF50',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer',
-              fontSize: '14px',
-              fontWeight: 'bold'
-            }}
-          >
-            Retry Connection
-          </button>
+          {passcodeRequired ? (
+            <form className="passcode-form" onSubmit={handleSubmitPasscode}>
+              <input
+                type="password"
+                placeholder="Room passcode"
+                value={passcodeDraft}
+                autoFocus
+                onChange={(e) => setPasscodeDraft(e.target.value)}
+              />
+              <button type="submit" disabled={!passcodeDraft}>Join</button>
+            </form>
+          ) : removedByHost ? (
+            <button className="copy-button" onClick={handleEndCall}>Back to Home</button>
+          ) : (
+            <button 
+              onClick={handleRetry}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#4CAF50',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '14px',
+                fontWeight: 'bold'
+              }}
+            >
+              Retry Connection
+            </button>
+          )}
         </div>
       )}
 
-      <div className="videos-container">
-        <div className="video-wrapper">
-          <p className="video-label">Local</p>
-          <video ref={localVideoRef} autoPlay playsInline muted className="video-element" />
-          {(muted || videoOff) && (
-            <div className="video-overlay">
-              {muted && <span>🔇 Muted</span>}
-              {muted && videoOff && <span> • </span>}
-              {videoOff && <span>📹 Camera Off</span>}
-            </div>
-          )}
+      {waitingForHost && (
+        <div className="lobby-waiting">
+          <div className="spinner"></div>
+          <span>Waiting for the host to let you in...</span>
         </div>
-        <div className="video-wrapper">
-          <p className="video-label">Remote</p>
-          <video ref={remoteVideoRef} autoPlay playsInline className="video-element" />
-          {status === 'disconnected' && !reconnecting && (
-            <div className="video-overlay error">Connection Lost</div>
-          )}
-          {reconnecting && (
-            <div className="video-overlay warning">Reconnecting...</div>
-          )}
+      )}
+
+      {isHost && (
+        <LobbyPanel waiting={lobbyWaiting} onAdmit={admitPeer} onDeny={denyPeer} />
+      )}
+
+      <HandQueue queue={handQueue} isHost={isHost} onLower={lowerHand} onLowerOwn={toggleHand} />
+
+      <div className="call-body">
+        <div className={`videos-container${presenterId ? ' presentation' : ''}`}>
+          <div className={`video-wrapper${screenSharing ? ' sharing' : ''}${activeSpeaker === LOCAL_SPEAKER ? ' active-speaker' : ''}`}>
+            <p className="video-label">
+              {screenSharing ? `${localLabel} (sharing screen)` : localLabel}
+              {handRaised && <span className="hand-raised" title="Hand raised"> ✋</span>}
+            </p>
+            <video ref={localVideoRef} autoPlay playsInline muted className="video-element" />
+            {self && <ReactionBursts reactions={reactionsOf(self.socketId)} />}
+            {muted ? (
+              <AudioLevel level={0} className="tile-level" />
+            ) : (
+              <AudioLevel levels={audioLevels} id={LOCAL_SPEAKER} className="tile-level" />
+            )}
+            {muted && speaking && (
+              <div className="muted-warning">
+                {pushToTalk ? `You are muted. Hold ${describeKey(pushToTalkKey)} to talk.` : 'You are muted. Unmute to be heard.'}
+              </div>
+            )}
+            {(muted || videoOff) && (
+              <div className="video-overlay">
+                {muted && <span>🔇 Muted</span>}
+                {muted && videoOff && <span> • </span>}
+                {videoOff && <span>📹 Camera Off</span>}
+              </div>
+            )}
+          </div>
+          {remotePeerIds.map((peerId) => (
+            <VideoTile
+              key={peerId}
+              label={peerLabel(peerId)}
+              stream={remoteStreams[peerId]}
+              connectionState={peerStates[peerId]}
+              presenting={peerId === presenterId}
+              reconnecting={!!reconnectingPeers[peerId]}
+              quality={peerStats[peerId] ? peerStats[peerId].quality : null}
+              peerId={peerId}
+              audioLevels={peerAudioLevels}
+              activeSpeaker={peerId === activeSpeaker}
+              handRaised={raisedHands.has(peerId)}
+              reactions={reactionsOf(peerId)}
+              sinkId={speakerSelectionSupported ? selectedDevices.audiooutput : undefined}
+              hostActions={isHost ? {
+                onMute: () => requestMute(peerId, 'audio'),
+                onStopVideo: () => requestMute(peerId, 'video'),
+                onMakeHost: () => transferHost(peerId),
+                onRemove: () => handleRemoveParticipant(peerId)
+              } : undefined}
+            />
+          ))}
         </div>
+
+        {statsOpen && (
+          <StatsPanel stats={peerStats} labelOf={statsLabel} onClose={() => setStatsOpen(false)} />
+        )}
+
+        {settingsOpen && (
+          <DeviceSettings
+            devices={devices}
+            selected={selectedDevices}
+            speakerSelectable={speakerSelectionSupported}
+            onSelect={selectDevice}
+            onClose={() => setSettingsOpen(false)}
+          />
+        )}
+
+        {participantsOpen && (
+          <ParticipantsPanel
+            participants={roster}
+            hostId={hostId}
+            onClose={() => setParticipantsOpen(false)}
+          />
+        )}
+
+        {chatOpen && (
+          <ChatPanel
+            messages={chatMessages}
+            nameOf={nameOf}
+            onSend={sendChatMessage}
+            onClose={() => setChatOpen(false)}
+          />
+        )}
       </div>
 
+      <FileTransfers
+        transfers={transfers}
+        onCancel={cancelTransfer}
+        onDismiss={dismissTransfer}
+      />
+
       <Controls
         muted={muted}
         videoOff={videoOff}
         onToggleMute={toggleMute}
         onToggleVideo={toggleVideo}
+        screenSharing={screenSharing}
+        onToggleScreenShare={screenSharing ? stopScreenShare : startScreenShare}
+        chatOpen={chatOpen}
+        unreadCount={unreadCount}
+        onToggleChat={() => setChatOpen(!chatOpen)}
+        fileTransferAvailable={fileTransferAvailable}
+        onSendFile={handleSendFile}
+        recording={recording}
+        recordingElapsed={recordingElapsed}
+        recordingAvailable={recordingSupported}
+        onToggleRecording={handleToggleRecording}
+        handRaised={handRaised}
+        onToggleHand={toggleHand}
+        onReact={sendReaction}
+        settingsOpen={settingsOpen}
+        onToggleSettings={() => setSettingsOpen(!settingsOpen)}
+        shortcutHints={shortcutHints}
+        pushToTalkHint={pushToTalk ? describeKey(pushToTalkKey) : null}
         onEndCall={handleEndCall}
       />
+
+      {shortcutsOpen && (
+        <ShortcutHelp
+          shortcuts={shortcuts}
+          pushToTalk={pushToTalk}
+          pushToTalkKey={pushToTalkKey}
+          onSetShortcut={setShortcut}
+          onSetPushToTalk={setPushToTalk}
+          onSetPushToTalkKey={setPushToTalkKey}
+          onReset={resetShortcuts}
+          onClose={() => setShortcutsOpen(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,108 @@
+/**
+ * Audio Level Utilities
+ *
+ * Measures how loud a stream's microphone is, for level meters and to tell
+ * who is speaking. Levels go from 0 (silence, -60 dBFS and below) to 1
+ * (full scale); they rise at once and fall back gradually, so meters do not
+ * flicker between syllables.
+ */
+
+// How often levels are read, in ms
+export const LEVEL_INTERVAL = 100;
+
+// Key of our own microphone among the readings
+export const LOCAL_SPEAKER = 'local';
+
+// Quietest level shown, in dBFS
+const FLOOR_DB = -60;
+// Share of the previous level kept at each reading while the sound fades
+const DECAY = 0.7;
+// Level from which a reading counts as speech (about -36 dBFS)
+const SPEAKING_LEVEL = 0.4;
+// Speech stays detected through pauses shorter than this, in ms
+const SPEAKING_HOLD = 800;
+
+/**
+ * Whether a new reading is worth re-rendering for
+ * @param {Object} previous - { level, speaking }
+ * @param {Object} next - { level, speaking }
+ * @returns {boolean}
+ */
+export const levelChanged = (previous, next) => (
+  previous.speaking !== next.speaking || Math.abs(previous.level - next.level) >= 0.02
+);
+
+/**
+ * Latest readings of one or more meters, held outside React state
+ * Readings come ten times a second; components subscribe to them (see
+ * useAudioLevel), so only the meters on screen re-render, not the call.
+ * @returns {Object} { get() -> { id: { level, speaking } }, set(readings), subscribe(listener) -> unsubscribe }
+ */
+export const createLevelStore = () => {
+  let levels = {};
+  const listeners = new Set();
+
+  return {
+    get: () => levels,
+    // Readings that barely moved keep their previous object
+    set: (readings) => {
+      let changed = Object.keys(readings).length !== Object.keys(levels).length;
+      const next = {};
+      Object.entries(readings).forEach(([id, reading]) => {
+        const kept = levels[id];
+        next[id] = kept && !levelChanged(kept, reading) ? kept : reading;
+        if (next[id] !== kept) changed = true;
+      });
+      if (!changed) return;
+      levels = next;
+      listeners.forEach((listener) => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+/**
+ * Start measuring the audio of a stream
+ * @param {MediaStream} stream - Stream with an audio track
+ * @param {AudioContext} [sharedContext] - Context to measure in, left open on close; a new one is made otherwise
+ * @returns {Object|null} { read, close }: read() returns the current { level, speaking };
+ *   null when there is no audio to measure
+ */
+export const createLevelMeter = (stream, sharedContext) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !stream || stream.getAudioTracks().length === 0) return null;
+
+  const context = sharedContext || new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+  // Contexts created without a click start suspended in some browsers
+  context.resume().catch(() => {});
+
+  let level = 0;
+  let loudAt = 0;
+
+  return {
+    read: () => {
+      analyser.getFloatTimeDomainData(samples);
+      let sum = 0;
+      for (let i = 0; i < samples.length; i += 1) sum += samples[i] * samples[i];
+      const rms = Math.sqrt(sum / samples.length);
+      const current = rms === 0 ? 0 : Math.min(1, Math.max(0, (20 * Math.log10(rms) - FLOOR_DB) / -FLOOR_DB));
+
+      level = current >= level ? current : level * DECAY + current * (1 - DECAY);
+      const now = Date.now();
+      if (current >= SPEAKING_LEVEL) loudAt = now;
+      return { level, speaking: now - loudAt < SPEAKING_HOLD };
+    },
+    close: () => {
+      source.disconnect();
+      if (!sharedContext) context.close().catch(() => {});
+    }
+  };
+};
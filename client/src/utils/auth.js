@@ -0,0 +1,28 @@
+/**
+ * Authentication Utilities
+ *
+ * Lets the app plug its own login into the signaling connection. When the
+ * signaling server requires authentication (see AUTH_JWT_SECRET in the
+ * server), register a token provider before rendering the app:
+ *
+ *   setTokenProvider(async () => (await myLogin.getSession()).accessToken);
+ *
+ * The provider is asked for a token on every (re)connection, so it can hand
+ * out a fresh one when the previous token has expired.
+ */
+
+let tokenProvider = null;
+
+/**
+ * Register the function supplying signaling tokens
+ * @param {Function|null} provider - () => string | Promise<string>, a signed JWT; null to connect without a token
+ */
+export const setTokenProvider = (provider) => {
+  tokenProvider = provider;
+};
+
+/**
+ * The registered token provider
+ * @returns {Function|null}
+ */
+export const getTokenProvider = () => tokenProvider;
@@ -0,0 +1,172 @@
+/**
+ * Call Statistics Utilities
+ *
+ * Turns the raw RTCStatsReport of a connection into the figures people ask
+ * about when a call goes wrong: bitrates, packet loss, jitter, round-trip
+ * time, frame rate, resolution, codecs and the kind of network path in use.
+ * Rates are computed between two consecutive reports of the same connection.
+ */
+
+// How often connection statistics are collected, in ms
+export const STATS_INTERVAL = 2000;
+
+// Limits of "good" and "fair" quality; beyond the fair limits quality is poor
+const QUALITY_LIMITS = {
+  good: { packetLoss: 2, roundTripTime: 200, jitter: 30 },
+  fair: { packetLoss: 5, roundTripTime: 400, jitter: 50 }
+};
+
+const round = (value, digits = 0) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * Read the counters and properties of interest from a stats report
+ * @param {Iterable<Object>} reports - Entries of one or more RTCStatsReports
+ * @returns {Object} Sample: { timestamp, bytesReceived, bytesSent, packetsReceived, packetsLost, ... }
+ */
+export const sampleStats = (reports) => {
+  const entries = new Map();
+  reports.forEach((report) => report.forEach((entry) => entries.set(entry.id, entry)));
+
+  const sample = {
+    timestamp: Date.now(),
+    bytesReceived: 0,
+    bytesSent: 0,
+    packetsReceived: 0,
+    packetsLost: 0,
+    jitter: null, // s
+    roundTripTime: null, // s
+    remoteFractionLost: null, // 0..1, loss of our outgoing media as seen by the receiving end
+    remoteRoundTripTime: null, // s, round trip of our outgoing media, from the receiving end's reports
+    qualityLimitation: null, // 'bandwidth' | 'cpu' | 'other' | 'none', what holds back our outgoing video
+    inboundVideo: null, // { frameRate, width, height }
+    outboundVideo: null,
+    inboundCodecs: new Set(),
+    outboundCodecs: new Set(),
+    candidateType: null
+  };
+
+  const codecName = (codecId) => {
+    const codec = codecId && entries.get(codecId);
+    return codec && codec.mimeType ? codec.mimeType.split('/')[1] : null;
+  };
+  // Keep the largest video stream of a direction (simulcast sends several)
+  const largerVideo = (current, entry) => {
+    if (!entry.frameWidth) return current;
+    if (current && current.width * current.height >= entry.frameWidth * entry.frameHeight) return current;
+    return { frameRate: entry.framesPerSecond || null, width: entry.frameWidth, height: entry.frameHeight };
+  };
+
+  let selectedPair = null;
+  entries.forEach((entry) => {
+    if (entry.type === 'inbound-rtp') {
+      sample.bytesReceived += entry.bytesReceived || 0;
+      sample.packetsReceived += entry.packetsReceived || 0;
+      sample.packetsLost += Math.max(0, entry.packetsLost || 0);
+      if (typeof entry.jitter === 'number') sample.jitter = Math.max(sample.jitter || 0, entry.jitter);
+      if (entry.kind === 'video') sample.inboundVideo = largerVideo(sample.inboundVideo, entry);
+      const codec = codecName(entry.codecId);
+      if (codec) sample.inboundCodecs.add(codec);
+    } else if (entry.type === 'outbound-rtp') {
+      sample.bytesSent += entry.bytesSent || 0;
+      if (entry.kind === 'video') {
+        sample.outboundVideo = largerVideo(sample.outboundVideo, entry);
+        // A limit on any stream (simulcast sends several) counts
+        if (entry.qualityLimitationReason && (!sample.qualityLimitation || sample.qualityLimitation === 'none')) {
+          sample.qualityLimitation = entry.qualityLimitationReason;
+        }
+      }
+      const codec = codecName(entry.codecId);
+      if (codec) sample.outboundCodecs.add(codec);
+    } else if (entry.type === 'remote-inbound-rtp') {
+      if (typeof entry.fractionLost === 'number') {
+        sample.remoteFractionLost = Math.max(sample.remoteFractionLost || 0, entry.fractionLost);
+      }
+      if (typeof entry.roundTripTime === 'number') {
+        sample.remoteRoundTripTime = Math.max(sample.remoteRoundTripTime || 0, entry.roundTripTime);
+      }
+    } else if (entry.type === 'transport' && entry.selectedCandidatePairId) {
+      selectedPair = entries.get(entry.selectedCandidatePairId) || selectedPair;
+    } else if (entry.type === 'candidate-pair' && !selectedPair && entry.nominated && entry.state === 'succeeded') {
+      // Firefox has no transport stats, it flags the selected pair instead
+      selectedPair = entry;
+    }
+  });
+
+  if (selectedPair) {
+    if (typeof selectedPair.currentRoundTripTime === 'number') sample.roundTripTime = selectedPair.currentRoundTripTime;
+    const local = entries.get(selectedPair.localCandidateId);
+    const remote = entries.get(selectedPair.remoteCandidateId);
+    // A relayed path on either end goes through TURN
+    if (local && remote) {
+      sample.candidateType = remote.candidateType === 'relay' ? 'relay' : local.candidateType;
+    }
+  }
+  return sample;
+};
+
+/**
+ * Good, fair or poor, from the loss, delay and jitter of a connection
+ * @param {Object} stats - Derived statistics (see deriveStats)
+ * @returns {string|null} 'good' | 'fair' | 'poor', or null before there is anything to judge
+ */
+const rateQuality = ({ inbound, outbound, roundTripTime }) => {
+  if (inbound.packetLoss === null && outbound.packetLoss === null && roundTripTime === null) return null;
+  const packetLoss = Math.max(inbound.packetLoss || 0, outbound.packetLoss || 0);
+  const jitter = inbound.jitter || 0;
+  const rtt = roundTripTime || 0;
+
+  const within = (limits) => packetLoss <= limits.packetLoss && rtt <= limits.roundTripTime && jitter <= limits.jitter;
+  if (within(QUALITY_LIMITS.good)) return 'good';
+  if (within(QUALITY_LIMITS.fair)) return 'fair';
+  return 'poor';
+};
+
+/**
+ * Figures of a connection between two samples
+ * @param {Object} sample - Latest sample (see sampleStats)
+ * @param {Object|null} previous - Sample before it, null for the first one
+ * @returns {Object} { inbound: { bitrate, packetLoss, jitter, frameRate, resolution, codec },
+ *   outbound: { bitrate, packetLoss, roundTripTime, limitation, frameRate, resolution, codec }, roundTripTime,
+ *   candidateType, quality }
+ *   with bitrates in kbps, loss in %, times in ms; null where unknown
+ */
+export const deriveStats = (sample, previous) => {
+  const seconds = previous ? (sample.timestamp - previous.timestamp) / 1000 : 0;
+  const rate = (bytes, previousBytes) => (
+    seconds > 0 && bytes >= previousBytes ? round(((bytes - previousBytes) * 8) / seconds / 1000) : null
+  );
+
+  let packetLoss = null;
+  if (previous) {
+    const received = sample.packetsReceived - previous.packetsReceived;
+    const lost = sample.packetsLost - previous.packetsLost;
+    if (received + lost > 0 && lost >= 0) packetLoss = round((lost / (received + lost)) * 100, 1);
+  }
+
+  const describeVideo = (video) => ({
+    frameRate: video && video.frameRate !== null ? round(video.frameRate) : null,
+    resolution: video ? `${video.width}×${video.height}` : null
+  });
+
+  const stats = {
+    inbound: {
+      bitrate: previous ? rate(sample.bytesReceived, previous.bytesReceived) : null,
+      packetLoss,
+      jitter: sample.jitter === null ? null : round(sample.jitter * 1000),
+      ...describeVideo(sample.inboundVideo),
+      codec: sample.inboundCodecs.size > 0 ? Array.from(sample.inboundCodecs).join(' / ') : null
+    },
+    outbound: {
+      bitrate: previous ? rate(sample.bytesSent, previous.bytesSent) : null,
+      packetLoss: sample.remoteFractionLost === null ? null : round(sample.remoteFractionLost * 100, 1),
+      roundTripTime: sample.remoteRoundTripTime === null ? null : round(sample.remoteRoundTripTime * 1000),
+      limitation: sample.qualityLimitation,
+      ...describeVideo(sample.outboundVideo),
+      codec: sample.outboundCodecs.size > 0 ? Array.from(sample.outboundCodecs).join(' / ') : null
+    },
+    roundTripTime: sample.roundTripTime === null ? null : round(sample.roundTripTime * 1000),
+    candidateType: sample.candidateType
+  };
+  stats.quality = rateQuality(stats);
+  return stats;
+};
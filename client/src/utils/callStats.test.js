@@ -0,0 +1,164 @@
+import { sampleStats, deriveStats } from './callStats';
+
+// A stats report as the browser hands it out: a Map of entries by ID
+const report = (...entries) => new Map(entries.map((entry) => [entry.id, entry]));
+
+const connection = ({ bytesReceived = 0, packetsReceived = 0, packetsLost = 0, bytesSent = 0, rtt = 0.05, fractionLost = 0.03 } = {}) => report(
+  { id: 'codec-in', type: 'codec', mimeType: 'video/VP8' },
+  { id: 'codec-out', type: 'codec', mimeType: 'video/H264' },
+  {
+    id: 'in-video',
+    type: 'inbound-rtp',
+    kind: 'video',
+    codecId: 'codec-in',
+    bytesReceived,
+    packetsReceived,
+    packetsLost,
+    jitter: 0.012,
+    frameWidth: 640,
+    frameHeight: 360,
+    framesPerSecond: 29.7
+  },
+  {
+    id: 'out-video',
+    type: 'outbound-rtp',
+    kind: 'video',
+    codecId: 'codec-out',
+    bytesSent,
+    frameWidth: 1280,
+    frameHeight: 720,
+    framesPerSecond: 30,
+    qualityLimitationReason: 'none'
+  },
+  { id: 'remote-in', type: 'remote-inbound-rtp', fractionLost, roundTripTime: 0.08 },
+  { id: 'transport', type: 'transport', selectedCandidatePairId: 'pair' },
+  { id: 'pair', type: 'candidate-pair', localCandidateId: 'local', remoteCandidateId: 'remote', currentRoundTripTime: rtt },
+  { id: 'local', type: 'local-candidate', candidateType: 'srflx' },
+  { id: 'remote', type: 'remote-candidate', candidateType: 'host' }
+);
+
+describe('sampleStats', () => {
+  it('reads the counters, video and codecs of both directions', () => {
+    const sample = sampleStats([connection({ bytesReceived: 1000, packetsReceived: 90, packetsLost: 10, bytesSent: 2000 })]);
+    expect(sample).toMatchObject({
+      bytesReceived: 1000,
+      packetsReceived: 90,
+      packetsLost: 10,
+      bytesSent: 2000,
+      jitter: 0.012,
+      roundTripTime: 0.05,
+      remoteFractionLost: 0.03,
+      remoteRoundTripTime: 0.08,
+      qualityLimitation: 'none',
+      inboundVideo: { frameRate: 29.7, width: 640, height: 360 },
+      outboundVideo: { frameRate: 30, width: 1280, height: 720 },
+      candidateType: 'srflx'
+    });
+    expect(Array.from(sample.inboundCodecs)).toEqual(['VP8']);
+    expect(Array.from(sample.outboundCodecs)).toEqual(['H264']);
+  });
+
+  it('reports a path relayed on either end as relay', () => {
+    const stats = connection();
+    stats.get('remote').candidateType = 'relay';
+    expect(sampleStats([stats]).candidateType).toBe('relay');
+  });
+
+  it('finds the selected pair without transport stats, as in Firefox', () => {
+    const stats = connection({ rtt: 0.2 });
+    stats.delete('transport');
+    stats.get('pair').nominated = true;
+    stats.get('pair').state = 'succeeded';
+    expect(sampleStats([stats]).roundTripTime).toBe(0.2);
+  });
+
+  it('keeps the largest simulcast layer and any limit on the others', () => {
+    const stats = connection();
+    stats.set('out-low', {
+      id: 'out-low',
+      type: 'outbound-rtp',
+      kind: 'video',
+      frameWidth: 320,
+      frameHeight: 180,
+      framesPerSecond: 15,
+      qualityLimitationReason: 'bandwidth'
+    });
+    const sample = sampleStats([stats]);
+    expect(sample.outboundVideo).toEqual({ frameRate: 30, width: 1280, height: 720 });
+    expect(sample.qualityLimitation).toBe('bandwidth');
+  });
+
+  it('adds up the entries of several reports', () => {
+    const audio = report({ id: 'in-audio', type: 'inbound-rtp', kind: 'audio', bytesReceived: 500, packetsReceived: 10 });
+    const sample = sampleStats([connection({ bytesReceived: 1000, packetsReceived: 90 }), audio]);
+    expect(sample.bytesReceived).toBe(1500);
+    expect(sample.packetsReceived).toBe(100);
+  });
+
+  it('leaves what the reports do not have unknown', () => {
+    const sample = sampleStats([report()]);
+    expect(sample).toMatchObject({
+      jitter: null,
+      roundTripTime: null,
+      remoteFractionLost: null,
+      remoteRoundTripTime: null,
+      qualityLimitation: null,
+      inboundVideo: null,
+      outboundVideo: null,
+      candidateType: null
+    });
+  });
+});
+
+describe('deriveStats', () => {
+  const at = (timestamp, counters) => ({ ...sampleStats([connection(counters)]), timestamp });
+
+  it('has no rates or loss from a single sample', () => {
+    const stats = deriveStats(at(0, { bytesReceived: 1000 }), null);
+    expect(stats.inbound.bitrate).toBeNull();
+    expect(stats.inbound.packetLoss).toBeNull();
+    expect(stats.outbound.bitrate).toBeNull();
+  });
+
+  it('computes bitrates and loss between two samples', () => {
+    const previous = at(0, { bytesReceived: 0, packetsReceived: 0, packetsLost: 0, bytesSent: 0 });
+    const sample = at(2000, { bytesReceived: 250000, packetsReceived: 190, packetsLost: 10, bytesSent: 500000 });
+    const stats = deriveStats(sample, previous);
+    expect(stats.inbound).toEqual({
+      bitrate: 1000,
+      packetLoss: 5,
+      jitter: 12,
+      frameRate: 30,
+      resolution: '640×360',
+      codec: 'VP8'
+    });
+    expect(stats.outbound).toEqual({
+      bitrate: 2000,
+      packetLoss: 3,
+      roundTripTime: 80,
+      limitation: 'none',
+      frameRate: 30,
+      resolution: '1280×720',
+      codec: 'H264'
+    });
+    expect(stats.roundTripTime).toBe(50);
+    expect(stats.candidateType).toBe('srflx');
+  });
+
+  it('ignores counters that went backwards, as after a rebuilt connection', () => {
+    const previous = at(0, { bytesReceived: 500000, packetsReceived: 400, packetsLost: 20 });
+    const stats = deriveStats(at(2000, { bytesReceived: 1000, packetsReceived: 10, packetsLost: 0 }), previous);
+    expect(stats.inbound.bitrate).toBeNull();
+    expect(stats.inbound.packetLoss).toBeNull();
+  });
+
+  it('rates quality from loss, delay and jitter', () => {
+    const previous = at(0, { packetsReceived: 0, packetsLost: 0 });
+    const quality = (counters) => deriveStats(at(2000, { packetsReceived: 100, fractionLost: 0, ...counters }), previous).quality;
+    expect(quality({})).toBe('good');
+    expect(quality({ rtt: 0.3 })).toBe('fair');
+    expect(quality({ fractionLost: 0.03 })).toBe('fair');
+    expect(quality({ packetsReceived: 80, packetsLost: 20 })).toBe('poor');
+    expect(deriveStats({ ...sampleStats([report()]), timestamp: 0 }, null).quality).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Display Name Utilities
+ *
+ * Remembers the name the user goes by in calls, so they only type it once
+ */
+
+// Longest name the signaling server accepts
+export const DISPLAY_NAME_MAX_LENGTH = 64;
+
+const STORAGE_KEY = 'displayName';
+
+/**
+ * Read the remembered display name
+ * @returns {string} The name, or '' when none was saved (or storage is unavailable)
+ */
+export const loadDisplayName = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * Remember the display name for later calls
+ * @param {string} name - The name; empty to forget it
+ */
+export const saveDisplayName = (name) => {
+  try {
+    const trimmed = (name || '').trim();
+    if (trimmed) {
+      localStorage.setItem(STORAGE_KEY, trimmed.slice(0, DISPLAY_NAME_MAX_LENGTH));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (e) {
+    console.warn('[displayName] Could not save the display name:', e);
+  }
+};
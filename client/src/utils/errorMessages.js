@@ -6,7 +6,7 @@
 
 /**
  * Format error message based on error type
- * @param {Error} err - The error object
+ * @param {Error|Object} err - The error object, or a { code } with a signaling server error reason
  * @param {string} defaultMessage - Default error message if no specific match
  * @returns {string} User-friendly error message
  */
@@ -14,7 +14,41 @@ export const formatErrorMessage = (err, defaultMessage = 'An error occurred whil
   if (!err) return defaultMessage;
   
   // Provide more specific error messages
-  if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
+  if (err.code === 'BAD_PASSCODE') {
+    return 'This room is protected by a passcode, and the passcode you entered is missing or incorrect. Enter the passcode you received from the room creator.';
+  } else if (err.code === 'INVALID_PASSCODE') {
+    return 'Room passcodes must be between 4 and 128 characters long.';
+  } else if (err.code === 'ENTRY_DENIED') {
+    return 'The host did not let you in. You can ask to join again.';
+  } else if (err.code === 'ROOM_CLOSED') {
+    return 'The call ended before the host let you in.';
+  } else if (err.code === 'ROOM_LOCKED') {
+    return 'The host has locked this room, so nobody else can join right now.';
+  } else if (err.code === 'REMOVED_BY_HOST') {
+    return 'The host removed you from the call.';
+  } else if (err.code === 'ROOM_NOT_OPEN_YET') {
+    return 'This meeting has not started yet. Come back closer to its start time.';
+  } else if (err.code === 'ROOM_EXPIRED') {
+    return 'This meeting has ended, so the room can no longer be joined.';
+  } else if (err.code === 'TOKEN_REQUIRED') {
+    return 'You need to sign in before joining a call.';
+  } else if (err.code === 'TOKEN_EXPIRED') {
+    return 'Your session has expired. Please sign in again.';
+  } else if (err.code === 'INVALID_TOKEN') {
+    return 'Your sign-in could not be verified. Please sign in again.';
+  } else if (err.code === 'INVALID_ROOM_ID') {
+    return 'That room ID is not valid. Room IDs are made of letters, digits, dashes and underscores.';
+  } else if (err.code === 'RATE_LIMITED') {
+    return 'Too many requests in a short time. Wait a moment and try again.';
+  } else if (err.code === 'TOO_MANY_CONNECTIONS') {
+    return 'The server is not accepting more connections from your network right now. Close other calls or try again later.';
+  } else if (err.code === 'TOO_MANY_ROOMS') {
+    return 'The server has reached its limit of open rooms. Try again later.';
+  } else if (err.code === 'ROOM_FULL') {
+    return 'The room is full. Try again once someone has left.';
+  } else if (err.code === 'ROOM_NOT_FOUND') {
+    return 'No call is open in this room. Check the room ID, or wait for the room creator to join and try again.';
+  } else if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
     return 'Camera and microphone access was denied. Please allow access in your browser settings and try again.';
   } else if (err.name === 'NotFoundError' || err.name === 'DevicesNotFoundError') {
     return 'No camera or microphone found. Please connect a camera and microphone and try again.';
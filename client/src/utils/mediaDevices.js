@@ -0,0 +1,70 @@
+/**
+ * Media Device Utilities
+ *
+ * Remembers the camera, microphone and speaker picked in the device
+ * settings, so later calls open the same ones
+ */
+
+// Device kinds, as reported by enumerateDevices()
+export const DEVICE_KINDS = ['videoinput', 'audioinput', 'audiooutput'];
+
+// What each kind of device is called in messages
+export const DEVICE_NAMES = { videoinput: 'camera', audioinput: 'microphone', audiooutput: 'speaker' };
+
+// Whether this browser can route call audio to a chosen speaker
+export const speakerSelectionSupported = typeof HTMLMediaElement !== 'undefined' &&
+  typeof HTMLMediaElement.prototype.setSinkId === 'function';
+
+const STORAGE_KEY = 'mediaDevices';
+
+/**
+ * List the available devices, grouped by kind
+ * Labels are only filled in once camera/microphone access was granted.
+ * @returns {Promise<Object>} { videoinput, audioinput, audiooutput } arrays of { deviceId, label }
+ */
+export const listDevices = async () => {
+  const grouped = { videoinput: [], audioinput: [], audiooutput: [] };
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return grouped;
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  devices.forEach((device) => {
+    const list = grouped[device.kind];
+    if (!list || !device.deviceId) return;
+    list.push({
+      deviceId: device.deviceId,
+      label: device.label || `${DEVICE_NAMES[device.kind].replace(/^./, (c) => c.toUpperCase())} ${list.length + 1}`
+    });
+  });
+  return grouped;
+};
+
+/**
+ * Read the remembered devices
+ * @returns {Object} { videoinput, audioinput, audiooutput } device IDs; missing kinds use the system default
+ */
+export const loadDevicePreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Remember the device picked for a kind
+ * @param {string} kind - One of DEVICE_KINDS
+ * @param {string} deviceId - Device ID; empty to go back to the system default
+ */
+export const saveDevicePreference = (kind, deviceId) => {
+  try {
+    const preferences = loadDevicePreferences();
+    if (deviceId) {
+      preferences[kind] = deviceId;
+    } else {
+      delete preferences[kind];
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (e) {
+    console.warn('[mediaDevices] Could not save the device preference:', e);
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Resume Token Utilities
+ *
+ * The server hands out a resume token with every successful join. Sending
+ * it back when joining again gets our seat back after the connection dropped
+ * or the page was refreshed, for as long as the server holds the seat.
+ * Tokens live in sessionStorage, so they survive a refresh but stay with
+ * their tab.
+ */
+
+const keyFor = (roomId) => `resumeToken:${roomId}`;
+
+/**
+ * Read the resume token of a room
+ * @param {string} roomId - Room ID
+ * @returns {string|null} The token, or null when there is none (or storage is unavailable)
+ */
+export const loadResumeToken = (roomId) => {
+  try {
+    return sessionStorage.getItem(keyFor(roomId));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Remember the resume token of a room
+ * @param {string} roomId - Room ID
+ * @param {string} token - Token from the last join result
+ */
+export const saveResumeToken = (roomId, token) => {
+  try {
+    sessionStorage.setItem(keyFor(roomId), token);
+  } catch (e) {
+    console.warn('[resumeToken] Could not save the resume token:', e);
+  }
+};
+
+/**
+ * Forget the resume token of a room (on leaving the call for good)
+ * @param {string} roomId - Room ID
+ */
+export const clearResumeToken = (roomId) => {
+  try {
+    sessionStorage.removeItem(keyFor(roomId));
+  } catch (e) {
+    // Nothing was saved then
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * Keyboard Shortcut Utilities
+ *
+ * Keys are written as KeyboardEvent.code values with their modifiers, e.g.
+ * "KeyM" or "Shift+KeyE", so they stay on the same physical key whatever
+ * the keyboard layout. The bindings picked in the shortcut help, and the
+ * push-to-talk setting, are remembered in the browser.
+ */
+
+// Actions with a shortcut, in the order they are listed in the help
+export const SHORTCUT_ACTIONS = {
+  toggleMute: { label: 'Mute / unmute', defaultKey: 'KeyM' },
+  toggleVideo: { label: 'Camera on / off', defaultKey: 'KeyV' },
+  toggleChat: { label: 'Open / close chat', defaultKey: 'KeyC' },
+  toggleHand: { label: 'Raise / lower your hand', defaultKey: 'KeyH' },
+  toggleSettings: { label: 'Open / close device settings', defaultKey: 'KeyS' },
+  copyLink: { label: 'Copy the room link', defaultKey: 'KeyL' },
+  endCall: { label: 'Leave the call', defaultKey: 'Shift+KeyE' },
+  showHelp: { label: 'Show keyboard shortcuts', defaultKey: 'Shift+Slash' }
+};
+
+// Key held to talk in push-to-talk mode
+export const DEFAULT_PUSH_TO_TALK_KEY = 'Space';
+
+// Keys that only modify others and cannot be a shortcut on their own
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+const KEY_NAMES = {
+  Space: 'Space',
+  Slash: '/',
+  Backslash: '\\',
+  Period: '.',
+  Comma: ',',
+  Semicolon: ';',
+  Quote: "'",
+  BracketLeft: '[',
+  BracketRight: ']',
+  Minus: '-',
+  Equal: '=',
+  Backquote: '`',
+  Enter: 'Enter',
+  Escape: 'Esc'
+};
+
+const STORAGE_KEY = 'shortcuts';
+
+/**
+ * The key of a keyboard event, in the form bindings are written in
+ * @param {KeyboardEvent} event
+ * @returns {string|null} e.g. "Shift+KeyE"; null for a modifier pressed on its own
+ */
+export const keyOf = (event) => {
+  if (MODIFIER_CODES.includes(event.code)) return null;
+  const modifiers = [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.metaKey && 'Meta',
+    event.shiftKey && 'Shift'
+  ].filter(Boolean);
+  return [...modifiers, event.code].join('+');
+};
+
+/**
+ * A key as people read it
+ * @param {string} key - e.g. "Shift+KeyE"
+ * @returns {string} e.g. "Shift+E"
+ */
+export const describeKey = (key) => key.split('+').map((part) => {
+  if (KEY_NAMES[part]) return KEY_NAMES[part];
+  if (/^Key[A-Z]$/.test(part)) return part.slice(3);
+  if (/^Digit\d$/.test(part)) return part.slice(5);
+  return part;
+}).join('+');
+
+/**
+ * Whether keys typed into an element are text rather than shortcuts
+ * @param {EventTarget} target - Target of the keyboard event
+ * @returns {boolean}
+ */
+export const isTypingTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  if (target.tagName !== 'INPUT') return false;
+  return !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'].includes(target.type);
+};
+
+/**
+ * The default settings
+ * @returns {Object} { bindings: { actionId: key }, pushToTalk, pushToTalkKey }
+ */
+export const defaultShortcutSettings = () => ({
+  bindings: Object.fromEntries(Object.entries(SHORTCUT_ACTIONS).map(([id, { defaultKey }]) => [id, defaultKey])),
+  pushToTalk: false,
+  pushToTalkKey: DEFAULT_PUSH_TO_TALK_KEY
+});
+
+/**
+ * Read the remembered shortcut settings, on top of the defaults
+ * @returns {Object} { bindings: { actionId: key }, pushToTalk, pushToTalkKey }
+ */
+export const loadShortcutSettings = () => {
+  const defaults = defaultShortcutSettings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved || typeof saved !== 'object') return defaults;
+    const bindings = { ...defaults.bindings };
+    Object.keys(bindings).forEach((id) => {
+      if (saved.bindings && typeof saved.bindings[id] === 'string') bindings[id] = saved.bindings[id];
+    });
+    return {
+      bindings,
+      pushToTalk: saved.pushToTalk === true,
+      pushToTalkKey: typeof saved.pushToTalkKey === 'string' ? saved.pushToTalkKey : defaults.pushToTalkKey
+    };
+  } catch (e) {
+    return defaults;
+  }
+};
+
+/**
+ * Remember the shortcut settings for later calls
+ * @param {Object} settings - { bindings, pushToTalk, pushToTalkKey }
+ */
+export const saveShortcutSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('[shortcuts] Could not save the shortcut settings:', e);
+  }
+};
@@ -0,0 +1,77 @@
+import { keyOf, describeKey, isTypingTarget, loadShortcutSettings, defaultShortcutSettings } from './shortcuts';
+
+describe('keyOf', () => {
+  it('writes the physical key with its modifiers', () => {
+    expect(keyOf({ code: 'KeyM' })).toBe('KeyM');
+    expect(keyOf({ code: 'KeyE', shiftKey: true })).toBe('Shift+KeyE');
+    expect(keyOf({ code: 'KeyK', ctrlKey: true, altKey: true, metaKey: true, shiftKey: true }))
+      .toBe('Ctrl+Alt+Meta+Shift+KeyK');
+  });
+
+  it('ignores the layout: the same key matches whatever character it types', () => {
+    expect(keyOf({ code: 'KeyM', key: ',' })).toBe(keyOf({ code: 'KeyM', key: 'm' }));
+  });
+
+  it('does not take a modifier on its own', () => {
+    expect(keyOf({ code: 'ShiftLeft', shiftKey: true })).toBeNull();
+    expect(keyOf({ code: 'ControlRight', ctrlKey: true })).toBeNull();
+  });
+});
+
+describe('describeKey', () => {
+  it('shows keys as people read them', () => {
+    expect(describeKey('KeyM')).toBe('M');
+    expect(describeKey('Shift+KeyE')).toBe('Shift+E');
+    expect(describeKey('Shift+Slash')).toBe('Shift+/');
+    expect(describeKey('Digit7')).toBe('7');
+    expect(describeKey('Space')).toBe('Space');
+    expect(describeKey('F5')).toBe('F5');
+  });
+});
+
+describe('isTypingTarget', () => {
+  it('leaves keys typed into text fields alone', () => {
+    expect(isTypingTarget(document.createElement('textarea'))).toBe(true);
+    expect(isTypingTarget(document.createElement('input'))).toBe(true);
+    const search = document.createElement('input');
+    search.type = 'search';
+    expect(isTypingTarget(search)).toBe(true);
+  });
+
+  it('handles keys pressed on buttons, checkboxes and the page', () => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    expect(isTypingTarget(checkbox)).toBe(false);
+    expect(isTypingTarget(document.createElement('button'))).toBe(false);
+    expect(isTypingTarget(document.body)).toBe(false);
+    expect(isTypingTarget(window)).toBe(false);
+  });
+});
+
+describe('loadShortcutSettings', () => {
+  afterEach(() => localStorage.clear());
+
+  it('starts from the defaults', () => {
+    expect(loadShortcutSettings()).toEqual(defaultShortcutSettings());
+    expect(defaultShortcutSettings().bindings.toggleMute).toBe('KeyM');
+  });
+
+  it('keeps saved bindings of known actions only', () => {
+    localStorage.setItem('shortcuts', JSON.stringify({
+      bindings: { toggleMute: 'KeyX', unknownAction: 'KeyZ', toggleVideo: 5 },
+      pushToTalk: true,
+      pushToTalkKey: 'KeyT'
+    }));
+    const settings = loadShortcutSettings();
+    expect(settings.bindings.toggleMute).toBe('KeyX');
+    expect(settings.bindings.toggleVideo).toBe('KeyV');
+    expect(settings.bindings).not.toHaveProperty('unknownAction');
+    expect(settings.pushToTalk).toBe(true);
+    expect(settings.pushToTalkKey).toBe('KeyT');
+  });
+
+  it('falls back to the defaults on anything unreadable', () => {
+    localStorage.setItem('shortcuts', '{not json');
+    expect(loadShortcutSettings()).toEqual(defaultShortcutSettings());
+  });
+});
@@ -4,6 +4,8 @@
  * Handles signaling server URL detection and WebRTC configuration constants
  */
 
+import { getTokenProvider } from './auth';
+
 /**
  * Get signaling server URL from environment variable or auto-detect based on current hostname
  * @returns {string} The signaling server URL
@@ -31,9 +33,37 @@ export const getSignalingServerUrl = () => {
 };
 
 // WebRTC Configuration
+// Fallback for when the signaling server's ICE configuration cannot be fetched
 export const ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
 
+// Force relay-only (TURN) transport, for testing the TURN setup (REACT_APP_FORCE_RELAY=true)
+export const FORCE_RELAY = process.env.REACT_APP_FORCE_RELAY === 'true';
+
+/**
+ * Fetch the ICE configuration (STUN/TURN servers) from the signaling server
+ * TURN credentials in it are time-limited; ttl tells for how long (seconds, null without TURN).
+ * Servers requiring sign-in get the token of the registered token provider.
+ * @returns {Promise<Object>} { iceServers, iceTransportPolicy, ttl }
+ */
+export const fetchIceConfig = async () => {
+  const getToken = getTokenProvider();
+  const token = getToken ? await getToken() : null;
+  const response = await fetch(`${getSignalingServerUrl()}/ice-servers${FORCE_RELAY ? '?relay=1' : ''}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  if (!response.ok) {
+    throw new Error(`ICE server request failed with status ${response.status}`);
+  }
+  const { iceServers, iceTransportPolicy, ttl } = await response.json();
+  return {
+    iceServers,
+    iceTransportPolicy: FORCE_RELAY ? 'relay' : iceTransportPolicy || 'all',
+    ttl: ttl || null
+  };
+};
+
 // Reconnection Configuration
 export const MAX_RECONNECT_ATTEMPTS = 5; // Maximum number of reconnection attempts
 export const INITIAL_RECONNECT_DELAY = 1000; // Initial delay in milliseconds (1 second)
+export const RECOVERY_STAGE_TIMEOUT = 8000; // Time an ICE restart or rebuild gets to reconnect before escalating (8 seconds)
 
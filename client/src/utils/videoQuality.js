@@ -0,0 +1,73 @@
+/**
+ * Video Quality Presets
+ *
+ * Each preset sets what the camera captures (applied with applyConstraints)
+ * and how the outgoing video is encoded (applied with
+ * RTCRtpSender.setParameters): a bitrate cap and a frame rate cap. The camera
+ * captures at the resolution that is sent, so the encoder does not downscale.
+ * In automatic mode the preset follows the network, stepping down when the
+ * receiving ends report loss or delay of our video, or the encoder is held
+ * back for lack of bandwidth or CPU, and back up once all is well for a while.
+ */
+
+export const VIDEO_PRESETS = {
+  'data-saver': {
+    label: 'Data saver',
+    capture: { width: { ideal: 426 }, height: { ideal: 240 }, frameRate: { ideal: 15 } },
+    encoding: { maxBitrate: 200000, maxFramerate: 15, scaleResolutionDownBy: 1 }
+  },
+  standard: {
+    label: 'Standard',
+    capture: { width: { ideal: 640 }, height: { ideal: 360 }, frameRate: { ideal: 30 } },
+    encoding: { maxBitrate: 800000, maxFramerate: 30, scaleResolutionDownBy: 1 }
+  },
+  hd: {
+    label: 'HD',
+    capture: { width: { ideal: 1280 }, height: { ideal: 720 }, frameRate: { ideal: 30 } },
+    encoding: { maxBitrate: 2500000, maxFramerate: 30, scaleResolutionDownBy: 1 }
+  }
+};
+
+// Presets from lowest to highest, the steps of automatic mode
+export const PRESET_ORDER = ['data-saver', 'standard', 'hd'];
+
+// Preference meaning "let the network decide"
+export const AUTO_QUALITY = 'auto';
+
+// Preset automatic mode starts from
+export const AUTO_START_PRESET = 'standard';
+
+// Automatic mode steps down after DOWNGRADE_SAMPLES stats samples in a row
+// beyond the downgrade limits, and up after UPGRADE_SAMPLES within the upgrade
+// limits (samples come every STATS_INTERVAL, see callStats)
+export const AUTO_DOWNGRADE_LIMITS = { packetLoss: 5, roundTripTime: 400 };
+export const AUTO_UPGRADE_LIMITS = { packetLoss: 1, roundTripTime: 250 };
+export const DOWNGRADE_SAMPLES = 2;
+export const UPGRADE_SAMPLES = 5;
+
+const STORAGE_KEY = 'videoQuality';
+
+/**
+ * Read the remembered quality preference
+ * @returns {string} AUTO_QUALITY or a preset ID
+ */
+export const loadVideoQuality = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved && (saved === AUTO_QUALITY || VIDEO_PRESETS[saved]) ? saved : AUTO_QUALITY;
+  } catch (e) {
+    return AUTO_QUALITY;
+  }
+};
+
+/**
+ * Remember the quality preference for later calls
+ * @param {string} preference - AUTO_QUALITY or a preset ID
+ */
+export const saveVideoQuality = (preference) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, preference);
+  } catch (e) {
+    console.warn('[videoQuality] Could not save the quality preference:', e);
+  }
+};
@@ -0,0 +1,137 @@
+/**
+ * Socket Authentication
+ * Optional JWT check of the socket.io handshake. When configured, every
+ * client must send a token signed by the app's login service in
+ * `auth: { token }`, and the verified identity is attached to its socket
+ * as socket.data.user = { id, name }. HTTP routes handing out resources
+ * (TURN credentials, scheduled rooms) take the same token as a bearer token.
+ *
+ * Configuration (auth is off unless a secret or public key is set):
+ *   AUTH_JWT_SECRET           shared secret, for HMAC-signed tokens (HS256/384/512)
+ *   AUTH_JWT_PUBLIC_KEY       PEM public key, for RSA/ECDSA-signed tokens
+ *   AUTH_JWT_PUBLIC_KEY_FILE  path of a PEM public key, instead of the above
+ *   AUTH_JWT_ISSUER           expected `iss` claim (optional)
+ *   AUTH_JWT_AUDIENCE         expected `aud` claim (optional)
+ *
+ * The user ID is read from the `sub` claim and the display name from `name`
+ * (or `preferred_username`).
+ */
+
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET;
+const AUTH_JWT_PUBLIC_KEY = process.env.AUTH_JWT_PUBLIC_KEY_FILE
+  ? fs.readFileSync(process.env.AUTH_JWT_PUBLIC_KEY_FILE, 'utf8')
+  : process.env.AUTH_JWT_PUBLIC_KEY;
+const AUTH_JWT_ISSUER = process.env.AUTH_JWT_ISSUER;
+const AUTH_JWT_AUDIENCE = process.env.AUTH_JWT_AUDIENCE;
+
+// Longest display name taken from a token
+const NAME_MAX_LENGTH = 64;
+
+const AUTH_ENABLED = !!(AUTH_JWT_SECRET || AUTH_JWT_PUBLIC_KEY);
+
+/**
+ * Error passed to the client's connect_error handler
+ * @param {string} reason - TOKEN_REQUIRED, TOKEN_EXPIRED or INVALID_TOKEN
+ * @returns {Error} Error with message UNAUTHORIZED and data { reason }
+ */
+function unauthorized(reason) {
+  const err = new Error('UNAUTHORIZED');
+  err.data = { reason };
+  return err;
+}
+
+/**
+ * Verify a token and read the identity it carries
+ * @param {string} token - Signed JWT
+ * @returns {Object} { id, name }
+ * @throws {Error} UNAUTHORIZED error when the token is invalid or expired
+ */
+function verifyToken(token) {
+  const key = AUTH_JWT_PUBLIC_KEY || AUTH_JWT_SECRET;
+  const options = {
+    // Never accept an HMAC token checked against a public key, or the other way round
+    algorithms: AUTH_JWT_PUBLIC_KEY
+      ? ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512']
+      : ['HS256', 'HS384', 'HS512']
+  };
+  if (AUTH_JWT_ISSUER) options.issuer = AUTH_JWT_ISSUER;
+  if (AUTH_JWT_AUDIENCE) options.audience = AUTH_JWT_AUDIENCE;
+
+  let claims;
+  try {
+    claims = jwt.verify(token, key, options);
+  } catch (err) {
+    throw unauthorized(err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN');
+  }
+  if (!claims.sub) {
+    throw unauthorized('INVALID_TOKEN');
+  }
+
+  const name = claims.name || claims.preferred_username;
+  return {
+    id: String(claims.sub),
+    name: typeof name === 'string' ? name.slice(0, NAME_MAX_LENGTH) : null
+  };
+}
+
+/**
+ * socket.io middleware checking the handshake token
+ * Without auth configured every socket is let in, with socket.data.user = null.
+ * @param {Socket} socket - Connecting socket
+ * @param {Function} next - Continues the handshake, or rejects it with an error
+ */
+function authenticateSocket(socket, next) {
+  if (!AUTH_ENABLED) {
+    socket.data.user = null;
+    next();
+    return;
+  }
+
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) {
+    next(unauthorized('TOKEN_REQUIRED'));
+    return;
+  }
+
+  try {
+    socket.data.user = verifyToken(token);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Express middleware checking the bearer token of a request
+ * Answers 401 { ok: false, reason } (TOKEN_REQUIRED, TOKEN_EXPIRED or
+ * INVALID_TOKEN) without a valid token; sets req.user = { id, name }, or
+ * null when auth is not configured.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+function authenticateRequest(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.user = null;
+    next();
+    return;
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    res.status(401).json({ ok: false, reason: 'TOKEN_REQUIRED' });
+    return;
+  }
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (err) {
+    res.status(401).json({ ok: false, reason: err.data.reason });
+  }
+}
+
+module.exports = { AUTH_ENABLED, authenticateSocket, authenticateRequest };
@@ -0,0 +1,26 @@
+/**
+ * Client Addresses
+ * Finds the address of the client behind a socket handshake or HTTP request,
+ * which the per-address limits are keyed by. Behind reverse proxies it comes
+ * from X-Forwarded-For, read from the end the proxies write to.
+ */
+
+/**
+ * Address of the client behind a socket handshake or HTTP request
+ * Each proxy appends the address it got the request from to X-Forwarded-For,
+ * so the client is the entry trustProxy places from the right; anything left
+ * of it was sent by the client itself and cannot be trusted.
+ * @param {Object} headers - Request headers
+ * @param {string} address - Address of the TCP peer
+ * @param {number} trustProxy - Number of reverse proxies in front of the server
+ * @returns {string}
+ */
+function clientAddress(headers, address, trustProxy) {
+  const forwarded = trustProxy > 0 && headers['x-forwarded-for'];
+  if (!forwarded) return address;
+  const hops = forwarded.split(',').map((hop) => hop.trim()).filter(Boolean);
+  // Fewer entries than proxies: the request skipped some, take the oldest
+  return hops[Math.max(0, hops.length - trustProxy)] || address;
+}
+
+module.exports = { clientAddress };
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('assert');
+const { clientAddress } = require('./clientAddress');
+
+test('without trusted proxies the TCP peer is the client', () => {
+  assert.strictEqual(clientAddress({ 'x-forwarded-for': '203.0.113.7' }, '10.0.0.1', 0), '10.0.0.1');
+});
+
+test('behind one proxy the last entry is the client', () => {
+  const headers = { 'x-forwarded-for': '198.51.100.1, 203.0.113.7' };
+  assert.strictEqual(clientAddress(headers, '10.0.0.1', 1), '203.0.113.7');
+});
+
+test('entries sent by the client itself are ignored', () => {
+  // The client made up the first two entries; the proxy appended its real address
+  const headers = { 'x-forwarded-for': '1.1.1.1, 2.2.2.2, 203.0.113.7' };
+  assert.strictEqual(clientAddress(headers, '10.0.0.1', 1), '203.0.113.7');
+  const rotated = { 'x-forwarded-for': '9.9.9.9, 2.2.2.2, 203.0.113.7' };
+  assert.strictEqual(clientAddress(rotated, '10.0.0.1', 1), '203.0.113.7');
+});
+
+test('behind two proxies the second entry from the right is the client', () => {
+  const headers = { 'x-forwarded-for': '1.1.1.1, 203.0.113.7, 10.0.0.2' };
+  assert.strictEqual(clientAddress(headers, '10.0.0.1', 2), '203.0.113.7');
+});
+
+test('fewer entries than proxies gives the oldest entry', () => {
+  assert.strictEqual(clientAddress({ 'x-forwarded-for': '203.0.113.7' }, '10.0.0.1', 3), '203.0.113.7');
+});
+
+test('a missing or empty header falls back to the TCP peer', () => {
+  assert.strictEqual(clientAddress({}, '10.0.0.1', 1), '10.0.0.1');
+  assert.strictEqual(clientAddress({ 'x-forwarded-for': ' , ' }, '10.0.0.1', 1), '10.0.0.1');
+});
@@ -0,0 +1,83 @@
+/**
+ * Calendar Invites
+ * Builds iCalendar (RFC 5545) files for scheduled rooms, so people can add
+ * a meeting to their calendar with the link to join it.
+ */
+
+// Lines longer than this many octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time (e.g. 20250301T093000Z)
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string}
+ */
+const formatDate = (timestamp) => new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT property value
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line so that no line exceeds 75 octets
+ * Never splits a multi-byte character.
+ * @param {string} line
+ * @returns {string} The line, with CRLF + space before each continuation
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build the calendar invite of a scheduled room
+ * @param {Object} reservation - { id, title, startsAt, expiresAt, createdAt }
+ * @param {string} joinUrl - Link that opens the room in the client
+ * @param {string} uidDomain - Domain that makes the event UID globally unique (e.g. the server host)
+ * @returns {string} iCalendar file contents
+ */
+function createInvite(reservation, joinUrl, uidDomain) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//octo-react//Scheduled rooms//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${reservation.id}@${uidDomain}`,
+    `DTSTAMP:${formatDate(reservation.createdAt)}`,
+    `DTSTART:${formatDate(reservation.startsAt)}`,
+    `DTEND:${formatDate(reservation.expiresAt)}`,
+    `SUMMARY:${escapeText(reservation.title)}`,
+    `DESCRIPTION:${escapeText(`Join the video call: ${joinUrl}`)}`,
+    `LOCATION:${escapeText(joinUrl)}`,
+    `URL:${joinUrl}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { createInvite };
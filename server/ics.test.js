@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createInvite } = require('./ics');
+
+const reservation = {
+  id: 'c0ffee',
+  title: 'Weekly sync',
+  startsAt: Date.UTC(2025, 2, 1, 9, 30),
+  expiresAt: Date.UTC(2025, 2, 1, 10, 30),
+  createdAt: Date.UTC(2025, 1, 20, 8, 0, 5)
+};
+const joinUrl = 'https://meet.example.com/room/c0ffee';
+
+// Content lines with continuation lines joined back (RFC 5545 unfolding)
+const unfold = (invite) => invite.replace(/\r\n /g, '').split('\r\n');
+
+test('the event has its times in UTC and a unique ID', () => {
+  const lines = unfold(createInvite(reservation, joinUrl, 'meet.example.com'));
+  assert.ok(lines.includes('UID:c0ffee@meet.example.com'));
+  assert.ok(lines.includes('DTSTAMP:20250220T080005Z'));
+  assert.ok(lines.includes('DTSTART:20250301T093000Z'));
+  assert.ok(lines.includes('DTEND:20250301T103000Z'));
+  assert.ok(lines.includes(`URL:${joinUrl}`));
+});
+
+test('lines end with CRLF, the file included', () => {
+  const invite = createInvite(reservation, joinUrl, 'meet.example.com');
+  assert.ok(invite.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(!/[^\r]\n/.test(invite));
+});
+
+test('backslashes, semicolons, commas and newlines in text are escaped', () => {
+  const title = 'Plan; budget, roadmap\\notes\nand more';
+  const lines = unfold(createInvite({ ...reservation, title }, joinUrl, 'meet.example.com'));
+  assert.ok(lines.includes('SUMMARY:Plan\\; budget\\, roadmap\\\\notes\\nand more'));
+});
+
+test('long lines are folded at 75 octets', () => {
+  const title = 'x'.repeat(200);
+  const invite = createInvite({ ...reservation, title }, joinUrl, 'meet.example.com');
+  invite.split('\r\n').forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(unfold(invite).includes(`SUMMARY:${title}`));
+});
+
+test('folding never splits a multi-byte character', () => {
+  const title = 'é'.repeat(100) + '🎉'.repeat(30);
+  const invite = createInvite({ ...reservation, title }, joinUrl, 'meet.example.com');
+  invite.split('\r\n').forEach((line) => {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    // A split surrogate pair would not survive encoding
+    assert.strictEqual(Buffer.from(line).toString(), line);
+  });
+  assert.ok(unfold(invite).includes(`SUMMARY:${title}`));
+});
@@ -0,0 +1,62 @@
+/**
+ * Room Passcodes
+ * Passcodes are never kept in memory as given: each room stores a salted
+ * scrypt hash, and join attempts are compared against it in constant time.
+ * scrypt runs on the libuv thread pool, so checks never block the event loop.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 32;
+
+// Accepted passcode length, in characters
+const PASSCODE_MIN_LENGTH = 4;
+const PASSCODE_MAX_LENGTH = 128;
+
+/**
+ * Whether a value is usable as a room passcode
+ * @param {*} passcode - Value sent by the client
+ * @returns {boolean}
+ */
+function isValidPasscode(passcode) {
+  return typeof passcode === 'string' &&
+    passcode.length >= PASSCODE_MIN_LENGTH &&
+    passcode.length <= PASSCODE_MAX_LENGTH;
+}
+
+/**
+ * Hash a passcode for storage in a room record
+ * @param {string} passcode - The passcode chosen by the room creator
+ * @returns {Promise<string>} "salt:hash", both hex encoded
+ */
+async function hashPasscode(passcode) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(passcode, salt, KEY_LENGTH);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a passcode against a stored hash
+ * @param {*} passcode - Value sent by the client
+ * @param {string} stored - Result of hashPasscode()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPasscode(passcode, stored) {
+  if (typeof passcode !== 'string' || passcode.length > PASSCODE_MAX_LENGTH) return false;
+  const [saltHex, hashHex] = stored.split(':');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(passcode, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  PASSCODE_MIN_LENGTH,
+  PASSCODE_MAX_LENGTH,
+  isValidPasscode,
+  hashPasscode,
+  verifyPasscode
+};
@@ -0,0 +1,69 @@
+/**
+ * Rate Limiting
+ * Token buckets keyed by socket or client address. Each key may spend up to
+ * `burst` tokens at once, and gets `perSecond` tokens back every second.
+ * Buckets live in this process, so with several instances behind a load
+ * balancer every instance enforces the limits on its own share of clients.
+ */
+
+// Buckets untouched for this long are full again, and are forgotten
+const IDLE_BUCKET_TTL = 10 * 60 * 1000;
+
+/**
+ * Create a rate limiter
+ * @param {Object} options - { burst: bucket size, perSecond: refill rate }
+ * @returns {Object} { take(key) -> { ok, retryAfter? }, refund(key), forget(key) }
+ */
+function createRateLimiter({ burst, perSecond }) {
+  // key -> { tokens, updatedAt }
+  const buckets = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt > IDLE_BUCKET_TTL) buckets.delete(key);
+    });
+  }, IDLE_BUCKET_TTL);
+  // Never keep the process alive just for the sweep
+  sweep.unref();
+
+  return {
+    /**
+     * Spend one token of a key
+     * @param {string} key - Socket ID, client address...
+     * @returns {Object} { ok: true } or { ok: false, retryAfter: ms until a token is available }
+     */
+    take(key) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+      bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+
+      if (bucket.tokens < 1) {
+        return { ok: false, retryAfter: Math.ceil(((1 - bucket.tokens) / perSecond) * 1000) };
+      }
+      bucket.tokens -= 1;
+      return { ok: true };
+    },
+
+    /**
+     * Give back a token spent by take(), when what it paid for turned out fine
+     * @param {string} key
+     */
+    refund(key) {
+      const bucket = buckets.get(key);
+      if (bucket) bucket.tokens = Math.min(burst, bucket.tokens + 1);
+    },
+
+    /**
+     * Drop the bucket of a key that is gone (e.g. a disconnected socket)
+     * @param {string} key
+     */
+    forget(key) {
+      buckets.delete(key);
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createRateLimiter } = require('./rateLimit');
+
+// Run a check with Date.now() pinned, moved on by clock.advance(ms)
+function withClock(check) {
+  const realNow = Date.now;
+  let now = 1000000;
+  Date.now = () => now;
+  try {
+    check({ advance: (ms) => { now += ms; } });
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test('a key spends its burst, then waits for a token', () => withClock(() => {
+  const limiter = createRateLimiter({ burst: 3, perSecond: 1 });
+  for (let i = 0; i < 3; i += 1) assert.deepStrictEqual(limiter.take('a'), { ok: true });
+  assert.deepStrictEqual(limiter.take('a'), { ok: false, retryAfter: 1000 });
+}));
+
+test('tokens come back at perSecond, up to the burst', () => withClock((clock) => {
+  const limiter = createRateLimiter({ burst: 2, perSecond: 2 });
+  limiter.take('a');
+  limiter.take('a');
+  assert.strictEqual(limiter.take('a').ok, false);
+  clock.advance(500);
+  assert.strictEqual(limiter.take('a').ok, true);
+  assert.strictEqual(limiter.take('a').ok, false);
+  clock.advance(60000);
+  assert.strictEqual(limiter.take('a').ok, true);
+  assert.strictEqual(limiter.take('a').ok, true);
+  assert.strictEqual(limiter.take('a').ok, false);
+}));
+
+test('keys have buckets of their own', () => withClock(() => {
+  const limiter = createRateLimiter({ burst: 1, perSecond: 1 });
+  assert.strictEqual(limiter.take('a').ok, true);
+  assert.strictEqual(limiter.take('a').ok, false);
+  assert.strictEqual(limiter.take('b').ok, true);
+}));
+
+test('retryAfter counts the time to the next whole token', () => withClock((clock) => {
+  const limiter = createRateLimiter({ burst: 1, perSecond: 0.25 });
+  limiter.take('a');
+  clock.advance(1000);
+  assert.deepStrictEqual(limiter.take('a'), { ok: false, retryAfter: 3000 });
+}));
+
+test('refund gives a token back, never past the burst', () => withClock(() => {
+  const limiter = createRateLimiter({ burst: 2, perSecond: 1 / 60 });
+  limiter.take('a');
+  limiter.take('a');
+  limiter.refund('a');
+  assert.strictEqual(limiter.take('a').ok, true);
+  assert.strictEqual(limiter.take('a').ok, false);
+
+  limiter.refund('b');
+  limiter.refund('b');
+  limiter.take('b');
+  limiter.refund('b');
+  limiter.refund('b');
+  assert.strictEqual(limiter.take('b').ok, true);
+  assert.strictEqual(limiter.take('b').ok, true);
+  assert.strictEqual(limiter.take('b').ok, false);
+}));
+
+test('forget starts a key over with a full bucket', () => withClock(() => {
+  const limiter = createRateLimiter({ burst: 1, perSecond: 1 / 60 });
+  limiter.take('a');
+  limiter.forget('a');
+  assert.strictEqual(limiter.take('a').ok, true);
+}));
@@ -0,0 +1,117 @@
+/**
+ * Room Store Check
+ * Runs the same operations against the memory store and the Redis store at
+ * REDIS_URL, and fails when they answer differently. Keys are written under
+ * a prefix of their own, removed at the end.
+ *
+ *   REDIS_URL=redis://localhost:6379 npm run check:room-stores
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+// Short, so the check does not wait long for a stopped instance to expire
+const INSTANCE_TTL = 500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Participants, limits and the socket index
+ * @param {Object} store - Room store under test
+ */
+async function checkParticipants(store) {
+  const settings = { mode: 'mesh', passcodeHash: null, lobby: false };
+  assert.strictEqual(await store.createRoom('room1', settings, 'a', { name: 'A' }), true);
+  assert.strictEqual(await store.createRoom('room1', settings, 'x', { name: 'X' }), false, 'room ID taken');
+  assert.deepStrictEqual(await store.getRoom('room1'),
+    { mode: 'mesh', passcodeHash: null, host: 'a', lobby: false, locked: false });
+
+  assert.deepStrictEqual(await store.addParticipant('room1', 'b', 3, { name: 'B' }), { ok: true, peers: ['a'] });
+  assert.deepStrictEqual(await store.addParticipant('room1', 'c', 3, { name: 'C' }), { ok: true, peers: ['a', 'b'] });
+  assert.deepStrictEqual(await store.addParticipant('room1', 'd', 3, { name: 'D' }), { ok: false, reason: 'ROOM_FULL' });
+  assert.deepStrictEqual(await store.addParticipant('nowhere', 'd', 3, {}), { ok: false, reason: 'ROOM_NOT_FOUND' });
+  assert.deepStrictEqual(await store.getParticipants('room1'), ['a', 'b', 'c']);
+  assert.deepStrictEqual(await store.getSocketRooms('b'), ['room1']);
+  assert.deepStrictEqual(await store.getSocketRooms('d'), []);
+
+  assert.deepStrictEqual(await store.removeParticipant('room1', 'b'), { removed: true, remaining: ['a', 'c'] });
+  assert.deepStrictEqual(await store.removeParticipant('room1', 'b'), { removed: false, remaining: ['a', 'c'] });
+  assert.deepStrictEqual(await store.getSocketRooms('b'), []);
+  assert.deepStrictEqual(await store.addParticipant('room1', 'd', 3, { name: 'D' }), { ok: true, peers: ['a', 'c'] });
+
+  // A resumed seat keeps its place in the join order
+  assert.strictEqual(await store.replaceParticipant('room1', 'a', 'a2', { name: 'A' }), true);
+  assert.strictEqual(await store.replaceParticipant('room1', 'a', 'a3', { name: 'A' }), false);
+  assert.deepStrictEqual((await store.getRoster('room1')).map((p) => [p.socketId, p.name]),
+    [['a2', 'A'], ['c', 'C'], ['d', 'D']]);
+
+  await store.addWaiting('room1', { socketId: 'w', requestedAt: 1 });
+  assert.deepStrictEqual(await store.getSocketRooms('w'), ['room1']);
+  assert.deepStrictEqual(await store.removeWaiting('room1', 'w'), { socketId: 'w', requestedAt: 1 });
+  assert.strictEqual(await store.removeWaiting('room1', 'w'), null);
+
+  await store.deleteRoom('room1');
+  assert.strictEqual(await store.getRoom('room1'), null);
+  assert.deepStrictEqual(await store.getSocketRooms('c'), []);
+}
+
+/**
+ * Sockets of an instance that stops heartbeating are given out once
+ * @param {Function} createStore - (instanceId) -> room store, sharing one backend
+ */
+async function checkOrphanedSockets(createStore) {
+  const stopped = createStore('stopped');
+  const running = createStore('running');
+  await stopped.claimSocket('s1');
+  await stopped.heartbeat(['s1', 's2']);
+  await running.heartbeat([]);
+  assert.deepStrictEqual(await running.takeOrphanedSockets(), [], 'heartbeat still alive');
+
+  await wait(INSTANCE_TTL * 2);
+  await running.heartbeat([]);
+  assert.deepStrictEqual((await running.takeOrphanedSockets()).sort(), ['s1', 's2']);
+  assert.deepStrictEqual(await running.takeOrphanedSockets(), [], 'given out once');
+}
+
+/**
+ * Run a check, naming the store in the output
+ * @param {string} name
+ * @param {Function} check - async () => void
+ */
+async function run(name, check) {
+  await check();
+  console.log(`ok   ${name}`);
+}
+
+async function main() {
+  await run('memory: participants', () => checkParticipants(createMemoryStore()));
+  await run('memory: orphaned sockets', async () => {
+    assert.deepStrictEqual(await createMemoryStore().takeOrphanedSockets(), []);
+  });
+
+  // Fail instead of retrying forever when Redis is not there
+  const client = createClient({ url: REDIS_URL, socket: { reconnectStrategy: false } });
+  client.on('error', () => {});
+  await client.connect();
+  const prefix = `webrtc-check:${crypto.randomBytes(4).toString('hex')}:`;
+  const createStore = (instanceId) => createRedisStore(client, { prefix, instanceId, instanceTtl: INSTANCE_TTL });
+
+  try {
+    await run('redis: participants', () => checkParticipants(createStore('check')));
+    await run('redis: orphaned sockets', () => checkOrphanedSockets(createStore));
+  } finally {
+    for await (const batch of client.scanIterator({ MATCH: `${prefix}*` })) {
+      if (batch.length > 0) await client.del(batch);
+    }
+    await client.quit();
+  }
+}
+
+main().catch((err) => {
+  console.error('room store check failed:', err);
+  process.exit(1);
+});
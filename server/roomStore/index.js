@@ -0,0 +1,86 @@
+/**
+ * Room Store
+ * Where the signaling server keeps its rooms. Every store implements the
+ * same asynchronous interface:
+ *
+ *   createRoom(roomId, { mode, passcodeHash, lobby }, creatorId, creatorInfo) -> boolean (false if the ID is taken)
+ *   getRoom(roomId) -> { mode, passcodeHash, host, lobby, locked } | null
+ *   updateRoom(roomId, { host?, locked? })
+ *   deleteRoom(roomId)
+ *   listRooms() -> roomId[]
+ *   addParticipant(roomId, socketId, limit, info) -> { ok, peers? , reason? } (ROOM_NOT_FOUND | ROOM_FULL)
+ *   removeParticipant(roomId, socketId) -> { removed, remaining: socketId[] }
+ *   getParticipants(roomId) -> socketId[] (in join order)
+ *   getParticipant(roomId, socketId) -> info | null
+ *   updateParticipant(roomId, socketId, info)
+ *   replaceParticipant(roomId, oldSocketId, newSocketId, info) -> boolean (keeps the join order; false if not found)
+ *   getRoster(roomId) -> { socketId, ...info }[] (in join order)
+ *   isParticipant(roomId, socketId) -> boolean
+ *   addWaiting(roomId, { socketId, requestedAt, user }) / removeWaiting(roomId, socketId) -> entry | null
+ *   getWaiting(roomId) -> entry[] (oldest first)
+ *   appendChat(roomId, message, limit) / getChat(roomId) -> message[]
+ *   getSocketRooms(socketId) -> roomId[] (rooms the socket is in or waiting for)
+ *   reserveRoom(roomId, reservation, keepUntil) -> boolean (false if the ID is taken)
+ *   getReservation(roomId) -> reservation | null
+ *   deleteReservation(roomId) -> boolean
+ *   claimSocket(socketId) (a socket connected to this instance)
+ *   heartbeat(socketIds) (every HEARTBEAT_INTERVAL, with all the sockets this instance serves)
+ *   takeOrphanedSockets() -> socketId[] (sockets of instances whose heartbeat stopped, given out once)
+ *
+ * Participant info is a plain object stored with each participant
+ * ({ user, name, joinedAt, resumeTokenHash, away, recording, handRaisedAt }).
+ * Reservations (rooms scheduled ahead of time) are kept apart from rooms, until
+ * keepUntil (ms timestamp), whether or not their room is open.
+ *
+ * ROOM_STORE selects the store: 'memory' (default) keeps rooms in this process;
+ * 'redis' keeps them in Redis at REDIS_URL and also installs the socket.io
+ * Redis adapter, so emits reach sockets connected to other instances.
+ * Participants of an instance that stops without cleaning up are found
+ * through its missing heartbeat and removed by the instances still running.
+ */
+
+const crypto = require('crypto');
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+const ROOM_STORE = process.env.ROOM_STORE || 'memory';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const REDIS_PREFIX = process.env.REDIS_PREFIX || 'webrtc:';
+
+// How often instances report that they are alive, in ms; one missing three
+// heartbeats in a row counts as stopped
+const HEARTBEAT_INTERVAL = 10 * 1000;
+const INSTANCE_TTL = 3 * HEARTBEAT_INTERVAL;
+
+/**
+ * Create the configured room store, and hook socket.io up to it when needed
+ * @param {Server} io - The socket.io server
+ * @returns {Promise<Object>} The room store
+ */
+async function setupRoomStore(io) {
+  if (ROOM_STORE === 'memory') {
+    return createMemoryStore();
+  }
+  if (ROOM_STORE !== 'redis') {
+    throw new Error(`Unknown ROOM_STORE "${ROOM_STORE}", expected "memory" or "redis"`);
+  }
+
+  // Required here so memory-only deployments do not need the Redis packages
+  const { createClient } = require('redis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  // The adapter needs a dedicated connection for subscribing; the store
+  // shares the publishing one
+  const pubClient = createClient({ url: REDIS_URL });
+  const subClient = pubClient.duplicate();
+  [pubClient, subClient].forEach((client) => {
+    client.on('error', (err) => console.error('redis error:', err.message));
+  });
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  io.adapter(createAdapter(pubClient, subClient, { key: `${REDIS_PREFIX}socket.io` }));
+  console.log(`room store: redis at ${REDIS_URL}`);
+  return createRedisStore(pubClient, { prefix: REDIS_PREFIX, instanceId: crypto.randomUUID(), instanceTtl: INSTANCE_TTL });
+}
+
+module.exports = { HEARTBEAT_INTERVAL, setupRoomStore };
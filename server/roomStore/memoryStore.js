@@ -0,0 +1,203 @@
+/**
+ * In-memory Room Store
+ * Keeps rooms in this process. Rooms are lost on restart and invisible to
+ * other signaling instances; use the Redis store to run several instances.
+ */
+
+/**
+ * Create an in-memory room store
+ * @returns {Object} Room store (see ./index.js for the interface)
+ */
+function createMemoryStore() {
+  // { roomId: {
+  //   mode, passcodeHash, host, lobby, locked,
+  //   participants: Map<socketId, info> (in join order), waiting: Map<socketId, entry>, chat: Array<Object>
+  // } }
+  const rooms = {};
+  // Rooms each socket is in or waiting for: Map<socketId, Set<roomId>>
+  const socketRooms = new Map();
+  // Scheduled rooms: Map<roomId, { reservation, keepUntil }>
+  const reservations = new Map();
+
+  const dropStaleReservations = () => {
+    const now = Date.now();
+    reservations.forEach(({ keepUntil }, roomId) => {
+      if (keepUntil <= now) reservations.delete(roomId);
+    });
+  };
+
+  const indexSocket = (socketId, roomId) => {
+    if (!socketRooms.has(socketId)) socketRooms.set(socketId, new Set());
+    socketRooms.get(socketId).add(roomId);
+  };
+
+  const unindexSocket = (socketId, roomId) => {
+    const set = socketRooms.get(socketId);
+    if (!set) return;
+    set.delete(roomId);
+    if (set.size === 0) socketRooms.delete(socketId);
+  };
+
+  const settings = ({ mode, passcodeHash, host, lobby, locked }) => ({ mode, passcodeHash, host, lobby, locked });
+
+  return {
+    async createRoom(roomId, { mode, passcodeHash, lobby }, creatorId, creatorInfo) {
+      if (rooms[roomId]) return false;
+      rooms[roomId] = {
+        mode,
+        passcodeHash,
+        host: creatorId,
+        lobby,
+        locked: false,
+        participants: new Map([[creatorId, creatorInfo]]),
+        waiting: new Map(),
+        chat: []
+      };
+      indexSocket(creatorId, roomId);
+      return true;
+    },
+
+    async getRoom(roomId) {
+      return rooms[roomId] ? settings(rooms[roomId]) : null;
+    },
+
+    async updateRoom(roomId, fields) {
+      if (!rooms[roomId]) return;
+      ['host', 'locked'].forEach((key) => {
+        if (key in fields) rooms[roomId][key] = fields[key];
+      });
+    },
+
+    async deleteRoom(roomId) {
+      const room = rooms[roomId];
+      if (!room) return;
+      room.participants.forEach((info, socketId) => unindexSocket(socketId, roomId));
+      room.waiting.forEach((entry, socketId) => unindexSocket(socketId, roomId));
+      delete rooms[roomId];
+    },
+
+    async listRooms() {
+      return Object.keys(rooms);
+    },
+
+    async addParticipant(roomId, socketId, limit, info) {
+      const room = rooms[roomId];
+      if (!room) return { ok: false, reason: 'ROOM_NOT_FOUND' };
+      if (room.participants.size >= limit) return { ok: false, reason: 'ROOM_FULL' };
+      const peers = Array.from(room.participants.keys());
+      room.participants.set(socketId, info);
+      indexSocket(socketId, roomId);
+      return { ok: true, peers };
+    },
+
+    async removeParticipant(roomId, socketId) {
+      const room = rooms[roomId];
+      if (!room) return { removed: false, remaining: [] };
+      const removed = room.participants.delete(socketId);
+      unindexSocket(socketId, roomId);
+      return { removed, remaining: Array.from(room.participants.keys()) };
+    },
+
+    async getParticipants(roomId) {
+      return rooms[roomId] ? Array.from(rooms[roomId].participants.keys()) : [];
+    },
+
+    async getParticipant(roomId, socketId) {
+      return (rooms[roomId] && rooms[roomId].participants.get(socketId)) || null;
+    },
+
+    async updateParticipant(roomId, socketId, info) {
+      const room = rooms[roomId];
+      if (!room || !room.participants.has(socketId)) return;
+      room.participants.set(socketId, info);
+    },
+
+    async replaceParticipant(roomId, oldSocketId, newSocketId, info) {
+      const room = rooms[roomId];
+      if (!room || !room.participants.has(oldSocketId)) return false;
+      // Rebuild the map so the newcomer keeps the old place in the join order
+      room.participants = new Map(Array.from(room.participants, ([socketId, current]) => (
+        socketId === oldSocketId ? [newSocketId, info] : [socketId, current]
+      )));
+      unindexSocket(oldSocketId, roomId);
+      indexSocket(newSocketId, roomId);
+      return true;
+    },
+
+    async getRoster(roomId) {
+      if (!rooms[roomId]) return [];
+      return Array.from(rooms[roomId].participants, ([socketId, info]) => ({ socketId, ...info }));
+    },
+
+    async isParticipant(roomId, socketId) {
+      return !!rooms[roomId] && rooms[roomId].participants.has(socketId);
+    },
+
+    async addWaiting(roomId, entry) {
+      if (!rooms[roomId]) return;
+      rooms[roomId].waiting.set(entry.socketId, entry);
+      indexSocket(entry.socketId, roomId);
+    },
+
+    async removeWaiting(roomId, socketId) {
+      if (!rooms[roomId]) return null;
+      unindexSocket(socketId, roomId);
+      const entry = rooms[roomId].waiting.get(socketId) || null;
+      rooms[roomId].waiting.delete(socketId);
+      return entry;
+    },
+
+    async getWaiting(roomId) {
+      return rooms[roomId] ? Array.from(rooms[roomId].waiting.values()) : [];
+    },
+
+    async appendChat(roomId, entry, limit) {
+      const room = rooms[roomId];
+      if (!room) return;
+      room.chat.push(entry);
+      if (room.chat.length > limit) {
+        room.chat.splice(0, room.chat.length - limit);
+      }
+    },
+
+    async getChat(roomId) {
+      return rooms[roomId] ? rooms[roomId].chat.slice() : [];
+    },
+
+    async getSocketRooms(socketId) {
+      return Array.from(socketRooms.get(socketId) || []);
+    },
+
+    async reserveRoom(roomId, reservation, keepUntil) {
+      dropStaleReservations();
+      if (reservations.has(roomId) || rooms[roomId]) return false;
+      reservations.set(roomId, { reservation, keepUntil });
+      return true;
+    },
+
+    async getReservation(roomId) {
+      const entry = reservations.get(roomId);
+      if (!entry) return null;
+      if (entry.keepUntil <= Date.now()) {
+        reservations.delete(roomId);
+        return null;
+      }
+      return { ...entry.reservation };
+    },
+
+    async deleteReservation(roomId) {
+      return reservations.delete(roomId);
+    },
+
+    // Every socket belongs to this one process, which cannot outlive itself
+    async claimSocket() {},
+
+    async heartbeat() {},
+
+    async takeOrphanedSockets() {
+      return [];
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
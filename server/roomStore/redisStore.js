@@ -0,0 +1,276 @@
+/**
+ * Redis Room Store
+ * Keeps rooms in Redis so that several signaling instances share them and
+ * rooms survive a restart. Checks that must not race between instances
+ * (claiming a room ID, the participant limit) run as Lua scripts.
+ *
+ * Every instance keeps a heartbeat key alive and lists the sockets it serves.
+ * When an instance stops (crash, kill) its heartbeat expires, and the next
+ * instance to look takes its sockets over, so their seats can be freed.
+ *
+ * Keys, under the configured prefix:
+ *   room:<id>               hash   mode, passcodeHash, host, lobby, locked
+ *   room:<id>:participants  zset   socket IDs scored by join order
+ *   room:<id>:info          hash   socket ID -> JSON participant info
+ *   room:<id>:seq           string join order counter
+ *   room:<id>:waiting       hash   socket ID -> JSON waiting room entry
+ *   room:<id>:chat          list   JSON chat messages, oldest first
+ *   socket:<id>:rooms       set    rooms a socket is in or waiting for
+ *   reservation:<id>        string JSON reservation, expiring at its keepUntil
+ *   rooms                   set    all room IDs
+ *   instance:<id>           string heartbeat of a signaling instance, expiring after instanceTtl
+ *   instance:<id>:sockets   set    sockets connected to (or held by) that instance
+ *   instances               set    IDs of the instances with sockets listed
+ */
+
+const CREATE_ROOM_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then return 0 end
+redis.call('HSET', KEYS[1], 'mode', ARGV[3], 'passcodeHash', ARGV[4], 'host', ARGV[2], 'lobby', ARGV[5], 'locked', '0')
+redis.call('ZADD', KEYS[2], redis.call('INCR', KEYS[3]), ARGV[2])
+redis.call('HSET', KEYS[6], ARGV[2], ARGV[6])
+redis.call('SADD', KEYS[4], ARGV[1])
+redis.call('SADD', KEYS[5], ARGV[1])
+return 1
+`;
+
+// Replies { status, ...peers }: -1 room not found, 0 room full, 1 added
+const ADD_PARTICIPANT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return {-1} end
+if redis.call('ZCARD', KEYS[2]) >= tonumber(ARGV[3]) then return {0} end
+local peers = redis.call('ZRANGE', KEYS[2], 0, -1)
+redis.call('ZADD', KEYS[2], redis.call('INCR', KEYS[3]), ARGV[2])
+redis.call('HSET', KEYS[5], ARGV[2], ARGV[4])
+redis.call('SADD', KEYS[4], ARGV[1])
+table.insert(peers, 1, 1)
+return peers
+`;
+
+/**
+ * Create a Redis room store
+ * @param {Object} client - Connected node-redis client
+ * @param {Object} options - { prefix: key prefix, instanceId: ID of this instance,
+ *   instanceTtl: ms after its last heartbeat an instance counts as stopped }
+ * @returns {Object} Room store (see ./index.js for the interface)
+ */
+function createRedisStore(client, { prefix = 'webrtc:', instanceId, instanceTtl }) {
+  const keys = {
+    room: (roomId) => `${prefix}room:${roomId}`,
+    participants: (roomId) => `${prefix}room:${roomId}:participants`,
+    info: (roomId) => `${prefix}room:${roomId}:info`,
+    seq: (roomId) => `${prefix}room:${roomId}:seq`,
+    waiting: (roomId) => `${prefix}room:${roomId}:waiting`,
+    chat: (roomId) => `${prefix}room:${roomId}:chat`,
+    socketRooms: (socketId) => `${prefix}socket:${socketId}:rooms`,
+    reservation: (roomId) => `${prefix}reservation:${roomId}`,
+    rooms: () => `${prefix}rooms`,
+    instance: (id) => `${prefix}instance:${id}`,
+    instanceSockets: (id) => `${prefix}instance:${id}:sockets`,
+    instances: () => `${prefix}instances`
+  };
+
+  const evalScript = (script, scriptKeys, args) =>
+    client.sendCommand(['EVAL', script, String(scriptKeys.length), ...scriptKeys, ...args.map(String)]);
+
+  return {
+    async createRoom(roomId, { mode, passcodeHash, lobby }, creatorId, creatorInfo) {
+      const created = await evalScript(
+        CREATE_ROOM_SCRIPT,
+        [
+          keys.room(roomId), keys.participants(roomId), keys.seq(roomId), keys.rooms(), keys.socketRooms(creatorId),
+          keys.info(roomId)
+        ],
+        [roomId, creatorId, mode, passcodeHash || '', lobby ? '1' : '0', JSON.stringify(creatorInfo || {})]
+      );
+      return created === 1;
+    },
+
+    async getRoom(roomId) {
+      const hash = await client.hGetAll(keys.room(roomId));
+      if (!hash || !hash.mode) return null;
+      return {
+        mode: hash.mode,
+        passcodeHash: hash.passcodeHash || null,
+        host: hash.host,
+        lobby: hash.lobby === '1',
+        locked: hash.locked === '1'
+      };
+    },
+
+    async updateRoom(roomId, fields) {
+      const values = {};
+      if ('host' in fields) values.host = fields.host;
+      if ('locked' in fields) values.locked = fields.locked ? '1' : '0';
+      if (Object.keys(values).length === 0) return;
+      await client.hSet(keys.room(roomId), values);
+    },
+
+    async deleteRoom(roomId) {
+      const [participants, waiting] = await Promise.all([
+        client.zRange(keys.participants(roomId), 0, -1),
+        client.hKeys(keys.waiting(roomId))
+      ]);
+      const multi = client.multi()
+        .del([
+          keys.room(roomId), keys.participants(roomId), keys.info(roomId), keys.seq(roomId), keys.waiting(roomId),
+          keys.chat(roomId)
+        ])
+        .sRem(keys.rooms(), roomId);
+      [...participants, ...waiting].forEach((socketId) => multi.sRem(keys.socketRooms(socketId), roomId));
+      await multi.exec();
+    },
+
+    async listRooms() {
+      return client.sMembers(keys.rooms());
+    },
+
+    async addParticipant(roomId, socketId, limit, info) {
+      const [status, ...peers] = await evalScript(
+        ADD_PARTICIPANT_SCRIPT,
+        [keys.room(roomId), keys.participants(roomId), keys.seq(roomId), keys.socketRooms(socketId), keys.info(roomId)],
+        [roomId, socketId, limit, JSON.stringify(info || {})]
+      );
+      if (status === -1) return { ok: false, reason: 'ROOM_NOT_FOUND' };
+      if (status === 0) return { ok: false, reason: 'ROOM_FULL' };
+      return { ok: true, peers };
+    },
+
+    async removeParticipant(roomId, socketId) {
+      const [removed, , , remaining] = await client.multi()
+        .zRem(keys.participants(roomId), socketId)
+        .hDel(keys.info(roomId), socketId)
+        .sRem(keys.socketRooms(socketId), roomId)
+        .zRange(keys.participants(roomId), 0, -1)
+        .exec();
+      return { removed: removed > 0, remaining };
+    },
+
+    async getParticipants(roomId) {
+      return client.zRange(keys.participants(roomId), 0, -1);
+    },
+
+    async getParticipant(roomId, socketId) {
+      const json = await client.hGet(keys.info(roomId), socketId);
+      return json ? JSON.parse(json) : null;
+    },
+
+    async updateParticipant(roomId, socketId, info) {
+      if (!(await client.hExists(keys.info(roomId), socketId))) return;
+      await client.hSet(keys.info(roomId), socketId, JSON.stringify(info));
+    },
+
+    async replaceParticipant(roomId, oldSocketId, newSocketId, info) {
+      // The new socket takes the old one's score, and so its place in the join order
+      const score = await client.zScore(keys.participants(roomId), oldSocketId);
+      if (score === null) return false;
+      await client.multi()
+        .zRem(keys.participants(roomId), oldSocketId)
+        .zAdd(keys.participants(roomId), { score, value: newSocketId })
+        .hDel(keys.info(roomId), oldSocketId)
+        .hSet(keys.info(roomId), newSocketId, JSON.stringify(info))
+        .sRem(keys.socketRooms(oldSocketId), roomId)
+        .sAdd(keys.socketRooms(newSocketId), roomId)
+        .exec();
+      return true;
+    },
+
+    async getRoster(roomId) {
+      const [socketIds, infos] = await Promise.all([
+        client.zRange(keys.participants(roomId), 0, -1),
+        client.hGetAll(keys.info(roomId))
+      ]);
+      return socketIds.map((socketId) => ({ socketId, ...(infos[socketId] ? JSON.parse(infos[socketId]) : {}) }));
+    },
+
+    async isParticipant(roomId, socketId) {
+      return (await client.zScore(keys.participants(roomId), socketId)) !== null;
+    },
+
+    async addWaiting(roomId, entry) {
+      await client.multi()
+        .hSet(keys.waiting(roomId), entry.socketId, JSON.stringify(entry))
+        .sAdd(keys.socketRooms(entry.socketId), roomId)
+        .exec();
+    },
+
+    async removeWaiting(roomId, socketId) {
+      const [json, removed] = await client.multi()
+        .hGet(keys.waiting(roomId), socketId)
+        .hDel(keys.waiting(roomId), socketId)
+        .sRem(keys.socketRooms(socketId), roomId)
+        .exec();
+      return removed > 0 ? JSON.parse(json) : null;
+    },
+
+    async getWaiting(roomId) {
+      const entries = (await client.hVals(keys.waiting(roomId))).map((json) => JSON.parse(json));
+      return entries.sort((a, b) => a.requestedAt - b.requestedAt);
+    },
+
+    async appendChat(roomId, entry, limit) {
+      await client.multi()
+        .rPush(keys.chat(roomId), JSON.stringify(entry))
+        .lTrim(keys.chat(roomId), -limit, -1)
+        .exec();
+    },
+
+    async getChat(roomId) {
+      return (await client.lRange(keys.chat(roomId), 0, -1)).map((json) => JSON.parse(json));
+    },
+
+    async getSocketRooms(socketId) {
+      return client.sMembers(keys.socketRooms(socketId));
+    },
+
+    async reserveRoom(roomId, reservation, keepUntil) {
+      if (await client.exists(keys.room(roomId))) return false;
+      const reply = await client.set(keys.reservation(roomId), JSON.stringify(reservation), {
+        condition: 'NX',
+        expiration: { type: 'PXAT', value: keepUntil }
+      });
+      return reply === 'OK';
+    },
+
+    async getReservation(roomId) {
+      const json = await client.get(keys.reservation(roomId));
+      return json ? JSON.parse(json) : null;
+    },
+
+    async deleteReservation(roomId) {
+      return (await client.del(keys.reservation(roomId))) > 0;
+    },
+
+    async claimSocket(socketId) {
+      await client.multi()
+        .sAdd(keys.instanceSockets(instanceId), socketId)
+        .sAdd(keys.instances(), instanceId)
+        .exec();
+    },
+
+    async heartbeat(socketIds) {
+      // Rewritten in full, so sockets that are gone drop out of the list
+      const multi = client.multi()
+        .set(keys.instance(instanceId), String(Date.now()), { expiration: { type: 'PX', value: instanceTtl } })
+        .sAdd(keys.instances(), instanceId)
+        .del(keys.instanceSockets(instanceId));
+      if (socketIds.length > 0) multi.sAdd(keys.instanceSockets(instanceId), socketIds);
+      await multi.exec();
+    },
+
+    async takeOrphanedSockets() {
+      const orphaned = [];
+      for (const id of await client.sMembers(keys.instances())) {
+        if (id === instanceId || (await client.exists(keys.instance(id)))) continue;
+        // Only the instance that removes it from the list takes its sockets
+        if (!(await client.sRem(keys.instances(), id))) continue;
+        const [socketIds] = await client.multi()
+          .sMembers(keys.instanceSockets(id))
+          .del(keys.instanceSockets(id))
+          .exec();
+        orphaned.push(...socketIds);
+      }
+      return orphaned;
+    }
+  };
+}
+
+module.exports = { createRedisStore };
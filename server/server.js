@@ -1,15 +1,26 @@
 /**
  * WebRTC Signaling Server
- * Handles signaling messages between clients for peer-to-peer connections
+ * Handles signaling messages between clients for peer-to-peer connections,
+ * and media routing for rooms running in SFU mode
  */
 
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
+const sfu = require('./sfu');
+const { isValidPasscode, hashPasscode, verifyPasscode } = require('./passcode');
+const { HEARTBEAT_INTERVAL, setupRoomStore } = require('./roomStore');
+const { createInvite } = require('./ics');
+const { AUTH_ENABLED, authenticateSocket, authenticateRequest } = require('./auth');
+const { SFU_SIGNAL_TYPES, validateEvent } = require('./validation');
+const { createRateLimiter } = require('./rateLimit');
+const { clientAddress } = require('./clientAddress');
 
 const app = express();
 app.use(cors());
+app.use(express.json());
 
 const server = http.createServer(app);
 
@@ -21,111 +32,1317 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 4000;
 
-// In-memory room storage: { roomId: Set<socketId> }
-// Each room supports up to 2 participants (1-on-1 video calls)
-const rooms = {};
+// Maximum participants per room. Mesh calls connect every participant to
+// every other one, so keep that limit small. SFU rooms send each stream to
+// the server only once and can hold more people.
+const MAX_PARTICIPANTS = parseInt(process.env.MAX_PARTICIPANTS, 10) || 6;
+const SFU_MAX_PARTICIPANTS = parseInt(process.env.SFU_MAX_PARTICIPANTS, 10) || 25;
+
+// Room topologies selectable at create-room time
+const ROOM_MODES = ['mesh', 'sfu'];
+
+// Limits against floods from a single client. Connection counts are per
+// instance; client addresses come from X-Forwarded-For with TRUST_PROXY set.
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS, 10) || 1000;
+const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS, 10) || 2000;
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP, 10) || 20;
+// Number of reverse proxies in front of the server ('true' counts as one),
+// telling which X-Forwarded-For entry is the client (see clientAddress.js)
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true' ? 1 : parseInt(process.env.TRUST_PROXY, 10) || 0;
+
+// Token buckets (burst, then perSecond), per client address or per socket
+const limiters = {
+  connection: createRateLimiter({ burst: 20, perSecond: 1 }), // per address
+  createRoom: createRateLimiter({ burst: 5, perSecond: 1 / 12 }), // per address, also the /rooms routes
+  signal: createRateLimiter({ burst: 200, perSecond: 50 }), // per socket; ICE candidates come in bursts
+  chat: createRateLimiter({ burst: 10, perSecond: 1 }), // per socket
+  other: createRateLimiter({ burst: 20, perSecond: 2 }), // per socket, every other event
+  badPasscode: createRateLimiter({ burst: 10, perSecond: 1 / 30 }) // per address, kept by wrong passcodes only
+};
+// Open connections per client address on this instance
+const connectionsPerIp = new Map();
+
+// Chat messages kept per room for late joiners, and maximum message length
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 100;
+const CHAT_MAX_LENGTH = 2000;
+
+// Longest display name participants may choose
+const DISPLAY_NAME_MAX_LENGTH = 64;
+
+// Seconds a dropped participant's seat is held for them to resume with their
+// resume token (after a network change or a page refresh). Grace timers run on
+// the instance the participant was connected to.
+const RESUME_GRACE_SECONDS = parseInt(process.env.RESUME_GRACE_SECONDS, 10) || 30;
+// Socket IDs of dropped participants -> timer removing them once the grace period is over
+const graceTimers = new Map();
+
+// ICE servers handed to clients by GET /ice-servers (comma-separated URL lists).
+// TURN credentials are minted per request with the coturn REST API scheme,
+// which needs `use-auth-secret` and `static-auth-secret=<TURN_SECRET>` in turnserver.conf.
+const parseList = (value) => (value || '').split(',').map((v) => v.trim()).filter(Boolean);
+const STUN_URLS = parseList(process.env.STUN_URLS || 'stun:stun.l.google.com:19302');
+const TURN_URLS = parseList(process.env.TURN_URLS);
+const TURN_SECRET = process.env.TURN_SECRET;
+const TURN_TTL = parseInt(process.env.TURN_TTL, 10) || 3600; // seconds
+// Set to 'relay' to make every client use TURN only
+const ICE_TRANSPORT_POLICY = process.env.ICE_TRANSPORT_POLICY === 'relay' ? 'relay' : 'all';
+
+// Rooms scheduled with POST /rooms. They can be opened EARLY_JOIN_MINUTES before
+// their start time and no longer once they expire; the reservation itself is
+// kept for a day after that, so its link keeps explaining why the room is closed.
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const EARLY_JOIN_MINUTES = parseInt(process.env.EARLY_JOIN_MINUTES, 10) || 10;
+const DEFAULT_ROOM_DURATION = 60 * 60 * 1000;
+const MAX_ROOM_DURATION = 24 * 60 * 60 * 1000;
+const RESERVATION_RETENTION = 24 * 60 * 60 * 1000;
+const TITLE_MAX_LENGTH = 200;
+
+// Room state lives in a room store (in memory by default, or Redis to share
+// rooms between instances). A room: { mode, passcodeHash, host, lobby, locked },
+// plus its participants (in join order), waiting room and chat history.
+// With lobby ("knock to enter") set, joiners wait until the host admits them.
+// A locked room turns away every new join.
+// Assigned on startup, see start()
+let store = null;
+
+/**
+ * Socket ID for the logs, with the user ID when the socket is authenticated
+ * @param {string} socketId
+ * @param {Object|null} user - { id, name }
+ * @returns {string}
+ */
+const describeSocket = (socketId, user) => (user ? `${socketId} (user ${user.id})` : socketId);
+
+/**
+ * Participant info stored with a newcomer: { user, name, joinedAt }
+ * Signed-in users are named by their token; everyone else picks a display
+ * name, which is stripped of control characters and extra whitespace.
+ * @param {Object|null} user - Verified identity ({ id, name }) of the socket
+ * @param {*} requestedName - Display name sent with create-room/join-room
+ * @returns {Object}
+ */
+function participantInfo(user, requestedName) {
+  let name = user && user.name;
+  if (!name && typeof requestedName === 'string') {
+    name = requestedName.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim()
+      .slice(0, DISPLAY_NAME_MAX_LENGTH);
+  }
+  return { user: user || null, name: name || null, joinedAt: Date.now() };
+}
+
+/**
+ * Hash of a resume token, as stored with the participant
+ * @param {string} token
+ * @returns {string}
+ */
+const hashResumeToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Give a participant a new resume token
+ * Only its hash is kept in the participant info; the token itself goes to
+ * the participant alone, in its join result.
+ * @param {Object} info - Participant info
+ * @returns {Object} { info (with resumeTokenHash), resumeToken }
+ */
+function withResumeToken(info) {
+  const resumeToken = crypto.randomBytes(24).toString('base64url');
+  return { info: { ...info, resumeTokenHash: hashResumeToken(resumeToken) }, resumeToken };
+}
+
+/**
+ * Send everyone in a room its participant list
+ * Entries are { socketId, name, userId, joinedAt, reconnecting, recording, handRaisedAt } in join order;
+ * handRaisedAt (ms timestamp, null when the hand is down) orders the raised-hand queue.
+ * @param {string} roomId - Room identifier
+ */
+async function sendRoster(roomId) {
+  const participants = (await store.getRoster(roomId)).map(({ socketId, user, name, joinedAt, away, recording, handRaisedAt }) => ({
+    socketId,
+    name: name || null,
+    userId: user ? user.id : null,
+    joinedAt,
+    reconnecting: !!away,
+    recording: !!recording,
+    handRaisedAt: handRaisedAt || null
+  }));
+  io.to(roomId).emit('roster-update', { participants });
+}
+
+/**
+ * Maximum number of participants of a room
+ */
+const roomLimit = (room) => (room.mode === 'sfu' ? SFU_MAX_PARTICIPANTS : MAX_PARTICIPANTS);
+
+/**
+ * Open a room, with the given socket as its first participant and host
+ * @param {string} socketId - Socket ID of the opener
+ * @param {string} roomId - Room identifier
+ * @param {Object} settings - { mode, passcodeHash, lobby }
+ * @param {Object} info - Participant info of the opener (see participantInfo)
+ * @returns {Promise<Object>} Join result ({ ok, peers, users, mode, polite, hostId, locked, resumeToken } or { ok: false, reason })
+ */
+async function openRoom(socketId, roomId, settings, opener) {
+  if ((await store.listRooms()).length >= MAX_ROOMS) {
+    return { ok: false, reason: 'TOO_MANY_ROOMS' };
+  }
+
+  // Claim the room ID (with the opener as first participant) before the
+  // asynchronous SFU router setup
+  const { info, resumeToken } = withResumeToken(opener);
+  const created = await store.createRoom(roomId, settings, socketId, info);
+  if (!created) {
+    return { ok: false, reason: 'ROOM_ALREADY_EXISTS' };
+  }
+
+  if (settings.mode === 'sfu') {
+    try {
+      await sfu.openRoom(roomId);
+    } catch (err) {
+      console.error(`could not open SFU room ${roomId}:`, err);
+      await store.deleteRoom(roomId);
+      return { ok: false, reason: 'SFU_UNAVAILABLE' };
+    }
+  }
+
+  io.in(socketId).socketsJoin(roomId);
+  await sendRoster(roomId);
+  console.log(`room opened ${roomId} (${settings.mode}) by ${socketId}`);
+  return { ok: true, peers: [], users: {}, mode: settings.mode, polite: true, hostId: socketId, locked: false, resumeToken };
+}
+
+/**
+ * Where a scheduled room stands in its time window
+ * @param {Object} reservation - { startsAt, expiresAt }
+ * @returns {string} 'scheduled' (too early to open), 'open' or 'expired'
+ */
+function reservationStatus(reservation) {
+  const now = Date.now();
+  if (now >= reservation.expiresAt) return 'expired';
+  if (now < reservation.startsAt - EARLY_JOIN_MINUTES * 60 * 1000) return 'scheduled';
+  return 'open';
+}
+
+/**
+ * Reason to turn away someone opening or joining a scheduled room
+ * @param {Object|null} reservation - The room's reservation, if it has one
+ * @returns {string|null} ROOM_NOT_OPEN_YET, ROOM_EXPIRED, or null when the room may be entered
+ */
+function reservationClosedReason(reservation) {
+  if (!reservation) return null;
+  const status = reservationStatus(reservation);
+  if (status === 'scheduled') return 'ROOM_NOT_OPEN_YET';
+  if (status === 'expired') return 'ROOM_EXPIRED';
+  return null;
+}
+
+/**
+ * Add a socket to the participants of a room and announce it to the others
+ * Used for direct joins and for admissions from the waiting room. Works for
+ * sockets connected to other instances too.
+ * The join result maps each of the peers to their verified identity in `users`.
+ * @param {string} participantId - Socket ID of the newcomer
+ * @param {string} roomId - Room identifier
+ * @param {Object} info - Participant info of the newcomer (see participantInfo)
+ * @param {Function} respond - Receives the join result ({ ok, peers, users, mode, polite, hostId, locked } or { ok: false, reason })
+ */
+async function addParticipant(participantId, roomId, newcomer, respond) {
+  const room = await store.getRoom(roomId);
+  if (!room) {
+    respond({ ok: false, reason: 'ROOM_NOT_FOUND' });
+    return;
+  }
+  const { info, resumeToken } = withResumeToken(newcomer);
+  const added = await store.addParticipant(roomId, participantId, roomLimit(room), info);
+  if (!added.ok) {
+    respond(added);
+    return;
+  }
+
+  const { peers } = added;
+  const users = {};
+  (await store.getRoster(roomId)).forEach((participant) => {
+    if (participant.socketId !== participantId) users[participant.socketId] = participant.user || null;
+  });
+  io.in(participantId).socketsJoin(roomId);
+  respond({ ok: true, peers, users, mode: room.mode, polite: true, hostId: room.host, locked: room.locked, resumeToken });
+
+  // Catch the newcomer up on the conversation so far
+  const chat = await store.getChat(roomId);
+  if (chat.length > 0) {
+    io.to(participantId).emit('chat-history', { messages: chat });
+  }
+
+  // Notify each existing participant so they start a WebRTC connection with the newcomer
+  peers.forEach((peerId) => {
+    io.to(peerId).emit('peer-joined', { socketId: participantId, polite: false, user: info.user, name: info.name });
+  });
+  await sendRoster(roomId);
+  console.log(`${describeSocket(participantId, info.user)} joined room ${roomId}`);
+}
+
+/**
+ * Give a participant who dropped out their seat back, on a new socket
+ * The new socket takes the place of the old one: same position in the join
+ * order, same host status. The others are told with a peer-joined event
+ * naming the old socket in `resumedFrom`, so they replace its connection.
+ * @param {string} participantId - Socket ID of the resuming participant
+ * @param {Object|null} user - Verified identity of the new socket
+ * @param {string} roomId - Room identifier
+ * @param {string} token - Resume token from the participant's last join result
+ * @returns {Promise<Object|null>} Join result, with resumed: true; null when the token matches no seat
+ */
+async function resumeParticipant(participantId, user, roomId, token) {
+  const tokenHash = hashResumeToken(token);
+  const seat = (await store.getRoster(roomId)).find((entry) => entry.resumeTokenHash === tokenHash);
+  // A seat taken by a signed-in user can only be resumed by that same user
+  if (!seat || seat.socketId === participantId || (seat.user && (!user || user.id !== seat.user.id))) {
+    return null;
+  }
+
+  const previousId = seat.socketId;
+  const { info, resumeToken } = withResumeToken({
+    user: seat.user,
+    name: seat.name,
+    joinedAt: seat.joinedAt,
+    recording: !!seat.recording,
+    handRaisedAt: seat.handRaisedAt || null,
+    away: null
+  });
+  if (!(await store.replaceParticipant(roomId, previousId, participantId, info))) return null;
+
+  clearTimeout(graceTimers.get(previousId));
+  graceTimers.delete(previousId);
+  // The old socket may not have noticed it is gone yet
+  io.in(previousId).socketsLeave(roomId);
+  io.in(previousId).disconnectSockets(true);
+
+  const room = await store.getRoom(roomId);
+  if (room.mode === 'sfu') {
+    sfu.removePeer(roomId, previousId);
+  }
+  if (room.host === previousId) {
+    await store.updateRoom(roomId, { host: participantId });
+    room.host = participantId;
+    io.to(roomId).emit('host-changed', { hostId: participantId });
+  }
+
+  const roster = await store.getRoster(roomId);
+  const peers = roster.map((entry) => entry.socketId).filter((socketId) => socketId !== participantId);
+  const users = {};
+  roster.forEach((entry) => {
+    if (entry.socketId !== participantId) users[entry.socketId] = entry.user || null;
+  });
+  io.in(participantId).socketsJoin(roomId);
+
+  const chat = await store.getChat(roomId);
+  if (chat.length > 0) {
+    io.to(participantId).emit('chat-history', { messages: chat });
+  }
+  peers.forEach((peerId) => {
+    io.to(peerId).emit('peer-joined', {
+      socketId: participantId,
+      polite: false,
+      user: info.user,
+      name: info.name,
+      resumedFrom: previousId
+    });
+  });
+  await sendRoster(roomId);
+  if (room.host === participantId) await sendLobby(roomId);
+
+  console.log(`${describeSocket(participantId, info.user)} resumed the seat of ${previousId} in room ${roomId}`);
+  return {
+    ok: true,
+    peers,
+    users,
+    mode: room.mode,
+    polite: true,
+    hostId: room.host,
+    locked: room.locked,
+    resumeToken,
+    resumed: true
+  };
+}
+
+/**
+ * Hold the seat of a participant whose connection dropped
+ * The others see them as reconnecting until they resume or the grace period
+ * runs out, when they are removed like anyone leaving.
+ * @param {string} socketId - Socket ID of the dropped participant
+ * @param {string} roomId - Room identifier
+ * @returns {Promise<boolean>} false when the socket holds no seat in the room (e.g. it was waiting)
+ */
+async function holdSeat(socketId, roomId) {
+  const info = await store.getParticipant(roomId, socketId);
+  if (!info) return false;
+
+  await store.updateParticipant(roomId, socketId, { ...info, away: Date.now() });
+  const room = await store.getRoom(roomId);
+  if (room && room.mode === 'sfu') {
+    // Its transports died with the socket; the resumed socket produces anew
+    sfu.removePeer(roomId, socketId);
+  }
+  io.to(roomId).except(socketId).emit('peer-reconnecting', { socketId });
+  await sendRoster(roomId);
+
+  graceTimers.set(socketId, setTimeout(() => {
+    graceTimers.delete(socketId);
+    leaveRoom(socketId, roomId).catch((err) => console.error('room store error:', err));
+  }, RESUME_GRACE_SECONDS * 1000));
+  console.log(`${socketId} dropped out of room ${roomId}, holding the seat for ${RESUME_GRACE_SECONDS}s`);
+  return true;
+}
+
+/**
+ * Send the host of a room the list of people waiting to be let in
+ * @param {string} roomId - Room identifier
+ */
+async function sendLobby(roomId) {
+  const room = await store.getRoom(roomId);
+  if (!room || !room.host) return;
+  io.to(room.host).emit('lobby-update', { waiting: await store.getWaiting(roomId) });
+}
+
+/**
+ * Remove a socket from a room (or its waiting room) and notify other participants
+ * When the host leaves, the participant who has been in the room longest takes over.
+ * @param {string} socketId - Socket ID of the leaving participant
+ * @param {string} roomId - Room identifier
+ */
+async function leaveRoom(socketId, roomId) {
+  clearTimeout(graceTimers.get(socketId));
+  graceTimers.delete(socketId);
+
+  const room = await store.getRoom(roomId);
+  if (!room) return;
+
+  if (await store.removeWaiting(roomId, socketId)) {
+    await sendLobby(roomId);
+    return;
+  }
+
+  const info = await store.getParticipant(roomId, socketId);
+  const { removed, remaining } = await store.removeParticipant(roomId, socketId);
+  if (!removed) return;
+  io.in(socketId).socketsLeave(roomId);
+  if (room.mode === 'sfu') {
+    sfu.removePeer(roomId, socketId);
+  }
+
+  // Notify remaining participants that a peer has left
+  io.to(roomId).except(socketId).emit('peer-left', { socketId, user: (info && info.user) || null });
+
+  // Clean up empty rooms to prevent memory leaks
+  if (remaining.length === 0) {
+    const waiting = await store.getWaiting(roomId);
+    waiting.forEach((entry) => io.to(entry.socketId).emit('lobby-denied', { reason: 'ROOM_CLOSED' }));
+    if (room.mode === 'sfu') sfu.closeRoom(roomId);
+    await store.deleteRoom(roomId);
+  } else {
+    if (room.host === socketId) {
+      await store.updateRoom(roomId, { host: remaining[0] });
+      io.to(roomId).emit('host-changed', { hostId: remaining[0] });
+      await sendLobby(roomId);
+    }
+    await sendRoster(roomId);
+  }
+
+  console.log(`${socketId} left room ${roomId}`);
+}
+
+/**
+ * Wrap an async socket event handler so a failing room store answers the
+ * callback instead of leaving the client waiting
+ * @param {Function} handler - async (...args) handler; a trailing function argument is the callback
+ * @returns {Function} Event listener
+ */
+const withStore = (handler) => async (...args) => {
+  try {
+    await handler(...args);
+  } catch (err) {
+    console.error('room store error:', err);
+    const cb = args[args.length - 1];
+    if (typeof cb === 'function') cb({ ok: false, reason: 'SERVER_ERROR' });
+  }
+};
+
+/**
+ * Check the passcode given to enter a room
+ * Every attempt spends a token of the sender's address before the passcode is
+ * checked, and right ones get it back; once they run out, attempts are turned
+ * away without checking, against brute force. Spending first counts attempts
+ * still being checked, so a burst of them cannot slip past the limit.
+ * @param {Socket} socket - Sender
+ * @param {*} passcode - Passcode sent by the client
+ * @param {string|null} passcodeHash - Hash stored with the room, null for an open room
+ * @returns {Promise<Object|null>} null when the passcode is right (or none is needed),
+ *   else { ok: false, reason: BAD_PASSCODE | RATE_LIMITED, retryAfter? }
+ */
+async function checkPasscode(socket, passcode, passcodeHash) {
+  if (!passcodeHash) return null;
+  const lockout = limiters.badPasscode.take(socket.data.ip);
+  if (!lockout.ok) {
+    return { ok: false, reason: 'RATE_LIMITED', retryAfter: lockout.retryAfter };
+  }
+  if (await verifyPasscode(passcode, passcodeHash)) {
+    limiters.badPasscode.refund(socket.data.ip);
+    return null;
+  }
+  console.warn(`wrong passcode from ${socket.data.ip}`);
+  return { ok: false, reason: 'BAD_PASSCODE' };
+}
+
+/**
+ * Error passed to the client's connect_error handler when a connection is turned away
+ * @param {Object} data - { reason: TOO_MANY_CONNECTIONS | RATE_LIMITED, retryAfter? }
+ * @returns {Error}
+ */
+function connectionRefused(data) {
+  const err = new Error('CONNECTION_REFUSED');
+  err.data = data;
+  return err;
+}
+
+// Turn away connections over the limits, then check the JWT of the rest
+// when auth is configured (see auth.js)
+io.use((socket, next) => {
+  const ip = clientAddress(socket.handshake.headers, socket.handshake.address, TRUST_PROXY);
+  if (io.engine.clientsCount > MAX_CONNECTIONS || (connectionsPerIp.get(ip) || 0) >= MAX_CONNECTIONS_PER_IP) {
+    next(connectionRefused({ reason: 'TOO_MANY_CONNECTIONS' }));
+    return;
+  }
+  const limit = limiters.connection.take(ip);
+  if (!limit.ok) {
+    next(connectionRefused({ reason: 'RATE_LIMITED', retryAfter: limit.retryAfter }));
+    return;
+  }
+  socket.data.ip = ip;
+  next();
+});
+io.use(authenticateSocket);
+
+/**
+ * Spend a token for an incoming event
+ * @param {Socket} socket - Sender
+ * @param {string} event - Event name
+ * @returns {Object} { ok } or { ok: false, retryAfter }
+ */
+function takeEventToken(socket, event) {
+  if (event === 'create-room') return limiters.createRoom.take(socket.data.ip);
+  if (event === 'signal') return limiters.signal.take(socket.id);
+  if (event === 'chat-message') return limiters.chat.take(socket.id);
+  return limiters.other.take(socket.id);
+}
 
 io.on('connection', (socket) => {
-  console.log('socket connected', socket.id);
+  console.log('socket connected', describeSocket(socket.id, socket.data.user));
+  store.claimSocket(socket.id).catch((err) => console.error('room store error:', err));
+  connectionsPerIp.set(socket.data.ip, (connectionsPerIp.get(socket.data.ip) || 0) + 1);
+
+  /**
+   * Answer a request that cannot be carried out
+   * Through its callback, or with a request-error event when it has none.
+   * @param {string} event - Event name
+   * @param {Function|null} cb - Callback of the request
+   * @param {Object} error - { reason, retryAfter? }
+   */
+  const refuse = (event, cb, error) => {
+    if (cb) {
+      cb({ ok: false, ...error });
+    } else {
+      socket.emit('request-error', { event, ...error });
+    }
+  };
+
+  // Check every incoming event against its schema and the rate limits before its handler
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const cb = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+    const reason = validateEvent(event, args);
+    if (reason) {
+      console.warn(`rejected ${event} from ${socket.id}: ${reason}`);
+      refuse(event, cb, { reason });
+      return;
+    }
+
+    const limit = takeEventToken(socket, event);
+    if (!limit.ok) {
+      refuse(event, cb, { reason: 'RATE_LIMITED', retryAfter: limit.retryAfter });
+      return;
+    }
+    next();
+  });
 
   /**
    * Create a new room
    * @param {string} roomId - Unique identifier for the room
+   * @param {Object} [options] - { mode: 'mesh' | 'sfu', passcode?: string, lobby?: boolean, name?: string }
    * @param {Function} cb - Callback function to return result
-   * @returns {Object} { ok: boolean, reason?: string }
+   * @returns {Object} { ok: boolean, peers?: string[], mode?: string, hostId?: string, reason?: string }
    */
-  socket.on('create-room', (roomId, cb) => {
-    if (rooms[roomId]) {
-      cb && cb({ ok: false, reason: 'ROOM_ALREADY_EXISTS' });
+  socket.on('create-room', withStore(async (roomId, options, cb) => {
+    // Older clients send (roomId, cb)
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    const mode = (options && options.mode) || 'mesh';
+    const passcode = options && options.passcode;
+
+    if (!ROOM_MODES.includes(mode)) {
+      cb && cb({ ok: false, reason: 'INVALID_MODE' });
       return;
     }
-    
-    // Create new room with creator as first participant
-    rooms[roomId] = new Set([socket.id]);
-    socket.join(roomId);
-    cb && cb({ ok: true });
-    console.log(`room created ${roomId} by ${socket.id}`);
-  });
+
+    // An empty passcode means an open room
+    if (passcode && !isValidPasscode(passcode)) {
+      cb && cb({ ok: false, reason: 'INVALID_PASSCODE' });
+      return;
+    }
+
+    // A scheduled room is opened with the settings it was reserved with
+    const reservation = await store.getReservation(roomId);
+    let settings;
+    if (!reservation) {
+      settings = {
+        mode,
+        passcodeHash: passcode ? await hashPasscode(passcode) : null,
+        lobby: !!(options && options.lobby)
+      };
+    } else {
+      const closedReason = reservationClosedReason(reservation);
+      if (closedReason) {
+        cb && cb({ ok: false, reason: closedReason });
+        return;
+      }
+      const passcodeError = await checkPasscode(socket, passcode, reservation.passcodeHash);
+      if (passcodeError) {
+        cb && cb(passcodeError);
+        return;
+      }
+      settings = { mode: reservation.mode, passcodeHash: reservation.passcodeHash, lobby: reservation.lobby };
+    }
+
+    const result = await openRoom(socket.id, roomId, settings, participantInfo(socket.data.user, options && options.name));
+    cb && cb(result);
+  }));
 
   /**
    * Join an existing room
-   * Allows a second participant to join a room created by another user
+   * Responds with the socket IDs of the participants already in the room,
+   * and their verified identities (null without socket auth) in `users`.
+   * For perfect negotiation the newcomer is the polite side towards every
+   * existing participant, and they are the impolite side towards it.
+   * In knock-to-enter rooms the newcomer is answered with { waiting: true }
+   * instead, and gets lobby-admitted (with the same fields) or lobby-denied later.
+   * A participant who dropped out gets their seat back with the resume token
+   * of their last join result, skipping the passcode, lock and lobby checks;
+   * an unknown or expired token is ignored and the join goes on as usual.
+   * @param {string} roomId - Room identifier
+   * @param {Object} [options] - { passcode?: string, name?: string, resumeToken?: string }
+   * @param {Function} cb - Callback function to return result
+   * @returns {Object} { ok: boolean, peers?: string[], users?: Object, mode?: string, polite?: boolean, hostId?: string, locked?: boolean, resumeToken?: string, resumed?: boolean, waiting?: boolean, reason?: string }
    */
-  socket.on('join-room', (roomId, cb) => {
-    const room = rooms[roomId];
-    
+  socket.on('join-room', withStore(async (roomId, options, cb) => {
+    // Older clients send (roomId, cb)
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    let room = await store.getRoom(roomId);
+
+    if (room && options && options.resumeToken) {
+      const resumed = await resumeParticipant(socket.id, socket.data.user, roomId, options.resumeToken);
+      if (resumed) {
+        cb && cb(resumed);
+        return;
+      }
+    }
+
+    const reservation = await store.getReservation(roomId);
+
+    const closedReason = reservationClosedReason(reservation);
+    if (closedReason) {
+      cb && cb({ ok: false, reason: closedReason });
+      return;
+    }
+
+    // The first person to arrive at a scheduled room opens it and hosts it
+    if (!room && reservation) {
+      const passcodeError = await checkPasscode(socket, options && options.passcode, reservation.passcodeHash);
+      if (passcodeError) {
+        cb && cb(passcodeError);
+        return;
+      }
+      const opened = await openRoom(socket.id, roomId, {
+        mode: reservation.mode,
+        passcodeHash: reservation.passcodeHash,
+        lobby: reservation.lobby
+      }, participantInfo(socket.data.user, options && options.name));
+      if (opened.ok || opened.reason !== 'ROOM_ALREADY_EXISTS') {
+        cb && cb(opened);
+        return;
+      }
+      // Someone else opened it first, join them
+      room = await store.getRoom(roomId);
+    }
+
     if (!room) {
       cb && cb({ ok: false, reason: 'ROOM_NOT_FOUND' });
       return;
     }
-    
-    // Max 2 participants for 1-on-1 calls
-    if (room.size >= 2) {
-      cb && cb({ ok: false, reason: 'ROOM_FULL' });
+
+    // Missing and wrong passcodes are reported alike
+    const passcodeError = await checkPasscode(socket, options && options.passcode, room.passcodeHash);
+    if (passcodeError) {
+      cb && cb(passcodeError);
+      return;
+    }
+
+    if (room.locked) {
+      cb && cb({ ok: false, reason: 'ROOM_LOCKED' });
       return;
     }
-    
-    // Add participant to room
-    room.add(socket.id);
-    socket.join(roomId);
+
+    // Knock to enter: park the newcomer until the host decides
+    // (the participant limit is checked on admission)
+    if (room.lobby) {
+      const { user, name } = participantInfo(socket.data.user, options && options.name);
+      await store.addWaiting(roomId, { socketId: socket.id, requestedAt: Date.now(), user, name });
+      cb && cb({ ok: true, waiting: true, mode: room.mode });
+      await sendLobby(roomId);
+      console.log(`${socket.id} waiting to join room ${roomId}`);
+      return;
+    }
+
+    const info = participantInfo(socket.data.user, options && options.name);
+    await addParticipant(socket.id, roomId, info, (result) => cb && cb(result));
+  }));
+
+  /**
+   * Let someone from the waiting room in (host only)
+   * @param {Object} data - { roomId, socketId }
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('admit-peer', withStore(async ({ roomId, socketId }, cb) => {
+    const room = await hostRoom(roomId, cb);
+    if (!room) return;
+
+    const entry = await store.removeWaiting(roomId, socketId);
+    if (!entry) {
+      cb && cb({ ok: false, reason: 'NOT_WAITING' });
+      return;
+    }
+
+    const info = { user: entry.user || null, name: entry.name || null, joinedAt: Date.now() };
+    await addParticipant(socketId, roomId, info, (result) => {
+      if (result.ok) {
+        io.to(socketId).emit('lobby-admitted', result);
+      } else {
+        io.to(socketId).emit('lobby-denied', { reason: result.reason });
+      }
+      cb && cb(result.ok ? { ok: true } : { ok: false, reason: result.reason });
+    });
+    await sendLobby(roomId);
+  }));
+
+  /**
+   * Turn someone in the waiting room away (host only)
+   * @param {Object} data - { roomId, socketId }
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('deny-peer', withStore(async ({ roomId, socketId }, cb) => {
+    const room = await hostRoom(roomId, cb);
+    if (!room) return;
+    if (!(await store.removeWaiting(roomId, socketId))) {
+      cb && cb({ ok: false, reason: 'NOT_WAITING' });
+      return;
+    }
+
+    io.to(socketId).emit('lobby-denied', { reason: 'ENTRY_DENIED' });
+    await sendLobby(roomId);
     cb && cb({ ok: true });
-    
-    // Notify existing participants to start WebRTC connection
-    socket.to(roomId).emit('peer-joined', { socketId: socket.id });
-    console.log(`${socket.id} joined room ${roomId}`);
-  });
+    console.log(`${socketId} was denied entry to room ${roomId}`);
+  }));
+
+  /**
+   * Remove a participant from the call (host only)
+   * @param {Object} data - { roomId, socketId }
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('remove-participant', withStore(async ({ roomId, socketId }, cb) => {
+    const room = await hostRoom(roomId, cb);
+    if (!room) return;
+    if (socketId === socket.id || !(await store.isParticipant(roomId, socketId))) {
+      cb && cb({ ok: false, reason: 'NOT_IN_ROOM' });
+      return;
+    }
+
+    io.to(socketId).emit('removed', { reason: 'REMOVED_BY_HOST' });
+    await leaveRoom(socketId, roomId);
+    cb && cb({ ok: true });
+    console.log(`${socketId} was removed from room ${roomId} by the host`);
+  }));
+
+  /**
+   * Ask a participant to mute their microphone or turn off their camera (host only)
+   * Turning them back on is left to the participant.
+   * @param {Object} data - { roomId, socketId, kind: 'audio' | 'video' }
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('request-mute', withStore(async ({ roomId, socketId, kind }, cb) => {
+    const room = await hostRoom(roomId, cb);
+    if (!room) return;
+    if (kind !== 'audio' && kind !== 'video') {
+      cb && cb({ ok: false, reason: 'INVALID_KIND' });
+      return;
+    }
+    if (!(await store.isParticipant(roomId, socketId))) {
+      cb && cb({ ok: false, reason: 'NOT_IN_ROOM' });
+      return;
+    }
+
+    io.to(socketId).emit('mute-requested', { kind });
+    cb && cb({ ok: true });
+  }));
+
+  /**
+   * Lock or unlock the room against new joins (host only)
+   * @param {Object} data - { roomId, locked }
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('lock-room', withStore(async ({ roomId, locked }, cb) => {
+    const room = await hostRoom(roomId, cb);
+    if (!room) return;
+
+    await store.updateRoom(roomId, { locked: !!locked });
+    io.to(roomId).emit('room-locked', { locked: !!locked });
+    cb && cb({ ok: true });
+    console.log(`room ${roomId} ${locked ? 'locked' : 'unlocked'}`);
+  }));
+
+  /**
+   * Hand the host role to another participant (host only)
+   * @param {Object} data - { roomId, socketId }
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('transfer-host', withStore(async ({ roomId, socketId }, cb) => {
+    const room = await hostRoom(roomId, cb);
+    if (!room) return;
+    if (!(await store.isParticipant(roomId, socketId))) {
+      cb && cb({ ok: false, reason: 'NOT_IN_ROOM' });
+      return;
+    }
+
+    await store.updateRoom(roomId, { host: socketId });
+    io.to(roomId).emit('host-changed', { hostId: socketId });
+    await sendLobby(roomId);
+    cb && cb({ ok: true });
+  }));
 
   /**
    * Forward WebRTC signaling messages (offer, answer, ICE candidates)
-   * @param {Object} data - { roomId, type, payload }
+   * Each message is addressed to a single peer, since every pair of
+   * participants negotiates its own peer connection.
+   * In SFU rooms, produce/consume messages are answered through the callback.
+   * @param {Object} data - { roomId, to, type, payload }
+   * @param {Function} [cb] - Callback for SFU requests
    */
-  socket.on('signal', ({ roomId, type, payload }) => {
-    // Forward signaling message to other participants in the room
-    // This enables WebRTC offer/answer exchange and ICE candidate negotiation
-    socket.to(roomId).emit('signal', { from: socket.id, type, payload });
-  });
+  socket.on('signal', withStore(async ({ roomId, to, type, payload }, cb) => {
+    // Only participants may signal within a room
+    const room = await store.getRoom(roomId);
+    if (!room || !(await store.isParticipant(roomId, socket.id))) {
+      refuse('signal', cb, { reason: 'NOT_IN_ROOM' });
+      return;
+    }
+
+    if (SFU_SIGNAL_TYPES.includes(type)) {
+      if (room.mode !== 'sfu') {
+        refuse('signal', cb, { reason: 'INVALID_SIGNAL_TYPE' });
+        return;
+      }
+      try {
+        const result = await handleSfuSignal(roomId, type, payload || {});
+        cb && cb({ ok: true, ...result });
+      } catch (err) {
+        console.error(`sfu ${type} failed for ${socket.id}:`, err.message);
+        cb && cb({ ok: false, reason: 'SFU_ERROR', message: err.message });
+      }
+      return;
+    }
+
+    // Only deliver to a peer that is actually in the named room
+    if (!(await store.isParticipant(roomId, to))) return;
+    io.to(to).emit('signal', { from: socket.id, type, payload });
+  }));
+
+  /**
+   * Store a chat message and relay it to the participants that did not get it
+   * over a data channel
+   * @param {Object} data - { roomId, message: { id, text, sentAt }, deliveredTo?: string[] }
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('chat-message', withStore(async ({ roomId, message, deliveredTo }, cb) => {
+    if (!(await store.isParticipant(roomId, socket.id))) {
+      cb && cb({ ok: false, reason: 'NOT_IN_ROOM' });
+      return;
+    }
+
+    const text = message && typeof message.text === 'string' ? message.text.trim() : '';
+    if (!message || typeof message.id !== 'string' || !text || text.length > CHAT_MAX_LENGTH) {
+      cb && cb({ ok: false, reason: 'INVALID_MESSAGE' });
+      return;
+    }
+
+    const entry = {
+      id: message.id,
+      from: socket.id,
+      text,
+      sentAt: Number.isFinite(message.sentAt) ? message.sentAt : Date.now()
+    };
+    await store.appendChat(roomId, entry, CHAT_HISTORY_LIMIT);
+
+    const skip = new Set(Array.isArray(deliveredTo) ? deliveredTo : []);
+    for (const peerId of await store.getParticipants(roomId)) {
+      if (peerId !== socket.id && !skip.has(peerId)) {
+        io.to(peerId).emit('chat-message', entry);
+      }
+    }
+    cb && cb({ ok: true });
+  }));
+
+  /**
+   * Tell the room we started or stopped recording the call
+   * Recordings are made in the browser; the server only lets everyone know,
+   * and flags the recorder in the roster for people who join later.
+   * @param {Object} data - { roomId, recording: boolean }
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('set-recording', withStore(async ({ roomId, recording }, cb) => {
+    const info = await store.getParticipant(roomId, socket.id);
+    if (!info) {
+      cb && cb({ ok: false, reason: 'NOT_IN_ROOM' });
+      return;
+    }
+
+    await store.updateParticipant(roomId, socket.id, { ...info, recording });
+    io.to(roomId).except(socket.id).emit('recording-changed', { socketId: socket.id, name: info.name, recording });
+    await sendRoster(roomId);
+    cb && cb({ ok: true });
+    console.log(`${socket.id} ${recording ? 'started' : 'stopped'} recording room ${roomId}`);
+  }));
+
+  /**
+   * Send an emoji reaction to the room
+   * Reactions are not kept: only the participants in the call see them.
+   * @param {Object} data - { roomId, emoji } (one of REACTIONS)
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('reaction', withStore(async ({ roomId, emoji }, cb) => {
+    if (!(await store.isParticipant(roomId, socket.id))) {
+      cb && cb({ ok: false, reason: 'NOT_IN_ROOM' });
+      return;
+    }
+
+    io.to(roomId).except(socket.id).emit('reaction', { socketId: socket.id, emoji });
+    cb && cb({ ok: true });
+  }));
+
+  /**
+   * Raise or lower our hand, or lower someone else's (host only)
+   * The hand stays raised in the participant info, so people joining later
+   * see it in the roster; raised hands are queued by when they went up.
+   * @param {Object} data - { roomId, raised: boolean, socketId? } (socketId of another participant, host only)
+   * @param {Function} [cb] - Callback function to return result
+   */
+  socket.on('set-hand', withStore(async ({ roomId, raised, socketId }, cb) => {
+    const targetId = socketId || socket.id;
+    const byHost = targetId !== socket.id;
+    if (byHost) {
+      if (raised) {
+        cb && cb({ ok: false, reason: 'INVALID_OPTIONS' });
+        return;
+      }
+      if (!(await hostRoom(roomId, cb))) return;
+    }
+    const info = await store.getParticipant(roomId, targetId);
+    if (!info) {
+      cb && cb({ ok: false, reason: 'NOT_IN_ROOM' });
+      return;
+    }
+
+    // Raising a hand that is already up keeps its place in the queue
+    const handRaisedAt = raised ? info.handRaisedAt || Date.now() : null;
+    if (handRaisedAt !== (info.handRaisedAt || null)) {
+      await store.updateParticipant(roomId, targetId, { ...info, handRaisedAt });
+      io.to(roomId).emit('hand-changed', { socketId: targetId, raised, byHost });
+      await sendRoster(roomId);
+      console.log(byHost
+        ? `the host lowered the hand of ${targetId} in room ${roomId}`
+        : `${targetId} ${raised ? 'raised' : 'lowered'} their hand in room ${roomId}`);
+    }
+    cb && cb({ ok: true });
+  }));
 
   /**
    * Handle explicit room leave request
    * @param {string} roomId - Room identifier
    */
-  socket.on('leave-room', (roomId) => {
-    leaveRoom(socket, roomId);
-  });
+  socket.on('leave-room', withStore(async (roomId) => {
+    await leaveRoom(socket.id, roomId);
+  }));
 
   /**
    * Handle socket disconnection - automatically removes from all rooms
    */
-  socket.on('disconnect', () => {
-    console.log('socket disconnected', socket.id);
-    for (const rid of Object.keys(rooms)) {
-      if (rooms[rid].has(socket.id)) {
-        leaveRoom(socket, rid);
+  socket.on('disconnect', withStore(async (reason) => {
+    console.log('socket disconnected', socket.id, reason);
+    const connections = (connectionsPerIp.get(socket.data.ip) || 1) - 1;
+    if (connections > 0) {
+      connectionsPerIp.set(socket.data.ip, connections);
+    } else {
+      connectionsPerIp.delete(socket.data.ip);
+    }
+    ['signal', 'chat', 'other'].forEach((name) => limiters[name].forget(socket.id));
+
+    // Hang-ups end the call right away; lost connections keep their seat
+    // for a while in case the participant comes back (see holdSeat)
+    const hungUp = reason === 'client namespace disconnect' || reason === 'server namespace disconnect';
+    for (const rid of await store.getSocketRooms(socket.id)) {
+      if (hungUp || !(await holdSeat(socket.id, rid))) {
+        await leaveRoom(socket.id, rid);
       }
     }
-  });
+  }));
+
+  /**
+   * Look up a room this socket is the host of
+   * Answers the callback with NOT_HOST otherwise.
+   * @param {string} roomId - Room identifier
+   * @param {Function} [cb] - Callback of the host request
+   * @returns {Promise<Object|null>} The room, or null
+   */
+  async function hostRoom(roomId, cb) {
+    const room = await store.getRoom(roomId);
+    if (!room || room.host !== socket.id) {
+      cb && cb({ ok: false, reason: 'NOT_HOST' });
+      return null;
+    }
+    return room;
+  }
 
   /**
-   * Remove socket from room and notify other participants
-   * @param {Socket} socket - The socket instance
+   * Answer an SFU request from this socket
    * @param {string} roomId - Room identifier
+   * @param {string} type - One of SFU_SIGNAL_TYPES
+   * @param {Object} payload - Request parameters
+   * @returns {Promise<Object>} Response fields
    */
-  function leaveRoom(socket, roomId) {
-    if (!rooms[roomId]) return;
-    
-    rooms[roomId].delete(socket.id);
-    socket.leave(roomId);
-    
-    // Notify remaining participants that a peer has left
-    socket.to(roomId).emit('peer-left', { socketId: socket.id });
-    
-    // Clean up empty rooms to prevent memory leaks
-    if (rooms[roomId].size === 0) delete rooms[roomId];
-    
-    console.log(`${socket.id} left room ${roomId}`);
+  async function handleSfuSignal(roomId, type, payload) {
+    switch (type) {
+      case 'router-capabilities':
+        return sfu.getRtpCapabilities(roomId);
+
+      case 'create-transport':
+        return sfu.createTransport(roomId, socket.id, payload.direction);
+
+      case 'connect-transport':
+        await sfu.connectTransport(roomId, socket.id, payload.transportId, payload.dtlsParameters);
+        return {};
+
+      case 'restart-ice':
+        return sfu.restartIce(roomId, socket.id, payload.transportId);
+
+      case 'produce': {
+        const producerId = await sfu.produce(
+          roomId, socket.id, payload.transportId, payload.kind, payload.rtpParameters, payload.appData
+        );
+        // Let everyone else subscribe to the new track
+        socket.to(roomId).emit('signal', {
+          from: socket.id,
+          type: 'new-producer',
+          payload: { producerId, kind: payload.kind }
+        });
+        return { producerId };
+      }
+
+      case 'consume':
+        return sfu.consume(
+          roomId, socket.id, payload.transportId, payload.producerId, payload.rtpCapabilities,
+          (consumerId) => socket.emit('signal', { type: 'producer-closed', payload: { consumerId } })
+        );
+
+      case 'resume-consumer':
+        await sfu.resumeConsumer(roomId, socket.id, payload.consumerId);
+        return {};
+
+      case 'list-producers':
+        return { producers: sfu.listProducers(roomId, socket.id) };
+
+      default:
+        throw new Error(`Unsupported SFU request ${type}`);
+    }
   }
 });
 
 app.get('/', (req, res) => res.send('Signaling server running'));
 
-server.listen(PORT, () => console.log(`Signaling server listening on ${PORT}`));
+/**
+ * Mint time-limited TURN credentials (coturn REST API scheme)
+ * The username carries the expiry time; the password is an HMAC of it with
+ * the secret shared with the TURN server, so nothing has to be stored.
+ * @returns {Object} { username, credential }
+ */
+function createTurnCredentials() {
+  const expiresAt = Math.floor(Date.now() / 1000) + TURN_TTL;
+  const username = `${expiresAt}:${crypto.randomBytes(6).toString('hex')}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+  return { username, credential };
+}
+
+/**
+ * ICE configuration for new peer connections
+ * Query: relay=1 forces relay-only transport, for testing the TURN setup.
+ * With auth configured, only signed-in users get TURN credentials.
+ * @returns {Object} { iceServers, iceTransportPolicy, ttl } - ttl (seconds) is null without TURN
+ */
+app.get('/ice-servers', authenticateRequest, (req, res) => {
+  const iceServers = [];
+  if (STUN_URLS.length > 0) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+
+  const hasTurn = TURN_URLS.length > 0 && !!TURN_SECRET;
+  if (hasTurn) {
+    iceServers.push({ urls: TURN_URLS, ...createTurnCredentials() });
+  }
+
+  const forceRelay = req.query.relay === '1' || req.query.relay === 'true';
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    iceServers,
+    iceTransportPolicy: forceRelay ? 'relay' : ICE_TRANSPORT_POLICY,
+    ttl: hasTurn ? TURN_TTL : null
+  });
+});
+
+/**
+ * Wrap an async route handler so a failing room store answers with a 500
+ * @param {Function} handler - async (req, res) handler
+ * @returns {Function} Express route handler
+ */
+const asyncRoute = (handler) => (req, res) => {
+  handler(req, res).catch((err) => {
+    console.error('room store error:', err);
+    if (!res.headersSent) res.status(500).json({ ok: false, reason: 'SERVER_ERROR' });
+  });
+};
+
+/**
+ * Parse a timestamp given as milliseconds since the epoch or an ISO 8601 string
+ * @param {number|string} value
+ * @returns {number} Milliseconds since the epoch, NaN when invalid
+ */
+const parseTime = (value) => (typeof value === 'number' ? value : Date.parse(value));
+
+/**
+ * Public view of a scheduled room (never includes the hashes)
+ * @param {Object} reservation - Stored reservation
+ * @returns {Object} { id, title, startsAt, expiresAt, mode, lobby, passcode, joinUrl, inviteUrl }
+ */
+const describeReservation = (reservation) => ({
+  id: reservation.id,
+  title: reservation.title,
+  startsAt: new Date(reservation.startsAt).toISOString(),
+  expiresAt: new Date(reservation.expiresAt).toISOString(),
+  mode: reservation.mode,
+  lobby: reservation.lobby,
+  passcode: !!reservation.passcodeHash,
+  joinUrl: `${CLIENT_URL}/room/${encodeURIComponent(reservation.id)}`,
+  inviteUrl: `/rooms/${encodeURIComponent(reservation.id)}.ics`
+});
+
+/**
+ * Hash of a manageKey, for storage in a reservation
+ * The key is random and long, so a plain SHA-256 is enough and cheap to check.
+ * @param {string} manageKey
+ * @returns {string} Hex encoded hash
+ */
+const hashManageKey = (manageKey) => crypto.createHash('sha256').update(manageKey).digest('hex');
+
+/**
+ * Check a manageKey against the hash stored with a reservation, in constant time
+ * @param {*} manageKey - Value sent by the client
+ * @param {string} stored - Result of hashManageKey()
+ * @returns {boolean}
+ */
+function verifyManageKey(manageKey, stored) {
+  if (typeof manageKey !== 'string' || !stored) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashManageKey(manageKey), 'hex'), Buffer.from(stored, 'hex'));
+}
+
+// The room API is unauthenticated, so every route spends tokens of the
+// caller's address from the same bucket as create-room
+app.use('/rooms', (req, res, next) => {
+  const limit = limiters.createRoom.take(clientAddress(req.headers, req.socket.remoteAddress, TRUST_PROXY));
+  if (!limit.ok) {
+    res.set('Retry-After', String(Math.ceil(limit.retryAfter / 1000)));
+    res.status(429).json({ ok: false, reason: 'RATE_LIMITED', retryAfter: limit.retryAfter });
+    return;
+  }
+  next();
+});
+
+/**
+ * Schedule a room ahead of time
+ * Body: { title, startsAt, expiresAt?, mode?, passcode?, lobby? } - times as ISO
+ * strings or milliseconds; expiresAt defaults to an hour after startsAt.
+ * The first person to arrive once the room opens becomes its host.
+ * With auth configured, only signed-in users can schedule rooms.
+ * @returns {Object} 201 with the room (see describeReservation) and its manageKey,
+ *   needed to cancel it; 400 { ok: false, reason } on invalid input, 401 without a valid token
+ */
+app.post('/rooms', authenticateRequest, asyncRoute(async (req, res) => {
+  const body = req.body || {};
+  const invalid = (reason) => res.status(400).json({ ok: false, reason });
+
+  const title = typeof body.title === 'string' ? body.title.trim() : '';
+  if (!title || title.length > TITLE_MAX_LENGTH) return invalid('INVALID_TITLE');
+
+  const startsAt = parseTime(body.startsAt);
+  if (!Number.isFinite(startsAt)) return invalid('INVALID_START_TIME');
+
+  const expiresAt = body.expiresAt === undefined ? startsAt + DEFAULT_ROOM_DURATION : parseTime(body.expiresAt);
+  if (!Number.isFinite(expiresAt) || expiresAt <= startsAt || expiresAt <= Date.now() ||
+    expiresAt - startsAt > MAX_ROOM_DURATION) {
+    return invalid('INVALID_EXPIRY');
+  }
+
+  const mode = body.mode || 'mesh';
+  if (!ROOM_MODES.includes(mode)) return invalid('INVALID_MODE');
+
+  if (body.passcode && !isValidPasscode(body.passcode)) return invalid('INVALID_PASSCODE');
+
+  const manageKey = crypto.randomBytes(24).toString('base64url');
+  const reservation = {
+    id: crypto.randomUUID(),
+    title,
+    startsAt,
+    expiresAt,
+    mode,
+    lobby: !!body.lobby,
+    passcodeHash: body.passcode ? await hashPasscode(body.passcode) : null,
+    manageKeyHash: hashManageKey(manageKey),
+    createdAt: Date.now()
+  };
+
+  const reserved = await store.reserveRoom(reservation.id, reservation, expiresAt + RESERVATION_RETENTION);
+  if (!reserved) {
+    res.status(409).json({ ok: false, reason: 'ROOM_ALREADY_EXISTS' });
+    return;
+  }
+
+  console.log(`room scheduled ${reservation.id} for ${new Date(startsAt).toISOString()}`);
+  res.status(201).json({ ...describeReservation(reservation), manageKey });
+}));
+
+/**
+ * Calendar invite of a scheduled room
+ * @returns {string} text/calendar file, or 404 { ok: false, reason }
+ */
+app.get('/rooms/:id.ics', asyncRoute(async (req, res) => {
+  const reservation = await store.getReservation(req.params.id);
+  if (!reservation) {
+    res.status(404).json({ ok: false, reason: 'ROOM_NOT_FOUND' });
+    return;
+  }
+
+  const { joinUrl } = describeReservation(reservation);
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="room-${reservation.id}.ics"`);
+  res.send(createInvite(reservation, joinUrl, req.hostname));
+}));
+
+/**
+ * Metadata and status of a scheduled room
+ * status is 'scheduled' (not open yet), 'open', 'active' (someone is in the call) or 'expired'
+ * @returns {Object} The room (see describeReservation) with { status, participants }, or 404 { ok: false, reason }
+ */
+app.get('/rooms/:id', asyncRoute(async (req, res) => {
+  const reservation = await store.getReservation(req.params.id);
+  if (!reservation) {
+    res.status(404).json({ ok: false, reason: 'ROOM_NOT_FOUND' });
+    return;
+  }
+
+  const participants = (await store.getParticipants(reservation.id)).length;
+  const status = reservationStatus(reservation);
+  res.json({
+    ...describeReservation(reservation),
+    status: participants > 0 && status !== 'expired' ? 'active' : status,
+    participants
+  });
+}));
+
+/**
+ * Cancel a scheduled room
+ * Needs the manageKey returned on creation as a bearer token. A call already
+ * in progress goes on, but the room no longer follows the schedule.
+ * @returns 204, 403 { ok: false, reason: 'BAD_MANAGE_KEY' } or 404 { ok: false, reason }
+ */
+app.delete('/rooms/:id', asyncRoute(async (req, res) => {
+  const reservation = await store.getReservation(req.params.id);
+  if (!reservation) {
+    res.status(404).json({ ok: false, reason: 'ROOM_NOT_FOUND' });
+    return;
+  }
+
+  const [scheme, manageKey] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !verifyManageKey(manageKey, reservation.manageKeyHash)) {
+    res.status(403).json({ ok: false, reason: 'BAD_MANAGE_KEY' });
+    return;
+  }
+
+  await store.deleteReservation(reservation.id);
+  console.log(`scheduled room ${reservation.id} cancelled`);
+  res.status(204).end();
+}));
+
+/**
+ * Report this instance's sockets as alive to the room store, and remove the
+ * participants of instances that stopped reporting (crashed or killed). Their
+ * sockets are gone and their grace timers died with them, so their seats
+ * would otherwise be held, and count against the participant limit, forever.
+ */
+async function keepAlive() {
+  // Sockets connected here, and the seats held here for dropped ones
+  await store.heartbeat([...io.of('/').sockets.keys(), ...graceTimers.keys()]);
+  for (const socketId of await store.takeOrphanedSockets()) {
+    for (const roomId of await store.getSocketRooms(socketId)) {
+      console.log(`${socketId} was on a stopped instance`);
+      await leaveRoom(socketId, roomId);
+    }
+  }
+}
+
+/**
+ * Connect the room store, then start accepting connections
+ */
+async function start() {
+  store = await setupRoomStore(io);
+  // Clean up after a previous run first, and keep doing so for the other instances
+  await keepAlive();
+  setInterval(() => {
+    keepAlive().catch((err) => console.error('room store error:', err));
+  }, HEARTBEAT_INTERVAL);
+  server.listen(PORT, () => {
+    console.log(`Signaling server listening on ${PORT}`);
+    if (AUTH_ENABLED) console.log('socket auth: JWT required');
+  });
+}
+
+start().catch((err) => {
+  console.error('could not start the signaling server:', err);
+  process.exit(1);
+});
@@ -0,0 +1,261 @@
+/**
+ * Selective Forwarding Unit (SFU)
+ * Wraps a mediasoup worker so that participants of SFU rooms send their media
+ * once to the server, which forwards it to everyone else in the room.
+ *
+ * Each SFU room gets its own mediasoup router. Each participant gets one send
+ * transport (for their producers) and one receive transport (for consumers).
+ */
+
+const mediasoup = require('mediasoup');
+
+// Codecs the router is able to forward
+const MEDIA_CODECS = [
+  { kind: 'audio', mimeType: 'audio/opus', clockRate: 48000, channels: 2 },
+  { kind: 'video', mimeType: 'video/VP8', clockRate: 90000, parameters: { 'x-google-start-bitrate': 1000 } }
+];
+
+// Network configuration for WebRTC transports
+// SFU_ANNOUNCED_IP must be the public address when the server runs behind NAT
+const LISTEN_IP = process.env.SFU_LISTEN_IP || '0.0.0.0';
+const ANNOUNCED_IP = process.env.SFU_ANNOUNCED_IP || undefined;
+const RTC_MIN_PORT = parseInt(process.env.SFU_RTC_MIN_PORT, 10) || 40000;
+const RTC_MAX_PORT = parseInt(process.env.SFU_RTC_MAX_PORT, 10) || 49999;
+
+// The worker is started on first use so mesh-only deployments never spawn it
+let workerPromise = null;
+
+// In-memory SFU state: { roomId: { router, peers: Map<socketId, SfuPeer> } }
+// SfuPeer: { transports: { send, recv }, producers: Map<id, Producer>, consumers: Map<id, Consumer> }
+const sfuRooms = {};
+
+/**
+ * Get (or lazily start) the mediasoup worker
+ * @returns {Promise<Worker>}
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = mediasoup.createWorker({
+      rtcMinPort: RTC_MIN_PORT,
+      rtcMaxPort: RTC_MAX_PORT
+    }).then((worker) => {
+      console.log(`mediasoup worker started (pid ${worker.pid})`);
+      worker.on('died', () => {
+        console.error('mediasoup worker died, SFU rooms have been lost');
+        workerPromise = null;
+        for (const roomId of Object.keys(sfuRooms)) delete sfuRooms[roomId];
+      });
+      return worker;
+    }).catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Create the router for a new SFU room
+ * @param {string} roomId - Room identifier
+ */
+async function openRoom(roomId) {
+  if (sfuRooms[roomId]) return;
+  const worker = await getWorker();
+  const router = await worker.createRouter({ mediaCodecs: MEDIA_CODECS });
+  sfuRooms[roomId] = { router, peers: new Map() };
+  console.log(`sfu router created for room ${roomId}`);
+}
+
+/**
+ * Close the router of an SFU room and everything attached to it
+ * @param {string} roomId - Room identifier
+ */
+function closeRoom(roomId) {
+  const room = sfuRooms[roomId];
+  if (!room) return;
+  room.router.close();
+  delete sfuRooms[roomId];
+}
+
+function getRoom(roomId) {
+  const room = sfuRooms[roomId];
+  if (!room) throw new Error(`No SFU router for room ${roomId}`);
+  return room;
+}
+
+function getPeer(roomId, socketId) {
+  const room = getRoom(roomId);
+  if (!room.peers.has(socketId)) {
+    room.peers.set(socketId, { transports: {}, producers: new Map(), consumers: new Map() });
+  }
+  return room.peers.get(socketId);
+}
+
+function getTransport(peer, transportId) {
+  const transport = Object.values(peer.transports).find((t) => t.id === transportId);
+  if (!transport) throw new Error(`Unknown transport ${transportId}`);
+  return transport;
+}
+
+/**
+ * RTP capabilities of the room's router, needed by the client to load its device
+ * @param {string} roomId - Room identifier
+ * @returns {Object} { rtpCapabilities }
+ */
+function getRtpCapabilities(roomId) {
+  return { rtpCapabilities: getRoom(roomId).router.rtpCapabilities };
+}
+
+/**
+ * Create a WebRTC transport for a participant
+ * Creating a transport for a direction that already has one replaces it,
+ * which is how a client rebuilds its session after a failure
+ * @param {string} roomId - Room identifier
+ * @param {string} socketId - Participant socket ID
+ * @param {string} direction - 'send' | 'recv'
+ * @returns {Promise<Object>} Transport parameters for the client
+ */
+async function createTransport(roomId, socketId, direction) {
+  if (direction !== 'send' && direction !== 'recv') {
+    throw new Error(`Invalid transport direction ${direction}`);
+  }
+
+  const { router } = getRoom(roomId);
+  const peer = getPeer(roomId, socketId);
+
+  if (peer.transports[direction]) {
+    peer.transports[direction].close();
+  }
+
+  const transport = await router.createWebRtcTransport({
+    listenInfos: [
+      { protocol: 'udp', ip: LISTEN_IP, announcedAddress: ANNOUNCED_IP },
+      { protocol: 'tcp', ip: LISTEN_IP, announcedAddress: ANNOUNCED_IP }
+    ],
+    enableUdp: true,
+    enableTcp: true,
+    preferUdp: true
+  });
+  peer.transports[direction] = transport;
+
+  return {
+    id: transport.id,
+    iceParameters: transport.iceParameters,
+    iceCandidates: transport.iceCandidates,
+    dtlsParameters: transport.dtlsParameters
+  };
+}
+
+/**
+ * Complete the DTLS handshake of a transport
+ */
+async function connectTransport(roomId, socketId, transportId, dtlsParameters) {
+  const transport = getTransport(getPeer(roomId, socketId), transportId);
+  await transport.connect({ dtlsParameters });
+}
+
+/**
+ * Restart ICE on a transport after the client lost its network path
+ * @returns {Promise<Object>} { iceParameters } for the client transport
+ */
+async function restartIce(roomId, socketId, transportId) {
+  const transport = getTransport(getPeer(roomId, socketId), transportId);
+  const iceParameters = await transport.restartIce();
+  return { iceParameters };
+}
+
+/**
+ * Start receiving a track from a participant
+ * @returns {Promise<string>} The producer ID
+ */
+async function produce(roomId, socketId, transportId, kind, rtpParameters, appData = {}) {
+  const peer = getPeer(roomId, socketId);
+  const transport = getTransport(peer, transportId);
+  const producer = await transport.produce({ kind, rtpParameters, appData: { ...appData, socketId } });
+
+  peer.producers.set(producer.id, producer);
+  producer.on('transportclose', () => peer.producers.delete(producer.id));
+
+  return producer.id;
+}
+
+/**
+ * Forward a producer to a participant
+ * Consumers start paused; the client resumes them once its track is wired up
+ * @param {Function} onProducerClosed - Called with the consumer ID when the source producer goes away
+ * @returns {Promise<Object>} Consumer parameters for the client
+ */
+async function consume(roomId, socketId, transportId, producerId, rtpCapabilities, onProducerClosed) {
+  const { router } = getRoom(roomId);
+  if (!router.canConsume({ producerId, rtpCapabilities })) {
+    throw new Error(`Cannot consume producer ${producerId}`);
+  }
+
+  const peer = getPeer(roomId, socketId);
+  const transport = getTransport(peer, transportId);
+  const consumer = await transport.consume({ producerId, rtpCapabilities, paused: true });
+
+  peer.consumers.set(consumer.id, consumer);
+  consumer.on('transportclose', () => peer.consumers.delete(consumer.id));
+  consumer.on('producerclose', () => {
+    peer.consumers.delete(consumer.id);
+    if (onProducerClosed) onProducerClosed(consumer.id);
+  });
+
+  return {
+    id: consumer.id,
+    producerId,
+    kind: consumer.kind,
+    rtpParameters: consumer.rtpParameters
+  };
+}
+
+/**
+ * Resume a paused consumer
+ */
+async function resumeConsumer(roomId, socketId, consumerId) {
+  const consumer = getPeer(roomId, socketId).consumers.get(consumerId);
+  if (!consumer) throw new Error(`Unknown consumer ${consumerId}`);
+  await consumer.resume();
+}
+
+/**
+ * List the producers in a room, except the ones of the given participant
+ * @returns {Array<Object>} [{ producerId, socketId, kind }]
+ */
+function listProducers(roomId, excludeSocketId) {
+  const list = [];
+  for (const [socketId, peer] of getRoom(roomId).peers) {
+    if (socketId === excludeSocketId) continue;
+    for (const producer of peer.producers.values()) {
+      list.push({ producerId: producer.id, socketId, kind: producer.kind });
+    }
+  }
+  return list;
+}
+
+/**
+ * Close everything a participant has open in a room
+ * Closing their transports closes their producers, which in turn
+ * notifies the consumers of the other participants
+ */
+function removePeer(roomId, socketId) {
+  const room = sfuRooms[roomId];
+  if (!room || !room.peers.has(socketId)) return;
+  Object.values(room.peers.get(socketId).transports).forEach((t) => t.close());
+  room.peers.delete(socketId);
+}
+
+module.exports = {
+  openRoom,
+  closeRoom,
+  getRtpCapabilities,
+  createTransport,
+  connectTransport,
+  restartIce,
+  produce,
+  consume,
+  resumeConsumer,
+  listProducers,
+  removePeer
+};
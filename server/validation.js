@@ -0,0 +1,157 @@
+/**
+ * Event Validation
+ * Checks the shape of every event a client sends before its handler runs,
+ * so handlers can rely on well-formed arguments. Each schema answers with
+ * an error reason, or null when the arguments are valid.
+ */
+
+const { PASSCODE_MAX_LENGTH } = require('./passcode');
+
+// Room IDs are UUIDs from the client, but any short URL-safe ID is accepted
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// socket.io socket IDs
+const SOCKET_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Signal types forwarded from one participant to another
+const PEER_SIGNAL_TYPES = ['offer', 'answer', 'ice-candidate', 'connection-reset', 'screen-share'];
+
+// Signal types answered by the server itself in SFU rooms instead of being forwarded
+const SFU_SIGNAL_TYPES = [
+  'router-capabilities',
+  'create-transport',
+  'connect-transport',
+  'restart-ice',
+  'produce',
+  'consume',
+  'resume-consumer',
+  'list-producers'
+];
+
+// Largest signal payload, as JSON. SDP offers of calls with many tracks run to a few tens of KB
+const SIGNAL_PAYLOAD_MAX_BYTES = 64 * 1024;
+// Largest chat message event, as JSON (the text itself is limited by the server)
+const CHAT_EVENT_MAX_BYTES = 16 * 1024;
+// Longest display name accepted before it is trimmed to size
+const NAME_MAX_INPUT_LENGTH = 256;
+// Longest resume token (the server hands out 32-character ones)
+const RESUME_TOKEN_MAX_LENGTH = 128;
+// Emoji reactions participants can send
+const REACTIONS = ['👍', '👏', '❤️', '😂', '😮', '🎉'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isRoomId = (value) => typeof value === 'string' && ROOM_ID_PATTERN.test(value);
+const isSocketId = (value) => typeof value === 'string' && SOCKET_ID_PATTERN.test(value);
+
+/**
+ * Size of a value once serialized, or Infinity when it cannot be serialized
+ * @param {*} value
+ * @returns {number} Bytes
+ */
+function jsonSize(value) {
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? 0 : Buffer.byteLength(json);
+  } catch (err) {
+    return Infinity;
+  }
+}
+
+/**
+ * Check the options of create-room and join-room
+ * @param {*} options
+ * @returns {string|null} Error reason
+ */
+function checkRoomOptions(options) {
+  if (options === undefined || options === null) return null;
+  if (!isObject(options)) return 'INVALID_OPTIONS';
+  if (options.mode !== undefined && typeof options.mode !== 'string') return 'INVALID_MODE';
+  if (options.passcode !== undefined && options.passcode !== null &&
+    (typeof options.passcode !== 'string' || options.passcode.length > PASSCODE_MAX_LENGTH)) {
+    return 'INVALID_PASSCODE';
+  }
+  if (options.lobby !== undefined && typeof options.lobby !== 'boolean') return 'INVALID_OPTIONS';
+  if (options.name !== undefined && options.name !== null &&
+    (typeof options.name !== 'string' || options.name.length > NAME_MAX_INPUT_LENGTH)) {
+    return 'INVALID_NAME';
+  }
+  if (options.resumeToken !== undefined && options.resumeToken !== null &&
+    (typeof options.resumeToken !== 'string' || options.resumeToken.length > RESUME_TOKEN_MAX_LENGTH)) {
+    return 'INVALID_OPTIONS';
+  }
+  return null;
+}
+
+/**
+ * Check a { roomId, socketId } host request
+ * @param {*} data
+ * @returns {string|null} Error reason
+ */
+function checkPeerRequest(data) {
+  if (!isObject(data) || !isRoomId(data.roomId)) return 'INVALID_ROOM_ID';
+  if (!isSocketId(data.socketId)) return 'INVALID_SOCKET_ID';
+  return null;
+}
+
+// Argument checks per event, given the arguments without the trailing callback
+const schemas = {
+  'create-room': ([roomId, options]) => (isRoomId(roomId) ? checkRoomOptions(options) : 'INVALID_ROOM_ID'),
+  'join-room': ([roomId, options]) => (isRoomId(roomId) ? checkRoomOptions(options) : 'INVALID_ROOM_ID'),
+  'admit-peer': ([data]) => checkPeerRequest(data),
+  'deny-peer': ([data]) => checkPeerRequest(data),
+  'remove-participant': ([data]) => checkPeerRequest(data),
+  'transfer-host': ([data]) => checkPeerRequest(data),
+  'request-mute': ([data]) => checkPeerRequest(data) || (['audio', 'video'].includes(data.kind) ? null : 'INVALID_KIND'),
+  'lock-room': ([data]) => {
+    if (!isObject(data) || !isRoomId(data.roomId)) return 'INVALID_ROOM_ID';
+    return typeof data.locked === 'boolean' ? null : 'INVALID_OPTIONS';
+  },
+  signal: ([data]) => {
+    if (!isObject(data) || !isRoomId(data.roomId)) return 'INVALID_ROOM_ID';
+    const isPeerSignal = PEER_SIGNAL_TYPES.includes(data.type);
+    if (!isPeerSignal && !SFU_SIGNAL_TYPES.includes(data.type)) return 'INVALID_SIGNAL_TYPE';
+    if (isPeerSignal && !isSocketId(data.to)) return 'INVALID_SOCKET_ID';
+    if (data.payload !== undefined && data.payload !== null && typeof data.payload !== 'object') return 'INVALID_PAYLOAD';
+    return jsonSize(data.payload) > SIGNAL_PAYLOAD_MAX_BYTES ? 'PAYLOAD_TOO_LARGE' : null;
+  },
+  'chat-message': ([data]) => {
+    if (!isObject(data) || !isRoomId(data.roomId)) return 'INVALID_ROOM_ID';
+    if (data.deliveredTo !== undefined && !(Array.isArray(data.deliveredTo) && data.deliveredTo.every(isSocketId))) {
+      return 'INVALID_MESSAGE';
+    }
+    return jsonSize(data) > CHAT_EVENT_MAX_BYTES ? 'PAYLOAD_TOO_LARGE' : null;
+  },
+  'set-recording': ([data]) => {
+    if (!isObject(data) || !isRoomId(data.roomId)) return 'INVALID_ROOM_ID';
+    return typeof data.recording === 'boolean' ? null : 'INVALID_OPTIONS';
+  },
+  reaction: ([data]) => {
+    if (!isObject(data) || !isRoomId(data.roomId)) return 'INVALID_ROOM_ID';
+    return REACTIONS.includes(data.emoji) ? null : 'INVALID_REACTION';
+  },
+  'set-hand': ([data]) => {
+    if (!isObject(data) || !isRoomId(data.roomId)) return 'INVALID_ROOM_ID';
+    if (data.socketId !== undefined && !isSocketId(data.socketId)) return 'INVALID_SOCKET_ID';
+    return typeof data.raised === 'boolean' ? null : 'INVALID_OPTIONS';
+  },
+  'leave-room': ([roomId]) => (isRoomId(roomId) ? null : 'INVALID_ROOM_ID')
+};
+
+/**
+ * Check the arguments of an incoming event
+ * @param {string} event - Event name
+ * @param {Array} args - Event arguments, without the trailing callback
+ * @returns {string|null} Error reason (UNKNOWN_EVENT for events nobody handles), or null when valid
+ */
+function validateEvent(event, args) {
+  // Own properties only: a client may send "__proto__" or "toString"
+  if (!Object.prototype.hasOwnProperty.call(schemas, event)) return 'UNKNOWN_EVENT';
+  return schemas[event](args);
+}
+
+module.exports = {
+  ROOM_ID_PATTERN,
+  PEER_SIGNAL_TYPES,
+  SFU_SIGNAL_TYPES,
+  isRoomId,
+  validateEvent
+};
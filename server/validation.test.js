@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('assert');
+const { validateEvent } = require('./validation');
+
+test('events nobody handles are refused', () => {
+  assert.strictEqual(validateEvent('drop-database', []), 'UNKNOWN_EVENT');
+  assert.strictEqual(validateEvent('__proto__', []), 'UNKNOWN_EVENT');
+  assert.strictEqual(validateEvent('toString', []), 'UNKNOWN_EVENT');
+});
+
+test('create-room and join-room check the room ID and options', () => {
+  assert.strictEqual(validateEvent('create-room', ['room-1']), null);
+  assert.strictEqual(validateEvent('join-room', ['room-1', { passcode: 'secret', name: 'Ada', lobby: true }]), null);
+  assert.strictEqual(validateEvent('join-room', ['room 1']), 'INVALID_ROOM_ID');
+  assert.strictEqual(validateEvent('join-room', ['x'.repeat(65)]), 'INVALID_ROOM_ID');
+  assert.strictEqual(validateEvent('join-room', [{ roomId: 'room-1' }]), 'INVALID_ROOM_ID');
+  assert.strictEqual(validateEvent('join-room', ['room-1', 'options']), 'INVALID_OPTIONS');
+  assert.strictEqual(validateEvent('join-room', ['room-1', [1]]), 'INVALID_OPTIONS');
+  assert.strictEqual(validateEvent('create-room', ['room-1', { mode: 1 }]), 'INVALID_MODE');
+  assert.strictEqual(validateEvent('create-room', ['room-1', { lobby: 'yes' }]), 'INVALID_OPTIONS');
+  assert.strictEqual(validateEvent('join-room', ['room-1', { passcode: 123 }]), 'INVALID_PASSCODE');
+  assert.strictEqual(validateEvent('join-room', ['room-1', { passcode: 'x'.repeat(1000) }]), 'INVALID_PASSCODE');
+  assert.strictEqual(validateEvent('join-room', ['room-1', { name: 'x'.repeat(257) }]), 'INVALID_NAME');
+  assert.strictEqual(validateEvent('join-room', ['room-1', { resumeToken: {} }]), 'INVALID_OPTIONS');
+});
+
+test('host requests name a room and a socket', () => {
+  const request = { roomId: 'room-1', socketId: 'abc_DEF-123' };
+  ['admit-peer', 'deny-peer', 'remove-participant', 'transfer-host'].forEach((event) => {
+    assert.strictEqual(validateEvent(event, [request]), null, event);
+    assert.strictEqual(validateEvent(event, [{ ...request, socketId: '../x' }]), 'INVALID_SOCKET_ID', event);
+    assert.strictEqual(validateEvent(event, [null]), 'INVALID_ROOM_ID', event);
+  });
+  assert.strictEqual(validateEvent('request-mute', [{ ...request, kind: 'audio' }]), null);
+  assert.strictEqual(validateEvent('request-mute', [{ ...request, kind: 'screen' }]), 'INVALID_KIND');
+  assert.strictEqual(validateEvent('lock-room', [{ roomId: 'room-1', locked: true }]), null);
+  assert.strictEqual(validateEvent('lock-room', [{ roomId: 'room-1', locked: 'true' }]), 'INVALID_OPTIONS');
+});
+
+test('signals are forwarded to a socket or answered by the SFU', () => {
+  assert.strictEqual(validateEvent('signal', [{ roomId: 'room-1', to: 'abc', type: 'offer', payload: { sdp: 'v=0' } }]), null);
+  assert.strictEqual(validateEvent('signal', [{ roomId: 'room-1', type: 'list-producers' }]), null);
+  assert.strictEqual(validateEvent('signal', [{ roomId: 'room-1', type: 'offer', payload: {} }]), 'INVALID_SOCKET_ID');
+  assert.strictEqual(validateEvent('signal', [{ roomId: 'room-1', to: 'abc', type: 'eval' }]), 'INVALID_SIGNAL_TYPE');
+  assert.strictEqual(validateEvent('signal', [{ roomId: 'room-1', to: 'abc', type: 'answer', payload: 'sdp' }]),
+    'INVALID_PAYLOAD');
+});
+
+test('oversized payloads are refused', () => {
+  const payload = { sdp: 'x'.repeat(70 * 1024) };
+  assert.strictEqual(validateEvent('signal', [{ roomId: 'room-1', to: 'abc', type: 'offer', payload }]),
+    'PAYLOAD_TOO_LARGE');
+  assert.strictEqual(validateEvent('chat-message', [{ roomId: 'room-1', text: 'x'.repeat(20 * 1024) }]),
+    'PAYLOAD_TOO_LARGE');
+
+  const circular = {};
+  circular.self = circular;
+  assert.strictEqual(validateEvent('signal', [{ roomId: 'room-1', to: 'abc', type: 'offer', payload: circular }]),
+    'PAYLOAD_TOO_LARGE');
+});
+
+test('chat messages list the sockets they were delivered to', () => {
+  assert.strictEqual(validateEvent('chat-message', [{ roomId: 'room-1', text: 'hi', deliveredTo: ['abc'] }]), null);
+  assert.strictEqual(validateEvent('chat-message', [{ roomId: 'room-1', text: 'hi', deliveredTo: 'abc' }]),
+    'INVALID_MESSAGE');
+  assert.strictEqual(validateEvent('chat-message', [{ roomId: 'room-1', text: 'hi', deliveredTo: [{}] }]),
+    'INVALID_MESSAGE');
+});
+
+test('leaving names the room', () => {
+  assert.strictEqual(validateEvent('leave-room', ['room-1']), null);
+  assert.strictEqual(validateEvent('leave-room', []), 'INVALID_ROOM_ID');
+});
+
+test('recording state is a boolean', () => {
+  assert.strictEqual(validateEvent('set-recording', [{ roomId: 'room-1', recording: false }]), null);
+  assert.strictEqual(validateEvent('set-recording', [{ roomId: 'room-1', recording: 'on' }]), 'INVALID_OPTIONS');
+});
+
+test('reactions and hands take known values only', () => {
+  assert.strictEqual(validateEvent('reaction', [{ roomId: 'room-1', emoji: '👍' }]), null);
+  assert.strictEqual(validateEvent('reaction', [{ roomId: 'room-1', emoji: '<script>' }]), 'INVALID_REACTION');
+  assert.strictEqual(validateEvent('set-hand', [{ roomId: 'room-1', raised: true }]), null);
+  assert.strictEqual(validateEvent('set-hand', [{ roomId: 'room-1', raised: 1 }]), 'INVALID_OPTIONS');
+  assert.strictEqual(validateEvent('set-hand', [{ roomId: 'room-1', socketId: '', raised: false }]), 'INVALID_SOCKET_ID');
+});